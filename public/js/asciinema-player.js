@@ -113,9 +113,11 @@ function updateActiveRecording(filename) {
     activeItem.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
   }
   
-  // Update URL without reloading page
+  // Update URL without reloading page, keeping the grouping picked
   if (window.location.pathname.includes('timeline')) {
-    window.history.pushState({}, '', `/timeline?file=${filename}`);
+    const params = new URLSearchParams(window.location.search);
+    params.set('file', filename);
+    window.history.pushState({}, '', `/timeline?${params}`);
   }
 }
 
@@ -211,9 +213,19 @@ function adjustPlayerHeight(filename, container, options = {}) {
   }
 }
 
+/**
+ * Get the active player, which adjustPlayerHeight may have replaced
+ * 
+ * @returns {Object|null} The player instance
+ */
+function getCurrentPlayer() {
+  return currentPlayer;
+}
+
 // Export functions for global use
 window.asciinemaPlayer = {
   load: loadPlayer,
+  current: getCurrentPlayer,
   updateActive: updateActiveRecording,
   adjustHeight: adjustPlayerHeight
 };
@@ -0,0 +1,248 @@
+/**
+ * Find bar for a recording
+ * Searches one recording through /api/search/:filename, lists the matches
+ * with their times and moves the player from match to match
+ */
+
+// More markers than this would cover the progress bar
+const MAX_FIND_MARKERS = 200;
+
+const FIND_MODES = [
+  ['simple', 'Words'],
+  ['advanced', 'Advanced syntax'],
+  ['substring', 'Substring'],
+  ['regex', 'Regex']
+];
+
+/**
+ * Put a snippet into an element with its matches marked
+ *
+ * @param {HTMLElement} element - Element to fill
+ * @param {Object} hit - Hit from the search API, with snippet and matches
+ */
+function renderFindSnippet(element, hit) {
+  element.textContent = '';
+  let offset = 0;
+
+  hit.matches.forEach(match => {
+    if (match.start < offset) return;
+    element.appendChild(document.createTextNode(hit.snippet.slice(offset, match.start)));
+    const mark = document.createElement('mark');
+    mark.textContent = hit.snippet.slice(match.start, match.end);
+    element.appendChild(mark);
+    offset = match.end;
+  });
+
+  element.appendChild(document.createTextNode(hit.snippet.slice(offset)));
+}
+
+/**
+ * Create a find bar
+ *
+ * @param {HTMLElement} container - Element to put the find bar in
+ * @param {Object} options - Find bar options
+ * @param {string} options.filename - Recording to search
+ * @param {function(): Object} options.getPlayer - Returns the current player
+ * @param {function(Array): (Promise|void)} [options.onMarkers] - Called with [time, label] markers for the matches;
+ *   a returned promise is waited for before moving to a match
+ * @param {string} [options.query] - Search to run right away
+ * @param {string} [options.mode='simple'] - Search mode (see /api/search)
+ * @param {number} [options.startAt] - Time the player was opened at, to start from the match there
+ * @returns {Object} - Find bar with ready, find(query, mode) and setFilename(filename)
+ */
+function createFindBar(container, options) {
+  let filename = options.filename;
+  let hits = [];
+  let current = -1;
+  let lastSearch = null;
+
+  container.classList.add('find-bar');
+  container.innerHTML = `
+    <div class="find-controls">
+      <input type="search" class="find-input" placeholder="Find in recording (Enter: next, Shift+Enter: previous)">
+      <select class="find-mode"></select>
+      <button type="button" class="find-prev" title="Previous match (Shift+Enter)" disabled>↑</button>
+      <button type="button" class="find-next" title="Next match (Enter)" disabled>↓</button>
+      <span class="find-status"></span>
+    </div>
+    <ul class="find-results"></ul>
+  `;
+
+  const input = container.querySelector('.find-input');
+  const modeSelect = container.querySelector('.find-mode');
+  const prevButton = container.querySelector('.find-prev');
+  const nextButton = container.querySelector('.find-next');
+  const status = container.querySelector('.find-status');
+  const results = container.querySelector('.find-results');
+
+  FIND_MODES.forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    modeSelect.appendChild(option);
+  });
+  input.value = options.query || '';
+  modeSelect.value = options.mode || 'simple';
+
+  function seek(time) {
+    const player = options.getPlayer();
+    if (player && typeof player.seek === 'function') {
+      player.seek(time);
+    }
+  }
+
+  function select(index, seekPlayer) {
+    current = index;
+    status.textContent = `${index + 1} of ${hits.length}`;
+    prevButton.disabled = hits.length === 0;
+    nextButton.disabled = hits.length === 0;
+
+    results.querySelectorAll('.find-result').forEach((item, itemIndex) => {
+      item.classList.toggle('selected', itemIndex === index);
+    });
+    const selected = results.children[index];
+    if (selected) {
+      selected.scrollIntoView({ block: 'nearest' });
+    }
+
+    if (seekPlayer) {
+      seek(hits[index].timeOffset);
+    }
+  }
+
+  function renderResults() {
+    results.innerHTML = '';
+
+    hits.forEach((hit, index) => {
+      const item = document.createElement('li');
+      item.className = 'find-result';
+
+      const time = document.createElement('span');
+      time.className = 'find-time';
+      time.textContent = hit.timeFormatted || '0:00';
+
+      const snippet = document.createElement('span');
+      snippet.className = 'find-snippet';
+      renderFindSnippet(snippet, hit);
+
+      item.appendChild(time);
+      item.appendChild(snippet);
+      item.addEventListener('click', () => select(index, true));
+      results.appendChild(item);
+    });
+  }
+
+  // Run a search; resolves once the matches are listed and marked
+  function find(query, mode) {
+    lastSearch = { query, mode, filename };
+    hits = [];
+    current = -1;
+    results.innerHTML = '';
+    prevButton.disabled = true;
+    nextButton.disabled = true;
+
+    if (!query.trim()) {
+      status.textContent = '';
+      if (options.onMarkers) options.onMarkers([]);
+      return Promise.resolve();
+    }
+
+    status.textContent = 'Searching...';
+    return fetch(`/api/search/${encodeURIComponent(filename)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query, mode })
+    })
+      .then(response => response.json())
+      .then(data => {
+        if (data.error) throw new Error(data.error);
+
+        hits = data.hits;
+        renderResults();
+        status.textContent = hits.length === 0 ? 'No matches' : `${hits.length} ${hits.length === 1 ? 'match' : 'matches'}` +
+          (data.hasMore ? ` (first of ${data.totalCount})` : '');
+
+        if (options.onMarkers) {
+          return options.onMarkers(hits.slice(0, MAX_FIND_MARKERS).map(hit => [hit.timeOffset, hit.snippet.split('\n')[0]]));
+        }
+      })
+      .catch(error => {
+        status.textContent = error.message;
+      });
+  }
+
+  // Move to the next or previous match from the player's position
+  function step(direction) {
+    if (hits.length === 0) return;
+
+    const player = options.getPlayer();
+    Promise.resolve(player && typeof player.getCurrentTime === 'function' ? player.getCurrentTime() : null)
+      .then(time => {
+        let index;
+        if (current === -1 && typeof time === 'number') {
+          // The first move goes to the match nearest the player's position
+          index = direction > 0
+            ? hits.findIndex(hit => hit.timeOffset >= time)
+            : hits.map(hit => hit.timeOffset <= time).lastIndexOf(true);
+          if (index === -1) index = direction > 0 ? 0 : hits.length - 1;
+        } else {
+          index = (current + direction + hits.length) % hits.length;
+        }
+        select(index, true);
+      });
+  }
+
+  function isCurrentSearch() {
+    return lastSearch && lastSearch.query === input.value && lastSearch.mode === modeSelect.value &&
+      lastSearch.filename === filename;
+  }
+
+  input.addEventListener('keydown', (event) => {
+    if (event.key !== 'Enter') return;
+    event.preventDefault();
+
+    const direction = event.shiftKey ? -1 : 1;
+    if (isCurrentSearch()) {
+      step(direction);
+    } else {
+      find(input.value, modeSelect.value).then(() => step(direction));
+    }
+  });
+  modeSelect.addEventListener('change', () => {
+    if (input.value.trim()) find(input.value, modeSelect.value);
+  });
+  prevButton.addEventListener('click', () => step(-1));
+  nextButton.addEventListener('click', () => step(1));
+
+  // A search given up front shows the match the player was opened at
+  const ready = !input.value.trim() ? Promise.resolve() : find(input.value, modeSelect.value).then(() => {
+    if (hits.length === 0 || typeof options.startAt !== 'number') return;
+    const opened = hits.findIndex(hit => hit.timeOffset >= options.startAt);
+    select(opened === -1 ? hits.length - 1 : opened, false);
+  });
+
+  return {
+    // Settles once the search given up front is listed
+    ready,
+
+    find: (query, mode) => {
+      input.value = query;
+      modeSelect.value = mode || 'simple';
+      return find(query, modeSelect.value);
+    },
+
+    // Search another recording with the same query
+    setFilename: (newFilename) => {
+      filename = newFilename;
+      if (input.value.trim()) {
+        return find(input.value, modeSelect.value);
+      }
+      return Promise.resolve();
+    }
+  };
+}
+
+// Export functions for global use
+window.findBar = {
+  create: createFindBar
+};
@@ -12,9 +12,10 @@ touch "$LOCKFILE"
 TAGS="$@"
 TAG_SUFFIX=""
 
-# Format tags for filename (replace spaces with hyphens)
+# Format tags for filename (replace spaces with hyphens and anything else
+# that can't appear in a filename with underscores)
 if [ -n "$TAGS" ]; then
-  TAG_SUFFIX="_tags_$(echo $TAGS | tr ' ' '-')"
+  TAG_SUFFIX="_tags_$(echo $TAGS | tr ' ' '-' | tr -c 'A-Za-z0-9_\n-' '_')"
 fi
 
 # Create timestamp for the filename
@@ -25,6 +26,14 @@ CAST_FILE="$CAST_DIR/asciinema_$TIMESTAMP$TAG_SUFFIX.cast"
 # Ensure the casts directory exists
 mkdir -p "$CAST_DIR"
 
+# Store the host and the tags exactly as given (one per argument, so
+# "my-project" or "client/acme" stay single tags) in the metadata sidecar
+node -e '
+  const info = { host: require("os").hostname() };
+  if (process.argv.length > 1) info.tags = process.argv.slice(1);
+  process.stdout.write(JSON.stringify(info, null, 2));
+' -- "$@" > "$CAST_FILE.info"
+
 # Start timewarrior tracking with provided tags
 if [ -n "$TAGS" ]; then
   timew start $TAGS
@@ -2,18 +2,39 @@ const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
-const { parseFilenameDate } = require('./utils/parseFilename');
-const { searchCasts, getIndexStats } = require('./utils/indexer');
-const { CASTS_DIR, ZIP_DIR } = require('./utils/config');
+const { recordingDate } = require('./utils/parseFilename');
+const { searchCasts, getIndexStats, getIndexFiles, getCastCommands, QuerySyntaxError, SearchTimeoutError } = require('./utils/indexer');
+const { SOURCES, DISPLAY_TIMEZONE } = require('./utils/config');
+const { parseRecordingKey, recordingPath, recordingSource, listRecordingFiles } = require('./utils/sources');
+const { formatInZone } = require('./utils/timezones');
+const { probeDuration, readCastHeader } = require('./utils/cast-reader');
+const { getCatalog, listRecordings, parseCursor } = require('./utils/catalog');
+const { watchCasts } = require('./utils/watch-casts');
+const { streamLiveCast } = require('./utils/cast-tail');
+const recordings = require('./utils/recordings');
+const annotations = require('./utils/annotations');
+const { tagWithParents, normalizeTags } = require('./utils/tags');
+const { parseSearchQuery, isValidDate } = require('./utils/search-query');
+const indexJobs = require('./utils/index-jobs');
+const uploads = require('./utils/uploads');
 
 const readFileAsync = promisify(fs.readFile);
-const readdirAsync = promisify(fs.readdir);
 const statAsync = promisify(fs.stat);
-const accessAsync = promisify(fs.access);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Search modes and result orders, see utils/indexer/search.js
+const SEARCH_MODES = ['simple', 'advanced', 'substring', 'regex'];
+const SEARCH_SORTS = ['relevance', 'newest', 'oldest', 'longest'];
+
+// Hits returned at once for a search inside one recording
+const MAX_RECORDING_HITS = 1000;
+
+// Orders and largest page of the recordings listing, see utils/catalog.js
+const LIST_SORTS = ['newest', 'oldest', 'longest'];
+const MAX_LIST_LIMIT = 500;
+
 // Set view engine
 app.set('view engine', 'ejs');
 
@@ -34,7 +55,7 @@ app.use(express.json());
 // Helper function to get info file data
 async function getInfoFileData(castFilename) {
   try {
-    const infoFilePath = path.join(ZIP_DIR, `${castFilename}.gz.info`);
+    const infoFilePath = `${recordingPath(castFilename, true)}.info`;
     const infoData = await readFileAsync(infoFilePath, 'utf8');
     return JSON.parse(infoData);
   } catch (err) {
@@ -42,62 +63,92 @@ async function getInfoFileData(castFilename) {
   }
 }
 
-// Helper function to get cast files with exactly: filename, duration, tags, and date
+// Helper function to get cast files with: filename, duration, tags, date, time,
+// timestamp, dimensions, size and compression state.
+// Served from the catalog in the index DB, falling back to scanning the directories.
 async function getCastFilesWithInfo() {
   try {
-    // Get list of all cast files from main directory
-    const mainDirFiles = await readdirAsync(CASTS_DIR);
-    const mainDirCastFiles = mainDirFiles
-      .filter(file => file.endsWith('.cast') && file !== 'zip');  // Exclude 'zip' directory itself
-    
-    // Get all info files from zip directory
-    let zipFiles = [];
-    try {
-      const zipDirFiles = await readdirAsync(ZIP_DIR);
-      zipFiles = zipDirFiles
-        .filter(file => file.endsWith('.gz.info'))
-        .map(file => file.slice(0, -8)); // Remove .gz.info to get original filename
-    } catch (err) {
-      console.log('Zip directory not accessible:', err.message);
+    const entries = await getCatalog();
+    if (entries.length > 0) {
+      return entries.map(entry => ({
+        filename: entry.filename,
+        // Entries catalogued before sources were kept get theirs on the next sync
+        source: entry.source || recordingSource(entry.filename),
+        duration: entry.duration,
+        tags: entry.tags,
+        title: entry.title,
+        description: entry.description,
+        date: entry.date,
+        time: entry.time,
+        timestamp: entry.timestamp,
+        width: entry.width,
+        height: entry.height,
+        size: entry.fileSize,
+        compressed: entry.compressed
+      }));
     }
-    
-    // Combine file lists (original files + files that only exist in zip directory)
-    const uniqueFilenames = new Set([...mainDirCastFiles, ...zipFiles]);
+  } catch (err) {
+    console.error('Catalog not available, scanning directories:', err.message);
+  }
+  
+  return scanCastFilesWithInfo();
+}
+
+// Helper function to gather the same info by reading the directories directly
+async function scanCastFilesWithInfo() {
+  try {
+    // Every recording in every cast root, its compressed copy if it has one
+    const castFiles = await listRecordingFiles();
     
     // Process each file to collect specified info
     const results = [];
     
-    for (const filename of uniqueFilenames) {
-      // Get date info from filename
-      const dateInfo = parseFilenameDate(filename);
-      
-      // Skip files that don't match our timestamp pattern
-      if (!dateInfo) continue;
-      
+    for (const [filename, file] of castFiles) {
       // Get duration from info file or by parsing the cast file
       let duration = null;
-      const infoData = await getInfoFileData(filename);
+      let size = null;
+      let mtimeMs = null;
+      const compressed = file.compressed;
+      const infoData = compressed ? await getInfoFileData(filename) : null;
+      const filePath = file.path;
       
       if (infoData && typeof infoData.duration === 'number') {
         duration = infoData.duration;
-      } else {
-        // Fallback to extracting from the original file if it exists
-        const filePath = path.join(CASTS_DIR, filename);
-        try {
-          await accessAsync(filePath, fs.constants.F_OK);
+        size = infoData.compressed_size || null;
+      }
+      
+      try {
+        const stats = await statAsync(filePath);
+        mtimeMs = stats.mtimeMs;
+        if (duration === null) {
+          // Fallback to extracting from the file itself
+          size = stats.size;
           duration = await getRecordingDuration(filePath);
-        } catch (err) {
-          // File doesn't exist in the original directory, can't get duration
-          console.error(`File access error for ${filePath}:`, err);
         }
+      } catch (err) {
+        // File doesn't exist (any more), can't get duration
+        console.error(`File access error for ${filePath}:`, err);
       }
       
-      // Add to results with only the specified info
+      // Date from the filename, else from the header or the file's modification time
+      const header = await readCastHeader(filePath).catch(() => null);
+      const dateInfo = recordingDate(filename, header, mtimeMs);
+      if (!dateInfo) continue;
+      
       results.push({
         filename,
+        source: recordingSource(filename),
         duration,
         tags: dateInfo.tags || [],
-        date: dateInfo.date
+        title: null,
+        description: null,
+        date: dateInfo.date,
+        time: dateInfo.time,
+        timestamp: dateInfo.dateObj.getTime(),
+        width: null,
+        height: null,
+        size,
+        compressed
       });
     }
     
@@ -120,40 +171,11 @@ app.get('/', async (req, res) => {
 });
 
 // Helper function to extract recording duration from .cast file
+// (reads only the end of the file when the format allows it)
 async function getRecordingDuration(filePath) {
   try {
-    // Read first line to get header data
-    const data = await readFileAsync(filePath, 'utf8');
-    const lines = data.split('\n');
-    
-    if (lines.length < 2) {
-      return null;
-    }
-    
-    const header = JSON.parse(lines[0]);
-    if (header.version === 2 && header.duration) {
-      return header.duration;
-    }
-    
-    // For version 2 files without duration in header, or version 1 files,
-    // we need to find the timestamp of the last event
-    let lastTimestamp = 0;
-    
-    // Sample a few lines from the end to find timestamps
-    const sampleLines = lines.slice(-100).filter(line => line.trim());
-    
-    for (const line of sampleLines) {
-      try {
-        const event = JSON.parse(line);
-        if (Array.isArray(event) && typeof event[0] === 'number') {
-          lastTimestamp = Math.max(lastTimestamp, event[0]);
-        }
-      } catch (e) {
-        // Skip lines that aren't valid JSON
-      }
-    }
-    
-    return lastTimestamp > 0 ? lastTimestamp : null;
+    const { duration } = await probeDuration(filePath);
+    return duration;
   } catch (e) {
     console.error(`Error extracting duration from ${filePath}:`, e);
     return null;
@@ -180,12 +202,23 @@ app.get('/search', async (req, res) => {
     
     castFilesInfo.forEach(fileInfo => {
       if (fileInfo.tags && Array.isArray(fileInfo.tags)) {
-        fileInfo.tags.forEach(tag => allTags.add(tag));
+        // Offer parent tags too, filtering on them matches everything below
+        fileInfo.tags.forEach(tag => tagWithParents(tag).forEach(parent => allTags.add(parent)));
       }
     });
     
+    // A /search?q= link fills in the search and runs it
+    const parsedPage = parseInt(req.query.page, 10);
+    const parsedLimit = parseInt(req.query.limit, 10);
+    
     res.render('search', { 
-      availableTags: Array.from(allTags).sort()
+      availableTags: Array.from(allTags).sort(),
+      availableSources: SOURCES.length > 1 ? SOURCES.map(source => source.name) : [],
+      q: typeof req.query.q === 'string' ? req.query.q : '',
+      mode: SEARCH_MODES.includes(req.query.mode) ? req.query.mode : 'simple',
+      sort: SEARCH_SORTS.includes(req.query.sort) ? req.query.sort : 'relevance',
+      page: parsedPage > 0 ? parsedPage : 1,
+      limit: [10, 25, 50, 100].includes(parsedLimit) ? parsedLimit : 50
     });
   } catch (err) {
     console.error('Error preparing search page:', err);
@@ -193,85 +226,34 @@ app.get('/search', async (req, res) => {
   }
 });
 
-// Timeline view - organized by date
-app.get('/timeline', async (req, res) => {
-  try {
-    // Get all cast files with their info
-    const castFilesInfo = await getCastFilesWithInfo();
-    
-    // Group recordings by date
-    const recordingsByDate = {};
-    
-    // Process each file
-    for (const fileInfo of castFilesInfo) {
-      const dateInfo = parseFilenameDate(fileInfo.filename);
-      const durationFormatted = formatDuration(fileInfo.duration);
-      
-      // If this date doesn't exist yet, create an array for it
-      if (!recordingsByDate[fileInfo.date]) {
-        recordingsByDate[fileInfo.date] = [];
-      }
-      
-      // Add this recording to its date group
-      recordingsByDate[fileInfo.date].push({
-        filename: fileInfo.filename,
-        timeString: dateInfo.time.replace(/:/g, ':'),
-        dateObj: dateInfo.dateObj,
-        duration: fileInfo.duration,
-        durationFormatted,
-        tags: fileInfo.tags,
-        tagsString: fileInfo.tags.join(', ')
-      });
-    }
-    
-    // Sort recordings within each date by time
-    Object.keys(recordingsByDate).forEach(date => {
-      recordingsByDate[date].sort((a, b) => {
-        if (a.dateObj && b.dateObj) {
-          return b.dateObj - a.dateObj; // Newest first
-        }
-        return 0;
-      });
-    });
-    
-    // Helper function to format dates nicely
-    const formatDate = (dateString) => {
-      try {
-        const date = new Date(dateString);
-        return date.toLocaleDateString('en-US', { 
-          weekday: 'long', 
-          year: 'numeric', 
-          month: 'long', 
-          day: 'numeric' 
-        });
-      } catch (e) {
-        return dateString;
-      }
-    };
-    
-    res.render('timeline', { 
-      recordingsByDate, 
-      formatDate,
-      activeFile: req.query.file || null
-    });
-  } catch (err) {
-    console.error('Error reading casts directory:', err);
-    return res.status(500).send('Error reading casts directory');
-  }
+// Timeline view - organized by date, or by source with ?group=source;
+// the sidebar loads the recordings from /api/casts as it is scrolled
+app.get('/timeline', (req, res) => {
+  res.render('timeline', { 
+    groupBy: req.query.group === 'source' ? 'source' : 'date',
+    sources: SOURCES.map(source => source.name),
+    activeFile: req.query.file || null
+  });
 });
 
+// Recording key of a /casts/ or /play/ URL, which has the source and
+// subdirectories of the recording in its path
+function recordingParam(req) {
+  return req.params.filename.join('/');
+}
+
 // Serve gzipped cast files with appropriate headers
-app.get('/casts/:filename', (req, res) => {
-  const filename = req.params.filename;
+app.get('/casts/*filename', (req, res) => {
+  const filename = recordingParam(req);
   
   // Validate filename to prevent directory traversal
-  if (!filename.match(/^[a-zA-Z0-9_\-\.]+\.cast$/)) {
+  if (!parseRecordingKey(filename)) {
     return res.status(400).send('Invalid filename');
   }
   
   // Check if we have a gzipped version
-  const zipFilePath = path.join(ZIP_DIR, `${filename}.gz`);
-  const originalFilePath = path.join(CASTS_DIR, filename);
+  const zipFilePath = recordingPath(filename, true);
+  const originalFilePath = recordingPath(filename, false);
   
   fs.access(zipFilePath, fs.constants.F_OK, (err) => {
     if (!err) {
@@ -288,43 +270,238 @@ app.get('/casts/:filename', (req, res) => {
 });
 
 // Player route
-app.get('/play/:filename', (req, res) => {
-  const filename = req.params.filename;
+app.get('/play/*filename', (req, res) => {
+  const filename = recordingParam(req);
   // Validate filename to prevent directory traversal
-  if (!filename.match(/^[a-zA-Z0-9_\-\.]+\.cast$/)) {
+  if (!parseRecordingKey(filename)) {
     return res.status(400).send('Invalid filename');
   }
   
   // Get timestamp parameter for jumping to a specific point
   const startAt = req.query.t ? parseFloat(req.query.t) : null;
   
-  res.render('player', { filename, startAt });
+  // Recordings that haven't been compressed yet may still be growing
+  const liveAvailable = fs.existsSync(recordingPath(filename, false)) &&
+    !fs.existsSync(recordingPath(filename, true));
+  const live = liveAvailable && (req.query.live === '1' || req.query.live === 'true');
+  
+  // Opened from a search result: the find bar starts with that search
+  const search = !live && typeof req.query.q === 'string' && req.query.q
+    ? { query: req.query.q, mode: SEARCH_MODES.includes(req.query.mode) ? req.query.mode : 'simple' }
+    : null;
+  
+  res.render('player', { filename, startAt: live ? null : startAt, live, liveAvailable, search });
 });
 
-// Search API endpoint
+// The non-empty strings of a request value given once or as a list
+function stringList(value) {
+  return [].concat(value || []).filter(item => typeof item === 'string' && item);
+}
+
+// Read the filters, order and page of a recordings listing request
+//
+// Returns the listRecordings options, or an error for a 400 response.
+// Repeated tag= and source= parameters match any of the values.
+function readListRequest(query) {
+  const { dateFrom, dateTo, minDuration, maxDuration, title, cursor, sort = 'newest', limit = '50' } = query;
+  
+  if (!LIST_SORTS.includes(sort)) {
+    return { error: `Sort must be one of: ${LIST_SORTS.join(', ')}` };
+  }
+  
+  if ([dateFrom, dateTo].some(date => date !== undefined && !isValidDate(date))) {
+    return { error: 'Dates must be days that exist, given as YYYY-MM-DD' };
+  }
+  
+  const durations = [minDuration, maxDuration].map(value => value === undefined ? null : Number(value));
+  if (durations.some(value => value !== null && !(value >= 0))) {
+    return { error: 'Durations must be given as seconds' };
+  }
+  
+  const pageSize = Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LIST_LIMIT) {
+    return { error: `Limit must be between 1 and ${MAX_LIST_LIMIT}` };
+  }
+  
+  const after = cursor === undefined ? null : parseCursor(String(cursor), sort);
+  if (cursor !== undefined && !after) {
+    return { error: 'Invalid cursor' };
+  }
+  
+  return {
+    options: {
+      tags: stringList(query.tag),
+      sources: stringList(query.source),
+      dateFrom: dateFrom || null,
+      dateTo: dateTo || null,
+      minDuration: durations[0],
+      maxDuration: durations[1],
+      title: typeof title === 'string' && title.trim() ? title.trim() : null,
+      sort,
+      after,
+      limit: pageSize
+    }
+  };
+}
+
+// Recordings listing API: a page of the catalog at a time, the next one
+// asked for with the nextCursor of the last
+app.get('/api/casts', async (req, res) => {
+  const request = readListRequest(req.query);
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
+  }
+  
+  try {
+    const { recordings: entries, nextCursor } = await listRecordings(request.options);
+    res.json({
+      recordings: entries.map(entry => ({
+        filename: entry.filename,
+        source: entry.source || recordingSource(entry.filename),
+        date: entry.date,
+        time: entry.time,
+        timestamp: entry.timestamp,
+        duration: entry.duration,
+        tags: entry.tags,
+        title: entry.title,
+        description: entry.description,
+        size: entry.fileSize,
+        compressed: entry.compressed
+      })),
+      nextCursor
+    });
+  } catch (err) {
+    console.error('Error listing recordings:', err);
+    res.status(500).json({ error: 'Error listing recordings' });
+  }
+});
+
+// Live stream of a recording in progress (Server-Sent Events)
+app.get('/api/casts/:filename/live', (req, res) => {
+  const filename = req.params.filename;
+  
+  // Validate filename to prevent directory traversal
+  if (!parseRecordingKey(filename)) {
+    return res.status(400).json({ error: 'Invalid filename' });
+  }
+  
+  const filePath = recordingPath(filename, false);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Recording is not in progress' });
+  }
+  
+  streamLiveCast(filePath, req, res);
+});
+
+// Read the query, mode, sort and filters of a search request
+//
+// Returns the text to search for and the searchCasts options, or an error
+// for a 400 response.
+function readSearchRequest(body) {
+  const { query, tags, sources, dateFrom, dateTo, mode = 'simple', sort = 'newest' } = body || {};
+  
+  if (!query || typeof query !== 'string' || query.length < 1) {
+    return { error: 'Valid search query is required' };
+  }
+  
+  if (!SEARCH_MODES.includes(mode)) {
+    return { error: `Search mode must be one of: ${SEARCH_MODES.join(', ')}` };
+  }
+  
+  if (!SEARCH_SORTS.includes(sort)) {
+    return { error: `Sort must be one of: ${SEARCH_SORTS.join(', ')}` };
+  }
+  
+  if ([dateFrom, dateTo].some(date => date && !isValidDate(date))) {
+    return { error: 'Dates must be days that exist, given as YYYY-MM-DD' };
+  }
+  
+  // Inline filters (tag:, after:, before:, host:, source:, type:) narrow the search
+  // further than the separate options; substring and regex queries are taken as written
+  const filters = parseSearchQuery(query, mode);
+  if (!filters.text.trim()) {
+    return { error: 'Give some text to search for next to the filters' };
+  }
+  
+  // Cleaned up like the tag: filters
+  let pickedTags;
+  try {
+    pickedTags = normalizeTags(stringList(tags));
+  } catch (err) {
+    return { error: err.message };
+  }
+  
+  return {
+    text: filters.text,
+    options: {
+      tags: pickedTags.concat(filters.tags),
+      dateFrom: [dateFrom, filters.dateFrom].filter(Boolean).sort().pop() || null,
+      dateTo: [dateTo, filters.dateTo].filter(Boolean).sort().shift() || null,
+      hosts: filters.hosts,
+      sources: stringList(sources).concat(filters.sources),
+      types: filters.types,
+      mode,
+      sort
+    }
+  };
+}
+
+// Send the error of a search
+function sendSearchError(res, err) {
+  if (err instanceof QuerySyntaxError) {
+    return res.status(400).json({ error: err.message, position: err.position });
+  }
+  if (err instanceof SearchTimeoutError) {
+    return res.status(422).json({ error: `${err.message}; try a more specific pattern` });
+  }
+  console.error('Search error:', err);
+  res.status(500).json({ error: 'An error occurred during search' });
+}
+
+// Format a search hit for the API
+//
+// Play links carry the search, so the player's find bar can list the other
+// hits of the recording.
+function formatHit(hit, body) {
+  const search = new URLSearchParams({ q: body.query });
+  if (body.mode && body.mode !== 'simple') {
+    search.set('mode', body.mode);
+  }
+  
+  return {
+    snippet: hit.snippet,
+    matches: hit.matches || [],
+    filename: hit.filename,
+    // Dated in DISPLAY_TIMEZONE, like the timeline
+    ...(typeof hit.timestamp === 'number' ? formatInZone(hit.timestamp, DISPLAY_TIMEZONE) : { date: hit.date, time: hit.time }),
+    timeOffset: hit.time_offset || 0,
+    timeFormatted: formatDuration(hit.time_offset),
+    tags: hit.tags ? hit.tags.split(', ') : [],
+    annotationId: hit.annotation_id || null,
+    playUrl: `/play/${hit.filename}?t=${hit.time_offset || 0}&${search}` +
+      (hit.annotation_id ? `#annotation-${hit.annotation_id}` : '')
+  };
+}
+
+// Search API endpoint: one result per recording, with its first hits
 app.post('/api/search', async (req, res) => {
   try {
-    const { query, tags, dateFrom, dateTo, limit, timeWindow, page } = req.body;
-    
-    if (!query || typeof query !== 'string' || query.length < 1) {
-      return res.status(400).json({ error: 'Valid search query is required' });
+    const request = readSearchRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
     }
     
     // Calculate offset for pagination
+    const { page, limit } = req.body;
     const currentPage = parseInt(page, 10) || 1;
     const resultsPerPage = parseInt(limit, 10) || 50;
     const offset = (currentPage - 1) * resultsPerPage;
     
-    const options = { 
-      tags: Array.isArray(tags) ? tags : [],
-      dateFrom,
-      dateTo,
+    const { results, total, truncated = false, error } = await searchCasts(request.text, {
+      ...request.options,
       limit: resultsPerPage,
-      offset,
-      timeWindow: timeWindow || 10 // Default to 10 minutes if not specified
-    };
-    
-    const { results, total, error } = await searchCasts(query, options);
+      offset
+    });
     
     // Check for search errors
     if (error) {
@@ -332,36 +509,227 @@ app.post('/api/search', async (req, res) => {
       return res.status(500).json({ error: `Search error: ${error}` });
     }
     
-    // Format results with additional contextual information
-    const formattedResults = results.map(result => {
-      return {
-        snippet: result.snippet,
-        filename: result.filename,
-        date: result.date,
-        time: result.time,
-        timeOffset: result.time_offset || 0,
-        timeFormatted: formatDuration(result.time_offset),
-        tags: result.tags ? result.tags.split(', ') : [],
-        playUrl: `/play/${result.filename}?t=${result.time_offset || 0}`
-      };
-    });
+    // Each recording is shown as its first hit, with the others after it
+    const formattedResults = results.map(result => ({
+      ...formatHit(result, req.body),
+      hitCount: result.hit_count,
+      hits: result.hits.map(hit => formatHit(hit, req.body))
+    }));
     
     // Calculate pagination metadata
     const totalPages = Math.ceil(total / resultsPerPage);
     const hasMore = currentPage < totalPages;
     
     res.json({
-      query,
+      query: req.body.query,
       page: currentPage,
       totalPages,
       hasMore,
       totalCount: total,
       count: results.length,
+      truncated,
       results: formattedResults
     });
   } catch (err) {
-    console.error('Search error:', err);
-    res.status(500).json({ error: 'An error occurred during search' });
+    sendSearchError(res, err);
+  }
+});
+
+// Every hit of a search inside one recording, in playback order
+app.post('/api/search/:filename', async (req, res) => {
+  const filename = req.params.filename;
+  
+  // Validate filename to prevent directory traversal
+  if (!parseRecordingKey(filename)) {
+    return res.status(400).json({ error: 'Invalid filename' });
+  }
+  
+  try {
+    const request = readSearchRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+    
+    const limit = Math.min(parseInt(req.body.limit, 10) || MAX_RECORDING_HITS, MAX_RECORDING_HITS);
+    const offset = Math.max(parseInt(req.body.offset, 10) || 0, 0);
+    
+    const { results, total, truncated = false, error } = await searchCasts(request.text, {
+      ...request.options,
+      filename,
+      limit,
+      offset
+    });
+    
+    if (error) {
+      console.error('Search returned an error:', error);
+      return res.status(500).json({ error: `Search error: ${error}` });
+    }
+    
+    res.json({
+      query: req.body.query,
+      filename,
+      totalCount: total,
+      offset,
+      hasMore: offset + results.length < total,
+      truncated,
+      hits: results.map(hit => formatHit(hit, req.body))
+    });
+  } catch (err) {
+    sendSearchError(res, err);
+  }
+});
+
+// Commands run in a recording, as extracted by the commands indexing strategy
+app.get('/api/casts/:filename/commands', async (req, res) => {
+  const filename = req.params.filename;
+  
+  // Validate filename to prevent directory traversal
+  if (!parseRecordingKey(filename)) {
+    return res.status(400).json({ error: 'Invalid filename' });
+  }
+  
+  try {
+    const { commands, indexed } = await getCastCommands(filename);
+    
+    res.json({
+      filename,
+      indexed,
+      count: commands.length,
+      commands: commands.map(command => ({
+        command: command.command,
+        startOffset: command.start_offset,
+        endOffset: command.end_offset,
+        startFormatted: formatDuration(command.start_offset),
+        output: command.output || ''
+      }))
+    });
+  } catch (err) {
+    console.error('Error getting commands:', err);
+    res.status(500).json({ error: 'Failed to retrieve commands' });
+  }
+});
+
+// Send the error of a recording management call
+function sendRecordingError(res, err, action) {
+  if (err instanceof recordings.RecordingError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`Error trying to ${action}:`, err);
+  res.status(500).json({ error: `Failed to ${action}` });
+}
+
+// Rename a recording or change its tags, title or description
+app.patch('/api/casts/:filename', async (req, res) => {
+  try {
+    const { filename, tags, title, description } = req.body || {};
+    const result = await recordings.updateRecording(req.params.filename, { filename, tags, title, description });
+    res.json(result);
+  } catch (err) {
+    sendRecordingError(res, err, 'update recording');
+  }
+});
+
+// Move a recording to the trash
+app.delete('/api/casts/:filename', async (req, res) => {
+  try {
+    const result = await recordings.deleteRecording(req.params.filename);
+    res.json({ ...result, trashed: true });
+  } catch (err) {
+    sendRecordingError(res, err, 'delete recording');
+  }
+});
+
+// Format an annotation for the API
+function formatAnnotation(annotation) {
+  return {
+    id: annotation.id,
+    timeOffset: annotation.timeOffset,
+    timeFormatted: formatDuration(annotation.timeOffset),
+    text: annotation.text,
+    createdAt: annotation.createdAt,
+    updatedAt: annotation.updatedAt
+  };
+}
+
+// Bookmarks and notes of a recording
+app.get('/api/casts/:filename/annotations', async (req, res) => {
+  try {
+    const result = await annotations.listAnnotations(req.params.filename);
+    res.json({ filename: req.params.filename, annotations: result.map(formatAnnotation) });
+  } catch (err) {
+    sendRecordingError(res, err, 'list annotations');
+  }
+});
+
+app.post('/api/casts/:filename/annotations', async (req, res) => {
+  try {
+    const { timeOffset, text } = req.body || {};
+    const result = await annotations.addAnnotation(req.params.filename, { timeOffset, text });
+    res.status(201).json(formatAnnotation(result));
+  } catch (err) {
+    sendRecordingError(res, err, 'add annotation');
+  }
+});
+
+app.patch('/api/casts/:filename/annotations/:id', async (req, res) => {
+  try {
+    const { timeOffset, text } = req.body || {};
+    const result = await annotations.updateAnnotation(req.params.filename, req.params.id, { timeOffset, text });
+    res.json(formatAnnotation(result));
+  } catch (err) {
+    sendRecordingError(res, err, 'update annotation');
+  }
+});
+
+app.delete('/api/casts/:filename/annotations/:id', async (req, res) => {
+  try {
+    const result = await annotations.deleteAnnotation(req.params.filename, req.params.id);
+    res.json({ ...result, deleted: true });
+  } catch (err) {
+    sendRecordingError(res, err, 'delete annotation');
+  }
+});
+
+// List deleted recordings
+app.get('/api/trash', async (req, res) => {
+  try {
+    res.json({ recordings: await recordings.listTrash() });
+  } catch (err) {
+    sendRecordingError(res, err, 'list trash');
+  }
+});
+
+// Restore a deleted recording
+app.post('/api/trash/:filename/restore', async (req, res) => {
+  try {
+    const result = await recordings.restoreRecording(req.params.filename);
+    res.json({ ...result, restored: true });
+  } catch (err) {
+    sendRecordingError(res, err, 'restore recording');
+  }
+});
+
+// Multipart bodies are read whole and parsed in utils/uploads.js
+const readUploadBody = express.raw({ type: 'multipart/form-data', limit: uploads.MAX_UPLOAD_SIZE });
+
+// Upload a recording with `asciinema upload` (ASCIINEMA_API_URL set to this server)
+app.post('/api/asciicasts', (req, res, next) => {
+  readUploadBody(req, res, (err) => {
+    if (!err) return next();
+    res.status(err.status || 400).json({
+      error: err.type === 'entity.too.large' ? 'Recording is too large' : err.message
+    });
+  });
+}, async (req, res) => {
+  try {
+    const { filename, created } = await uploads.receiveUpload(req.headers, req.body);
+    const url = `${req.protocol}://${req.get('host')}/play/${filename}`;
+
+    res.status(created ? 201 : 200)
+      .location(url)
+      .json({ url, message: `View the recording at:\n\n    ${url}\n` });
+  } catch (err) {
+    sendRecordingError(res, err, 'upload recording');
   }
 });
 
@@ -376,8 +744,90 @@ app.get('/api/index/stats', async (req, res) => {
   }
 });
 
+// Index administration page
+app.get('/admin/index', (req, res) => {
+  res.render('admin-index');
+});
+
+// Index state of every recording
+app.get('/api/index/files', async (req, res) => {
+  try {
+    const files = await getIndexFiles();
+    res.json({ files });
+  } catch (err) {
+    console.error('Error getting index state:', err);
+    res.status(500).json({ error: 'Failed to retrieve index state' });
+  }
+});
+
+// Send the error of an index job call
+function sendIndexJobError(res, err) {
+  if (err instanceof indexJobs.IndexJobError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error('Error starting index job:', err);
+  res.status(500).json({ error: 'Failed to start index job' });
+}
+
+// Indexing jobs run by the server, newest first
+app.get('/api/index/jobs', (req, res) => {
+  res.json({ jobs: indexJobs.listIndexJobs() });
+});
+
+// Start a reindex: {"type": "incremental" | "full" | "file", "filename": "<file>.cast"}
+app.post('/api/index/jobs', (req, res) => {
+  try {
+    const job = indexJobs.startIndexJob(req.body || {});
+    res.status(202).json(job);
+  } catch (err) {
+    sendIndexJobError(res, err);
+  }
+});
+
+app.get('/api/index/jobs/:id', (req, res) => {
+  const job = indexJobs.getIndexJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+// Progress of a job as Server-Sent Events: the job on every change, then
+// "event: done" once it has finished
+app.get('/api/index/jobs/:id/events', (req, res) => {
+  const job = indexJobs.getIndexJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+  
+  const send = (current) => {
+    res.write(`data: ${JSON.stringify(current)}\n\n`);
+    if (current.state !== 'running') {
+      stop();
+      res.write('event: done\ndata: {}\n\n');
+      res.end();
+    }
+  };
+  
+  const stop = indexJobs.followIndexJob(job.id, send);
+  req.on('close', stop);
+  send(job);
+});
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
-  console.log(`Place your .cast files in: ${CASTS_DIR}`);
+  for (const source of SOURCES) {
+    console.log(`Place your .cast files in: ${source.dir}` + (SOURCES.length > 1 ? ` (${source.name})` : ''));
+  }
+  
+  // Optionally compress and index new recordings as they arrive
+  if (process.env.WATCH_CASTS === '1' || process.env.WATCH_CASTS === 'true') {
+    watchCasts();
+  }
 });
@@ -1,7 +1,12 @@
 #!/usr/bin/env node
 'use strict';
 
-const { CASTS_DIR, ZIP_DIR } = require('./utils/config');
+const { CASTS_DIR, ZIP_DIR, SOURCES } = require('./utils/config');
 
 console.log('CASTS_DIR:', CASTS_DIR);
 console.log('ZIP_DIR:', ZIP_DIR);
+if (SOURCES.length > 1) {
+  for (const source of SOURCES) {
+    console.log(`Source ${source.name}:`, source.dir);
+  }
+}
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'annotations-test-'));
+const castsDir = path.join(root, 'casts');
+process.env.CASTS_DIR = castsDir;
+process.env.INDEX_DB_PATH = path.join(root, 'index.db');
+
+const annotations = require('../utils/annotations');
+const recordings = require('../utils/recordings');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+describe('annotations', () => {
+  const filename = 'asciinema_2025-04-04_13-56-53.cast';
+
+  beforeEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.mkdirSync(castsDir, { recursive: true });
+    fs.writeFileSync(path.join(castsDir, filename), fixture('v2.cast'));
+  });
+
+  afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test('adds, edits and deletes annotations in playback order', async () => {
+    const late = await annotations.addAnnotation(filename, { timeOffset: 30, text: ' Deploy done ' });
+    const early = await annotations.addAnnotation(filename, { timeOffset: 2.5, text: 'Start' });
+    expect(late).toMatchObject({ filename, timeOffset: 30, text: 'Deploy done' });
+
+    expect((await annotations.listAnnotations(filename)).map(a => a.text)).toEqual(['Start', 'Deploy done']);
+
+    const edited = await annotations.updateAnnotation(filename, String(early.id), { timeOffset: 40, text: 'Cleanup' });
+    expect(edited).toMatchObject({ id: early.id, timeOffset: 40, text: 'Cleanup' });
+    expect((await annotations.listAnnotations(filename)).map(a => a.text)).toEqual(['Deploy done', 'Cleanup']);
+
+    await annotations.deleteAnnotation(filename, late.id);
+    expect((await annotations.listAnnotations(filename)).map(a => a.id)).toEqual([early.id]);
+  });
+
+  test('rejects invalid annotations and unknown recordings', async () => {
+    await expect(annotations.addAnnotation(filename, { timeOffset: -1, text: 'x' }))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(annotations.addAnnotation(filename, { timeOffset: 1, text: '   ' }))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(annotations.addAnnotation('asciinema_2025-01-01_00-00-00.cast', { timeOffset: 1, text: 'x' }))
+      .rejects.toMatchObject({ status: 404 });
+
+    const { id } = await annotations.addAnnotation(filename, { timeOffset: 1, text: 'x' });
+    await expect(annotations.updateAnnotation('asciinema_2025-01-01_00-00-00.cast', id, { text: 'y' }))
+      .rejects.toMatchObject({ status: 404 });
+    await expect(annotations.deleteAnnotation(filename, 'abc'))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  test('follow a renamed recording', async () => {
+    await annotations.addAnnotation(filename, { timeOffset: 1, text: 'Kept' });
+    const renamed = 'asciinema_2025-04-04_13-56-53_tags_work.cast';
+    await recordings.updateRecording(filename, { filename: renamed });
+
+    expect(await annotations.listAnnotations(filename)).toEqual([]);
+    expect((await annotations.listAnnotations(renamed)).map(a => a.text)).toEqual(['Kept']);
+  });
+});
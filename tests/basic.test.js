@@ -0,0 +1,20 @@
+const { indexEvents } = require('../utils/indexer/strategies/basic');
+
+describe('basic strategy', () => {
+  test('indexes output without the keystrokes and sizes of the recording', async () => {
+    const events = [
+      [0.1, 'o', '$ '],
+      [0.2, 'i', 'ls\r'],
+      [0.2, 'o', '\x1b[1mls\x1b[0m\r\n'],
+      [0.3, 'r', '120x40'],
+      [0.4, 'm', 'marker'],
+      [0.5, 'o', 'a.txt\r\n']
+    ];
+    const rows = [];
+
+    const count = await indexEvents({ events }, { addContent: (content, time) => rows.push([content, time]) });
+
+    expect(count).toBe(3);
+    expect(rows).toEqual([['$ ', 0.1], ['ls\n', 0.2], ['a.txt\n', 0.5]]);
+  });
+});
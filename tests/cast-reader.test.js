@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const os = require('os');
+const { parseCast, extractDuration, readCastFile, openCastStream, probeDuration } = require('../utils/cast-reader');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('parseCast', () => {
+  test('normalizes a v3 header from its term fields', () => {
+    const { header } = parseCast(fixture('v3.cast'));
+
+    expect(header.version).toBe(3);
+    expect(header.width).toBe(100);
+    expect(header.height).toBe(30);
+    expect(header.timestamp).toBe(1743775013);
+    expect(header.idleTimeLimit).toBe(2);
+    expect(header.title).toBe('deploy');
+    expect(header.env).toEqual({ SHELL: '/bin/zsh', TERM: 'xterm-256color' });
+  });
+
+  test('turns v3 intervals into absolute times and skips comments', () => {
+    const { events } = parseCast(fixture('v3.cast'));
+
+    expect(events).toEqual([
+      [0.25, 'o', '$ '],
+      [1.25, 'o', 'ls\r\n'],
+      [1.75, 'o', 'a.txt\r\n'],
+      [2.5, 'r', '120x40'],
+      [5.0, 'o', '$ ']
+    ]);
+  });
+
+  test('keeps v2 times as they are and skips invalid lines', () => {
+    const { header, events } = parseCast(fixture('v2.cast'));
+
+    expect(header.version).toBe(2);
+    expect(header.width).toBe(80);
+    expect(header.height).toBe(24);
+    expect(events).toEqual([
+      [0.25, 'o', '$ '],
+      [1.25, 'o', 'ls\r\n'],
+      [1.75, 'o', 'a.txt\r\n'],
+      [5.0, 'o', '$ ']
+    ]);
+  });
+
+  test('reads v1 documents as output events', () => {
+    const { header, events } = parseCast(fixture('v1.json'));
+
+    expect(header.version).toBe(1);
+    expect(header.title).toBe('old');
+    expect(events).toEqual([
+      [0.5, 'o', '$ '],
+      [0.75, 'o', 'ls\r\n'],
+      [1.5, 'o', 'a.txt\r\n']
+    ]);
+  });
+
+  test('rejects a file without a header', () => {
+    expect(() => parseCast('[0.5, "o", "hi"]\n')).toThrow('header is not a JSON object');
+    expect(() => parseCast('garbage\n')).toThrow('cannot parse header');
+  });
+});
+
+describe('extractDuration', () => {
+  test('sums v3 intervals', () => {
+    expect(extractDuration(fixture('v3.cast'))).toEqual({
+      duration: 5.0,
+      source: 'sum of v3 intervals',
+      version: 3
+    });
+  });
+
+  test('uses the last v2 timestamp', () => {
+    expect(extractDuration(fixture('v2.cast'))).toEqual({
+      duration: 5.0,
+      source: 'last v2 timestamp',
+      version: 2
+    });
+  });
+
+  test('prefers header.duration when present', () => {
+    expect(extractDuration(fixture('v1.json'))).toEqual({
+      duration: 1.5,
+      source: 'header.duration',
+      version: 1
+    });
+  });
+
+  test('fails when there are no events', () => {
+    expect(() => extractDuration('{"version": 3, "term": {"cols": 80, "rows": 24}}\n')).toThrow();
+  });
+});
+
+describe('readCastFile', () => {
+  test('reads gzipped files', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cast-reader-'));
+    const gzPath = path.join(dir, 'v3.cast.gz');
+    fs.writeFileSync(gzPath, zlib.gzipSync(fixture('v3.cast')));
+
+    try {
+      const { header, events } = await readCastFile(gzPath);
+      expect(header.version).toBe(3);
+      expect(events[events.length - 1][0]).toBe(5.0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('openCastStream', () => {
+  test('yields the same events as parseCast', async () => {
+    for (const name of ['v1.json', 'v2.cast', 'v3.cast']) {
+      const filePath = path.join(__dirname, 'fixtures', name);
+      const { header, events } = await openCastStream(filePath);
+      const streamed = [];
+      for await (const event of events) streamed.push(event);
+
+      expect(header).toEqual(parseCast(fixture(name)).header);
+      expect(streamed).toEqual(parseCast(fixture(name)).events);
+    }
+  });
+});
+
+describe('probeDuration', () => {
+  test('matches extractDuration for every version', async () => {
+    for (const name of ['v1.json', 'v2.cast', 'v3.cast']) {
+      const probed = await probeDuration(path.join(__dirname, 'fixtures', name));
+      expect(probed).toEqual(extractDuration(fixture(name)));
+    }
+  });
+
+  test('finds the last event of a v2 file larger than one read chunk', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cast-reader-'));
+    const castPath = path.join(dir, 'long.cast');
+    const lines = ['{"version": 2, "width": 80, "height": 24}'];
+    for (let i = 1; i <= 5000; i++) {
+      lines.push(JSON.stringify([i / 10, 'o', `line ${i} — ünïcödé\r\n`]));
+    }
+    fs.writeFileSync(castPath, lines.join('\n') + '\n\n');
+
+    try {
+      expect(await probeDuration(castPath)).toEqual({
+        duration: 500,
+        source: 'last v2 timestamp',
+        version: 2
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('finds the only event of a v2 file, on the line after the header', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cast-reader-'));
+    const castPath = path.join(dir, 'short.cast');
+    fs.writeFileSync(castPath, '{"version": 2, "width": 80, "height": 24}\n[1.5, "o", "$ "]\n');
+
+    try {
+      expect(await probeDuration(castPath)).toEqual({
+        duration: 1.5,
+        source: 'last v2 timestamp',
+        version: 2
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { tailCastFile } = require('../utils/cast-tail');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('tailCastFile', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tail-test-'));
+    file = path.join(dir, 'asciinema_2025-04-04_13-56-53.cast');
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const follow = () => {
+    const seen = { header: null, events: [], caughtUp: 0, end: null };
+    const ended = new Promise(resolve => {
+      seen.stop = tailCastFile(file, {
+        onHeader: header => { seen.header = header; },
+        onEvent: event => seen.events.push(event),
+        onCaughtUp: () => seen.caughtUp++,
+        onEnd: reason => { seen.end = reason; resolve(); }
+      }, { pollInterval: 20 });
+    });
+    return { seen, ended };
+  };
+
+  test('follows appended events until the file is removed', async () => {
+    fs.writeFileSync(file, '{"version": 2, "width": 80, "height": 24}\n[0.5, "o", "$ ls\\r\\n"]\n');
+    const { seen, ended } = follow();
+
+    await sleep(60);
+    expect(seen.header.width).toBe(80);
+    expect(seen.events).toEqual([[0.5, 'o', '$ ls\r\n']]);
+    expect(seen.caughtUp).toBe(1);
+
+    // A line is only used once it is complete
+    fs.appendFileSync(file, '[1.25, "o", "fi');
+    await sleep(60);
+    expect(seen.events).toHaveLength(1);
+
+    fs.appendFileSync(file, 'le\\r\\n"]\n');
+    await sleep(60);
+    expect(seen.events[1]).toEqual([1.25, 'o', 'file\r\n']);
+
+    fs.unlinkSync(file);
+    await ended;
+    expect(seen.end).toBe('removed');
+    expect(seen.caughtUp).toBe(1);
+  });
+
+  test('ends on the exit event of a v3 recording', async () => {
+    fs.writeFileSync(file, [
+      '{"version": 3, "term": {"cols": 100, "rows": 30}}',
+      '[0.5, "o", "hi"]',
+      '[0.5, "x", "0"]',
+      ''
+    ].join('\n'));
+    const { seen, ended } = follow();
+
+    await ended;
+    expect(seen.end).toBe('exit');
+    expect(seen.events).toEqual([[0.5, 'o', 'hi']]);
+  });
+
+  test('stops following when asked', async () => {
+    fs.writeFileSync(file, '{"version": 2, "width": 80, "height": 24}\n');
+    const { seen } = follow();
+
+    await sleep(60);
+    seen.stop();
+    fs.appendFileSync(file, '[1, "o", "late"]\n');
+    await sleep(60);
+
+    expect(seen.events).toEqual([]);
+    expect(seen.end).toBeNull();
+  });
+});
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const os = require('os');
+
+const castsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-test-'));
+const dbPath = path.join(os.tmpdir(), `${path.basename(castsDir)}.db`);
+process.env.CASTS_DIR = castsDir;
+process.env.INDEX_DB_PATH = dbPath;
+process.env.DISPLAY_TIMEZONE = 'UTC';
+
+const Database = require('better-sqlite3');
+const db = require('../utils/indexer/db');
+const { syncCatalog, getCatalog, parseCursor } = require('../utils/catalog');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+describe('syncCatalog', () => {
+  let database;
+
+  beforeEach(() => {
+    fs.rmSync(castsDir, { recursive: true, force: true });
+    fs.mkdirSync(path.join(castsDir, 'zip'), { recursive: true });
+    database = new Database(':memory:');
+    db.initDatabase(database);
+  });
+
+  afterEach(() => database.close());
+
+  afterAll(() => {
+    fs.rmSync(castsDir, { recursive: true, force: true });
+    fs.rmSync(dbPath, { force: true });
+  });
+
+  test('catalogs plain and compressed recordings', async () => {
+    fs.writeFileSync(path.join(castsDir, 'asciinema_2025-04-04_13-56-53_tags_work.cast'), fixture('v2.cast'));
+    fs.writeFileSync(path.join(castsDir, 'zip', 'asciinema_2025-04-03_09-00-00.cast.gz'), zlib.gzipSync(fixture('v3.cast')));
+    fs.writeFileSync(path.join(castsDir, 'zip', 'asciinema_2025-04-03_09-00-00.cast.gz.info'), JSON.stringify({ duration: 42, original_size: 347 }));
+
+    expect(await syncCatalog(database)).toEqual({ added: 2, updated: 0, removed: 0 });
+
+    const entries = db.getCatalogEntries(database);
+    expect(entries.map(entry => entry.filename)).toEqual([
+      'asciinema_2025-04-04_13-56-53_tags_work.cast',
+      'asciinema_2025-04-03_09-00-00.cast'
+    ]);
+    expect(entries[0]).toMatchObject({ tags: ['work'], time: '13:56:53', width: 80, height: 24, compressed: false });
+    expect(entries[1]).toMatchObject({ duration: 42, width: 100, height: 30, originalSize: 347, compressed: true });
+  });
+
+  test('dates recordings without a date in their name from the header or the file', async () => {
+    fs.writeFileSync(path.join(castsDir, 'demo.cast'), fixture('v2.cast'));
+    fs.writeFileSync(path.join(castsDir, 'tmp1a2b3c-ascii.cast'), '{"version": 2, "width": 80, "height": 24}\n[0.5, "o", "$ "]\n');
+    const written = new Date(Date.UTC(2025, 5, 1, 8, 30, 0));
+    fs.utimesSync(path.join(castsDir, 'tmp1a2b3c-ascii.cast'), written, written);
+
+    expect(await syncCatalog(database)).toEqual({ added: 2, updated: 0, removed: 0 });
+
+    expect(db.getCatalogEntry(database, 'demo.cast')).toMatchObject({
+      timestamp: 1743775013000,
+      tags: [],
+      width: 80
+    });
+    expect(db.getCatalogEntry(database, 'tmp1a2b3c-ascii.cast')).toMatchObject({
+      date: '2025-06-01',
+      time: '08:30:00',
+      timestamp: written.getTime()
+    });
+  });
+
+  test('takes tags and title from the sidecar over the filename', async () => {
+    const filename = 'asciinema_2025-04-04_13-56-53_tags_my-project.cast';
+    fs.writeFileSync(path.join(castsDir, filename), fixture('v2.cast'));
+    await syncCatalog(database);
+    expect(db.getCatalogEntry(database, filename).tags).toEqual(['my', 'project']);
+
+    fs.writeFileSync(path.join(castsDir, `${filename}.info`), JSON.stringify({ tags: ['my-project'], title: 'Release', host: 'laptop' }));
+    expect(await syncCatalog(database)).toEqual({ added: 0, updated: 1, removed: 0 });
+    expect(db.getCatalogEntry(database, filename)).toMatchObject({ tags: ['my-project'], title: 'Release', host: 'laptop' });
+  });
+
+  test('follows a recording into zip/ and drops removed ones', async () => {
+    const filename = 'asciinema_2025-04-04_13-56-53.cast';
+    fs.writeFileSync(path.join(castsDir, filename), fixture('v2.cast'));
+    await syncCatalog(database);
+
+    fs.writeFileSync(path.join(castsDir, 'zip', `${filename}.gz`), zlib.gzipSync(fixture('v2.cast')));
+    fs.unlinkSync(path.join(castsDir, filename));
+    expect(await syncCatalog(database)).toEqual({ added: 0, updated: 1, removed: 0 });
+    expect(db.getCatalogEntry(database, filename).compressed).toBe(true);
+
+    fs.unlinkSync(path.join(castsDir, 'zip', `${filename}.gz`));
+    expect(await syncCatalog(database)).toEqual({ added: 0, updated: 0, removed: 1 });
+    expect(db.getCatalogEntries(database)).toEqual([]);
+  });
+
+  test('drops plain recordings deleted from disk when listing', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const compressed = 'asciinema_2025-04-03_09-00-00.cast';
+    const deleted = 'asciinema_2025-04-04_13-56-53.cast';
+    fs.writeFileSync(path.join(castsDir, compressed), fixture('v3.cast'));
+    fs.writeFileSync(path.join(castsDir, deleted), fixture('v2.cast'));
+    expect((await getCatalog()).map(entry => entry.filename)).toEqual([deleted, compressed]);
+
+    fs.writeFileSync(path.join(castsDir, 'zip', `${compressed}.gz`), zlib.gzipSync(fixture('v3.cast')));
+    fs.unlinkSync(path.join(castsDir, compressed));
+    fs.unlinkSync(path.join(castsDir, deleted));
+
+    const entries = await getCatalog();
+    expect(entries.map(entry => [entry.filename, entry.compressed])).toEqual([[compressed, true]]);
+
+    fs.rmSync(dbPath, { force: true });
+    jest.restoreAllMocks();
+  });
+});
+
+describe('listCatalogEntries', () => {
+  let database;
+
+  // A catalog entry recorded on 2025-04-<day> at noon UTC
+  const entry = (filename, day, fields = {}) => ({
+    filename,
+    source: 'local',
+    date: `2025-04-${String(day).padStart(2, '0')}`,
+    time: '12:00:00',
+    timestamp: Date.UTC(2025, 3, day, 12),
+    timezone: null,
+    tags: [],
+    title: null,
+    description: null,
+    host: null,
+    duration: 60,
+    width: 80,
+    height: 24,
+    fileSize: 100,
+    originalSize: null,
+    compressed: false,
+    fileMtime: null,
+    metaMtime: null,
+    ...fields
+  });
+
+  const filenames = (result) => result.entries.map(item => item.filename);
+
+  beforeEach(() => {
+    database = new Database(':memory:');
+    db.initDatabase(database);
+    [
+      entry('a.cast', 1, { tags: ['client/acme'], duration: 300 }),
+      entry('b.cast', 2, { title: 'Deploy 100% of the fleet', duration: 10 }),
+      entry('c.cast', 3, { source: 'server', duration: null }),
+      entry('d.cast', 3, { tags: ['work'], duration: 90 }),
+      entry('e.cast', 4, { compressed: true })
+    ].forEach(item => db.upsertCatalogEntry(database, item));
+  });
+
+  afterEach(() => database.close());
+
+  test('pages through the catalog in order', () => {
+    const first = db.listCatalogEntries(database, { limit: 2 });
+    expect(filenames(first)).toEqual(['e.cast', 'd.cast']);
+    expect(first.last).toEqual({ value: Date.UTC(2025, 3, 3, 12), filename: 'd.cast' });
+
+    // c.cast has the same timestamp as d.cast, the filename breaks the tie
+    const second = db.listCatalogEntries(database, { limit: 2, after: first.last });
+    expect(filenames(second)).toEqual(['c.cast', 'b.cast']);
+
+    const third = db.listCatalogEntries(database, { limit: 2, after: second.last });
+    expect(filenames(third)).toEqual(['a.cast']);
+    expect(third.last).toBeNull();
+
+    expect(filenames(db.listCatalogEntries(database, { sort: 'oldest' })))
+      .toEqual(['a.cast', 'b.cast', 'c.cast', 'd.cast', 'e.cast']);
+    expect(filenames(db.listCatalogEntries(database, { sort: 'longest' })))
+      .toEqual(['a.cast', 'd.cast', 'e.cast', 'b.cast', 'c.cast']);
+  });
+
+  test('filters on tags, times, durations, sources and titles', () => {
+    expect(filenames(db.listCatalogEntries(database, { tags: ['client', 'work'] }))).toEqual(['d.cast', 'a.cast']);
+    expect(filenames(db.listCatalogEntries(database, {
+      from: Date.UTC(2025, 3, 2),
+      until: Date.UTC(2025, 3, 4)
+    }))).toEqual(['d.cast', 'c.cast', 'b.cast']);
+    expect(filenames(db.listCatalogEntries(database, { minDuration: 60, maxDuration: 90 }))).toEqual(['e.cast', 'd.cast']);
+    expect(filenames(db.listCatalogEntries(database, { sources: ['server'] }))).toEqual(['c.cast']);
+    expect(filenames(db.listCatalogEntries(database, { title: '100%' }))).toEqual(['b.cast']);
+    expect(filenames(db.listCatalogEntries(database, { title: 'DEPLOY' }))).toEqual(['b.cast']);
+    expect(filenames(db.listCatalogEntries(database, { title: 'e.ca' }))).toEqual(['e.cast']);
+    expect(filenames(db.listCatalogEntries(database, { title: '_' }))).toEqual([]);
+  });
+
+  test('rejects cursors that are damaged or made for another order', () => {
+    expect(parseCursor('not a cursor', 'newest')).toBeNull();
+    expect(parseCursor(Buffer.from('["oldest", 1, "a.cast"]').toString('base64url'), 'newest')).toBeNull();
+    expect(parseCursor(Buffer.from('["newest", 1, "a.cast"]').toString('base64url'), 'newest'))
+      .toEqual({ value: 1, filename: 'a.cast' });
+  });
+});
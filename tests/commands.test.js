@@ -0,0 +1,98 @@
+const { extractCommands } = require('../utils/indexer/strategies/commands');
+
+const header = { version: 2, width: 40, height: 10 };
+
+describe('extractCommands', () => {
+  test('finds commands from prompt lines when there is no input', async () => {
+    const events = [
+      [0.5, 'o', 'user@host:~$ '],
+      [1.0, 'o', 'l'],
+      [1.1, 'o', 's'],
+      [1.2, 'o', '\r\n'],
+      [1.3, 'o', 'a.txt\r\nb.txt\r\n'],
+      [1.4, 'o', 'user@host:~$ '],
+      [2.0, 'o', '\r\n'],
+      [2.1, 'o', 'user@host:~$ '],
+      [3.0, 'o', 'exit\r\n']
+    ];
+
+    expect(await extractCommands({ header, events })).toEqual([
+      { command: 'ls', startOffset: 0.5, endOffset: 1.3, output: 'a.txt\nb.txt' },
+      { command: 'exit', startOffset: 2.1, endOffset: 2.1, output: '' }
+    ]);
+  });
+
+  test('only takes prompts printed before anything was typed', async () => {
+    const events = [
+      [0.1, 'o', 'user@host:~$ '],
+      [0.3, 'o', 'cat /etc/fstab'],
+      [0.5, 'o', '\r\n'],
+      [0.6, 'o', '# /etc/fstab: static file system information.\r\nUUID=abc / ext4 defaults 0 1\r\n'],
+      [0.7, 'o', 'Downloading 100% complete\r\n'],
+      [0.8, 'o', 'user@host:~$ ']
+    ];
+
+    expect(await extractCommands({ header, events })).toEqual([{
+      command: 'cat /etc/fstab',
+      startOffset: 0.1,
+      endOffset: 0.7,
+      output: '# /etc/fstab: static file system information.\nUUID=abc / ext4 defaults 0 1\nDownloading 100% complete'
+    }]);
+  });
+
+  test('starts commands when their prompt was printed', async () => {
+    const events = [
+      [0.1, 'o', '$ '],
+      [0.2, 'i', 'l'],
+      [0.2, 'o', 'l'],
+      [0.3, 'i', 's'],
+      [0.3, 'o', 's'],
+      [0.5, 'i', '\r'],
+      [0.6, 'o', '\r\na.txt\r\n$ ']
+    ];
+
+    expect(await extractCommands({ header, events })).toEqual([
+      { command: 'ls', startOffset: 0.1, endOffset: 0.6, output: 'a.txt' }
+    ]);
+  });
+
+  test('uses input events to detect Enter', async () => {
+    const events = [
+      [0.5, 'o', '> '],
+      [1.0, 'i', 'p'],
+      [1.0, 'o', 'p'],
+      [1.1, 'i', 'wd'],
+      [1.1, 'o', 'wd'],
+      [1.5, 'i', '\r'],
+      [1.6, 'o', '\r\n/home/user\r\n> ']
+    ];
+
+    expect(await extractCommands({ header, events })).toEqual([
+      { command: '> pwd', startOffset: 1.5, endOffset: 1.6, output: '/home/user' }
+    ]);
+  });
+
+  test('ignores output drawn on the alternate screen', async () => {
+    const events = [
+      [0.4, 'o', '$ '],
+      [0.5, 'o', 'vim notes\r\n'],
+      [1.0, 'o', '\x1b[?1049h\x1b[H~\r\n~\r\n'],
+      [2.0, 'o', '\x1b[?1049l$ ']
+    ];
+
+    expect(await extractCommands({ header, events })).toEqual([
+      { command: 'vim notes', startOffset: 0.4, endOffset: 0.4, output: '' }
+    ]);
+  });
+
+  test('accepts a custom prompt pattern', async () => {
+    const events = [
+      [0.5, 'o', 'mysql> '],
+      [1.0, 'o', 'select 1;\r\n1\r\nmysql> ']
+    ];
+
+    expect(await extractCommands({ header, events }, { promptPattern: '^mysql> ' })).toEqual([
+      { command: 'select 1;', startOffset: 0.5, endOffset: 1.0, output: '1' }
+    ]);
+  });
+});
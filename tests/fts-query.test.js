@@ -0,0 +1,44 @@
+const { parseAdvancedQuery, toFtsQuery, QuerySyntaxError } = require('../utils/indexer/fts-query');
+
+const fts = (query) => toFtsQuery(parseAdvancedQuery(query), { content: 'content' });
+
+// Position of the syntax error in a query
+function errorPosition(query) {
+  try {
+    parseAdvancedQuery(query);
+  } catch (err) {
+    expect(err).toBeInstanceOf(QuerySyntaxError);
+    return err.position;
+  }
+  throw new Error(`No error for ${query}`);
+}
+
+describe('parseAdvancedQuery', () => {
+  test('builds FTS5 queries with every term quoted', () => {
+    expect(fts('docker AND compose')).toBe('("docker" AND "compose")');
+    expect(fts('docker compose')).toBe('("docker" AND "compose")');
+    expect(fts('kubectl NOT get')).toBe('("kubectl" NOT "get")');
+    expect(fts('a OR b c')).toBe('("a" OR ("b" AND "c"))');
+    expect(fts('deploy* docker-compose')).toBe('("deploy"* AND "docker-compose")');
+    expect(fts('"git ""push"""')).toBe('"git ""push"""');
+    expect(fts('NEAR(ssh key, 5)')).toBe('NEAR("ssh" "key", 5)');
+    expect(fts('content:(error OR fail)')).toBe('content : ("error" OR "fail")');
+    expect(fts('and or')).toBe('("and" AND "or")');
+  });
+
+  test('maps columns to the table searched', () => {
+    expect(toFtsQuery(parseAdvancedQuery('content:error'), { content: 'text' })).toBe('text : "error"');
+  });
+
+  test('reports where a query is wrong', () => {
+    expect(errorPosition('docker AND')).toBe(10);
+    expect(errorPosition('NOT docker')).toBe(0);
+    expect(errorPosition('(docker OR compose')).toBe(18);
+    expect(errorPosition('say "hello')).toBe(4);
+    expect(errorPosition('NEAR(ssh, x)')).toBe(8);
+    expect(errorPosition('NEAR(ssh key, x)')).toBe(14);
+    expect(errorPosition('host:web1')).toBe(0);
+    expect(errorPosition('a ) b')).toBe(2);
+    expect(errorPosition('*')).toBe(0);
+  });
+});
@@ -0,0 +1,57 @@
+const { startIndexJob, getIndexJob, followIndexJob, IndexJobError } = require('../utils/index-jobs');
+
+// Indexing stand-in that reports two steps and finishes when told to
+function fakeRun() {
+  let finish;
+  const run = jest.fn((options) => new Promise((resolve) => {
+    options.onProgress({ filename: 'a.cast', strategy: 'basic', ok: true, done: 1, total: 2 });
+    options.onProgress({ filename: 'b.cast', strategy: 'basic', ok: false, done: 2, total: 2 });
+    finish = resolve;
+  }));
+  return { run, finish: (summary) => finish(summary) };
+}
+
+describe('index jobs', () => {
+  test('runs one job at a time and publishes its progress', async () => {
+    const { run, finish } = fakeRun();
+    const job = startIndexJob({ type: 'full' }, run);
+    expect(job).toMatchObject({ type: 'full', state: 'running' });
+
+    const updates = [];
+    followIndexJob(job.id, (update) => updates.push(update));
+    await new Promise(setImmediate);
+
+    expect(run).toHaveBeenCalledWith(expect.objectContaining({ force: true, filename: null }));
+    expect(getIndexJob(job.id)).toMatchObject({
+      done: 2,
+      total: 2,
+      current: { filename: 'b.cast', strategy: 'basic' },
+      failed: [{ filename: 'b.cast', strategy: 'basic' }]
+    });
+    expect(() => startIndexJob({ type: 'incremental' }, run)).toThrow(IndexJobError);
+
+    finish({ carriedOver: [], pruned: [{ filename: 'c.cast' }], failed: [], error: null });
+    await new Promise(setImmediate);
+
+    expect(updates[updates.length - 1]).toMatchObject({ state: 'done', pruned: 1, current: null });
+    expect(getIndexJob(job.id).finishedAt).toEqual(expect.any(Number));
+  });
+
+  test('marks a job failed when indexing stops with an error', async () => {
+    const { run, finish } = fakeRun();
+    const job = startIndexJob({ type: 'file', filename: 'asciinema_2025-04-04_13-56-53.cast' }, run);
+    await new Promise(setImmediate);
+
+    expect(run).toHaveBeenCalledWith(expect.objectContaining({ force: true, filename: 'asciinema_2025-04-04_13-56-53.cast' }));
+
+    finish({ carriedOver: [], pruned: [], failed: [], error: 'Recording not found' });
+    await new Promise(setImmediate);
+
+    expect(getIndexJob(job.id)).toMatchObject({ state: 'failed', error: 'Recording not found' });
+  });
+
+  test('rejects unknown job types and filenames', () => {
+    expect(() => startIndexJob({ type: 'everything' })).toThrow('type must be one of');
+    expect(() => startIndexJob({ type: 'file', filename: '../secret.cast' })).toThrow('Invalid filename');
+  });
+});
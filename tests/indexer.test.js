@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'indexer-test-'));
+const castsDir = path.join(root, 'casts');
+process.env.CASTS_DIR = castsDir;
+process.env.INDEX_DB_PATH = path.join(root, 'index.db');
+
+const db = require('../utils/indexer/db');
+const { indexCastFiles, getIndexFiles } = require('../utils/indexer');
+const { startIndexJob } = require('../utils/index-jobs');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+const zipDir = path.join(castsDir, 'zip');
+
+function readIndex() {
+  const database = db.getDatabase();
+  const files = database.prepare('SELECT id, file_path, filename, completed FROM indexed_files ORDER BY filename').all();
+  const contentFiles = database.prepare("SELECT DISTINCT file_id FROM cast_content WHERE strategy = 'basic'").all()
+    .map(row => row.file_id);
+  database.close();
+  return { files, contentFiles };
+}
+
+// Compress a plain recording as maintain-casts.js does
+function compress(filename, originalSize) {
+  const plainPath = path.join(castsDir, filename);
+  fs.writeFileSync(path.join(zipDir, `${filename}.gz`), zlib.gzipSync(fs.readFileSync(plainPath)));
+  fs.writeFileSync(path.join(zipDir, `${filename}.gz.info`), JSON.stringify({ duration: 5, original_size: originalSize }));
+  fs.unlinkSync(plainPath);
+}
+
+describe('indexCastFiles', () => {
+  const first = 'asciinema_2025-04-04_13-56-53.cast';
+  const second = 'asciinema_2025-04-05_10-00-00.cast';
+
+  beforeEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.mkdirSync(zipDir, { recursive: true });
+    fs.writeFileSync(path.join(castsDir, first), fixture('v2.cast'));
+    fs.writeFileSync(path.join(castsDir, second), fixture('v3.cast'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test('carries the index of a compressed recording over to its .gz file', async () => {
+    await indexCastFiles();
+    const before = readIndex();
+
+    compress(first, fixture('v2.cast').length);
+    const summary = await indexCastFiles();
+
+    expect(summary).toEqual({ renamed: [], carriedOver: [first], pruned: [], failed: [], error: null });
+
+    const after = readIndex();
+    expect(after.files).toEqual([
+      { ...before.files[0], file_path: path.join(zipDir, `${first}.gz`) },
+      before.files[1]
+    ]);
+    expect(after.contentFiles.sort()).toEqual(before.contentFiles.sort());
+  });
+
+  test('indexes a recording again when it grew before it was compressed', async () => {
+    await indexCastFiles();
+    const before = readIndex();
+
+    compress(first, fixture('v2.cast').length + 100);
+    const summary = await indexCastFiles();
+
+    expect(summary.carriedOver).toEqual([]);
+    const after = readIndex();
+    expect(after.files).toHaveLength(2);
+    expect(after.files[0]).toMatchObject({ id: before.files[0].id, file_path: path.join(zipDir, `${first}.gz`), completed: 1 });
+  });
+
+  test('prunes recordings that are gone, with their content', async () => {
+    await indexCastFiles();
+    const before = readIndex();
+
+    fs.unlinkSync(path.join(castsDir, second));
+    const summary = await indexCastFiles();
+
+    expect(summary.pruned).toEqual([
+      { filename: second, filePath: path.join(castsDir, second), contentRows: expect.any(Number) }
+    ]);
+    expect(summary.pruned[0].contentRows).toBeGreaterThan(0);
+
+    const after = readIndex();
+    expect(after.files.map(file => file.filename)).toEqual([first]);
+    expect(after.contentFiles).toEqual([before.files[0].id]);
+  });
+
+  test('keeps failures until the file indexes again', async () => {
+    const broken = 'asciinema_2025-04-06_10-00-00.cast';
+    fs.writeFileSync(path.join(castsDir, broken), 'not a cast file\n');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const summary = await indexCastFiles();
+    expect(summary.failed.map(failure => failure.filename)).toContain(broken);
+
+    let files = await getIndexFiles();
+    expect(files.map(file => [file.filename, file.state])).toEqual([
+      [broken, 'failed'],
+      [second, 'completed'],
+      [first, 'completed']
+    ]);
+    expect(files[0].errors[0]).toMatchObject({ strategy: 'basic', error: expect.any(String) });
+
+    fs.writeFileSync(path.join(castsDir, broken), fixture('v2.cast'));
+    await indexCastFiles({ filename: broken });
+
+    files = await getIndexFiles();
+    expect(files[0]).toMatchObject({ filename: broken, state: 'completed', errors: [] });
+  });
+
+  test('dates recordings without a date in their name from their header', async () => {
+    fs.writeFileSync(path.join(castsDir, 'demo.cast'), fixture('v3.cast'));
+    await indexCastFiles();
+
+    const database = db.getDatabase();
+    const file = database.prepare('SELECT id, timestamp FROM indexed_files WHERE filename = ?').get('demo.cast');
+    const content = database.prepare('SELECT DISTINCT timestamp FROM cast_content WHERE file_id = ?').all(file.id);
+    database.close();
+
+    expect(file.timestamp).toBe(1743775013000);
+    expect(content).toEqual([{ timestamp: 1743775013000 }]);
+  });
+
+  test('merges duplicate rows left by earlier versions', async () => {
+    await indexCastFiles();
+
+    // Before 1.9.0 a compressed recording got a second row under its new path
+    const database = db.getDatabase();
+    database.exec('DROP INDEX idx_indexed_files_filename');
+    database.prepare(`
+      INSERT INTO indexed_files (file_path, filename, file_size, file_mtime, indexed_at, completed)
+      VALUES (?, ?, 1, 1, 1, 0)
+    `).run(path.join(zipDir, `${first}.gz`), first);
+    db.setVersion(database, 'schema_version', '1.8.0');
+    db.initDatabase(database);
+    database.close();
+
+    expect(readIndex().files.map(file => file.file_path)).toEqual([
+      path.join(castsDir, first),
+      path.join(castsDir, second)
+    ]);
+  });
+
+  test('runs overlapping indexing one after the other', async () => {
+    const countRows = () => {
+      const database = db.getDatabase();
+      const counts = database.prepare('SELECT strategy, COUNT(*) AS count FROM cast_content GROUP BY strategy ORDER BY strategy').all();
+      database.close();
+      return counts;
+    };
+
+    await indexCastFiles({ force: true });
+    const once = countRows();
+
+    // As the watcher and an admin job would
+    const watcherRun = indexCastFiles({ force: true });
+    expect(() => startIndexJob({ type: 'full' })).toThrow(expect.objectContaining({ status: 409 }));
+    await Promise.all([watcherRun, indexCastFiles({ force: true })]);
+
+    expect(countRows()).toEqual(once);
+  });
+
+  test('waits for another process indexing the same database', async () => {
+    const lockPath = `${process.env.INDEX_DB_PATH}.lock`;
+
+    // Held by a process that runs (this test's parent)
+    fs.writeFileSync(lockPath, String(process.ppid));
+    let finished = false;
+    const run = indexCastFiles().then((summary) => {
+      finished = true;
+      return summary;
+    });
+    await new Promise(resolve => setTimeout(resolve, 700));
+    expect(finished).toBe(false);
+
+    fs.rmSync(lockPath);
+    expect((await run).error).toBeNull();
+    expect(readIndex().files).toHaveLength(2);
+    expect(fs.existsSync(lockPath)).toBe(false);
+
+    // Left behind by a process that is gone
+    fs.writeFileSync(lockPath, String(spawnSync(process.execPath, ['-e', '']).pid));
+    expect((await indexCastFiles()).error).toBeNull();
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+});
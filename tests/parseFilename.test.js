@@ -1,4 +1,6 @@
-const { parseFilenameDate } = require('../utils/parseFilename');
+process.env.DISPLAY_TIMEZONE = 'UTC';
+
+const { parseFilenameDate, compileFilenamePatterns, recordingDate } = require('../utils/parseFilename');
 
 describe('parseFilenameDate function', () => {
   test('parses standard filename without tags', () => {
@@ -43,4 +45,51 @@ describe('parseFilenameDate function', () => {
     const result = parseFilenameDate('asciinema_2025-04-04_13-56-53.txt');
     expect(result).toBeNull();
   });
-});
\ No newline at end of file
+});
+describe('filename patterns', () => {
+  const patterns = compileFilenamePatterns([
+    'rec-(?<year>\\d{4})(?<month>\\d{2})(?<day>\\d{2})(?:-(?<hour>\\d{2})(?<minute>\\d{2}))?\\.cast'
+  ]);
+
+  test('parses names matching a configured pattern', () => {
+    expect(parseFilenameDate('rec-20250404-1356.cast', patterns)).toMatchObject({
+      date: '2025-04-04',
+      time: '13:56:00',
+      tags: []
+    });
+    expect(parseFilenameDate('rec-20250404.cast', patterns).time).toBe('00:00:00');
+  });
+
+  test('skips dates that do not exist', () => {
+    expect(parseFilenameDate('rec-20251304.cast', patterns)).toBeNull();
+    expect(parseFilenameDate('asciinema_2025-02-30_10-00-00.cast')).toBeNull();
+  });
+
+  test('rejects patterns without the date groups', () => {
+    expect(() => compileFilenamePatterns(['(?<date>\\d{8})\\.cast'])).toThrow('needs year, month and day groups');
+    expect(() => compileFilenamePatterns(['(?<year>'])).toThrow('Invalid filename pattern');
+  });
+});
+
+describe('recordingDate', () => {
+  test('prefers the filename, then the header timestamp, then the mtime', () => {
+    const header = { timestamp: 1743775013 };
+    const mtimeMs = Date.UTC(2025, 5, 1, 8, 30);
+
+    expect(recordingDate('asciinema_2025-04-04_13-56-53.cast', header, mtimeMs)).toMatchObject({
+      date: '2025-04-04',
+      source: 'filename'
+    });
+    expect(recordingDate('demo.cast', header, mtimeMs)).toMatchObject({
+      dateObj: new Date(1743775013000),
+      tags: [],
+      source: 'header'
+    });
+    expect(recordingDate('demo.cast', { timestamp: null }, mtimeMs)).toMatchObject({
+      date: '2025-06-01',
+      time: '08:30:00',
+      source: 'mtime'
+    });
+    expect(recordingDate('demo.cast', null, null)).toBeNull();
+  });
+});
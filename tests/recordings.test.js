@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const os = require('os');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-test-'));
+const castsDir = path.join(root, 'casts');
+process.env.CASTS_DIR = castsDir;
+process.env.INDEX_DB_PATH = path.join(root, 'index.db');
+
+const db = require('../utils/indexer/db');
+const recordings = require('../utils/recordings');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+const zipDir = path.join(castsDir, 'zip');
+const trashDir = path.join(castsDir, 'trash');
+
+// Index one content row for a file, as the indexer would
+function indexFile(filePath, filename) {
+  const database = db.getDatabase();
+  db.initDatabase(database);
+  const fileId = db.registerFile(database, filePath, filename, fs.statSync(filePath));
+  database.prepare('INSERT INTO cast_content (content, file_id, timestamp, time_offset, tags, strategy) VALUES (?, ?, ?, ?, ?, ?)')
+    .run('hello', fileId, 0, 0, 'work', 'basic');
+  database.close();
+}
+
+function readIndex() {
+  const database = db.getDatabase();
+  const files = database.prepare('SELECT file_path, filename, date FROM indexed_files').all();
+  const content = database.prepare('SELECT file_id, tags FROM cast_content').all();
+  database.close();
+  return { files, content };
+}
+
+describe('recording management', () => {
+  const filename = 'asciinema_2025-04-04_13-56-53_tags_work.cast';
+
+  beforeEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.mkdirSync(zipDir, { recursive: true });
+    fs.writeFileSync(path.join(zipDir, `${filename}.gz`), zlib.gzipSync(fixture('v2.cast')));
+    fs.writeFileSync(path.join(zipDir, `${filename}.gz.info`), JSON.stringify({ duration: 5 }));
+    indexFile(path.join(zipDir, `${filename}.gz`), filename);
+  });
+
+  afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test('stores tags, title and description in the sidecar without renaming', async () => {
+    const result = await recordings.updateRecording(filename, {
+      tags: ['my-project', ' client / acme ', 'my-project'],
+      title: '  Deploy  ',
+      description: 'Rolled out v2'
+    });
+
+    expect(result).toEqual({
+      filename,
+      tags: ['my-project', 'client/acme'],
+      title: 'Deploy',
+      description: 'Rolled out v2'
+    });
+    expect(fs.readdirSync(zipDir).sort()).toEqual([`${filename}.gz`, `${filename}.gz.info`]);
+
+    const info = JSON.parse(fs.readFileSync(path.join(zipDir, `${filename}.gz.info`), 'utf8'));
+    expect(info).toEqual({ duration: 5, tags: ['my-project', 'client/acme'], title: 'Deploy', description: 'Rolled out v2' });
+
+    const database = db.getDatabase();
+    const tags = database.prepare('SELECT tag FROM recording_tags WHERE filename = ? ORDER BY tag').all(filename);
+    database.close();
+    expect(tags.map(row => row.tag)).toEqual(['client/acme', 'my-project']);
+  });
+
+  test('renames every file of a recording and its index rows', async () => {
+    const renamed = 'asciinema_2025-04-04_13-56-53_tags_deploy.cast';
+    const result = await recordings.updateRecording(filename, { filename: renamed });
+
+    expect(result).toMatchObject({ filename: renamed, tags: ['deploy'] });
+    expect(fs.readdirSync(zipDir).sort()).toEqual([`${renamed}.gz`, `${renamed}.gz.info`]);
+
+    const { files, content } = readIndex();
+    expect(files).toEqual([{ file_path: path.join(zipDir, `${renamed}.gz`), filename: renamed, date: '2025-04-04' }]);
+    expect(content[0].tags).toBe('deploy');
+  });
+
+  test('rejects invalid tags and names that are taken', async () => {
+    await expect(recordings.updateRecording(filename, { tags: ['a,b'] }))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(recordings.updateRecording(filename, { title: 42 }))
+      .rejects.toMatchObject({ status: 400 });
+
+    const other = 'asciinema_2025-04-05_10-00-00.cast';
+    fs.writeFileSync(path.join(castsDir, other), fixture('v2.cast'));
+    await expect(recordings.updateRecording(filename, { filename: other }))
+      .rejects.toMatchObject({ status: 409 });
+
+    await expect(recordings.updateRecording('asciinema_2025-01-01_00-00-00.cast', { tags: [] }))
+      .rejects.toMatchObject({ status: 404 });
+  });
+
+  test('moves deleted recordings to the trash and restores them', async () => {
+    await recordings.deleteRecording(filename);
+
+    expect(fs.readdirSync(zipDir)).toEqual([]);
+    expect(fs.readdirSync(trashDir).sort()).toEqual([`${filename}.gz`, `${filename}.gz.info`]);
+    expect(readIndex().files).toEqual([]);
+    expect(readIndex().content).toEqual([]);
+
+    const trash = await recordings.listTrash();
+    expect(trash).toMatchObject([{ filename, compressed: true, tags: ['work'] }]);
+
+    await recordings.restoreRecording(filename);
+    expect(fs.readdirSync(zipDir).sort()).toEqual([`${filename}.gz`, `${filename}.gz.info`]);
+    expect(fs.readdirSync(trashDir)).toEqual([]);
+    expect(await recordings.listTrash()).toEqual([]);
+  });
+});
@@ -0,0 +1,34 @@
+const { parseRegexQuery, extractLiterals, buildNarrowingQuery } = require('../utils/indexer/regex-search');
+
+describe('parseRegexQuery', () => {
+  test('accepts bare and delimited patterns', () => {
+    expect(parseRegexQuery(' HTTP/1\\.1" 5\\d\\d ')).toEqual({ pattern: 'HTTP/1\\.1" 5\\d\\d', flags: '' });
+    expect(parseRegexQuery('/error: .*timeout/i')).toEqual({ pattern: 'error: .*timeout', flags: 'i' });
+  });
+
+  test('reports invalid patterns and flags', () => {
+    expect(() => parseRegexQuery('  (unclosed')).toThrow(expect.objectContaining({ name: 'QuerySyntaxError', position: 2 }));
+    expect(() => parseRegexQuery('/abc/g')).toThrow(expect.objectContaining({ position: 5 }));
+  });
+});
+
+describe('extractLiterals', () => {
+  test('keeps literal runs outside of groups and classes', () => {
+    expect(extractLiterals('HTTP/1\\.1" 5\\d\\d')).toEqual(['HTTP/1.1" 5']);
+    expect(extractLiterals('npm (install|ci) --save[-dev]*')).toEqual(['npm ', ' --save']);
+    expect(extractLiterals('colou?r \\w+ ok{2}x')).toEqual(['colo', 'r ', ' ok', 'x']);
+  });
+
+  test('gives up on top-level alternatives and unknown escapes', () => {
+    expect(extractLiterals('error|warning')).toEqual([]);
+    expect(extractLiterals('caf\\u00e9 bar')).toEqual([]);
+  });
+});
+
+describe('buildNarrowingQuery', () => {
+  test('uses whole words inside literals and prefixes at their end', () => {
+    expect(buildNarrowingQuery(['HTTP/1.1" 5'])).toBe('"1" AND "1" AND "5"*');
+    expect(buildNarrowingQuery(['npm ', ' --save'])).toBe('"save"*');
+    expect(buildNarrowingQuery(['err'])).toBeNull();
+  });
+});
@@ -0,0 +1,98 @@
+const { Screen } = require('../utils/indexer/screen');
+
+describe('Screen', () => {
+  test('renders plain output line by line', () => {
+    const screen = new Screen(20, 4);
+    screen.write('$ ls\r\nfile.txt\r\n$ ');
+
+    expect(screen.getLines()).toEqual(['$ ls', 'file.txt', '$', '']);
+  });
+
+  test('joins characters typed one write at a time', () => {
+    const screen = new Screen(20, 4);
+    for (const ch of '$ git status') {
+      screen.write(ch);
+    }
+
+    expect(screen.getCursorLine()).toBe('$ git status');
+  });
+
+  test('applies backspace and erase-in-line', () => {
+    const screen = new Screen(20, 4);
+    screen.write('$ gti\b\b\x1b[Kit');
+
+    expect(screen.getLines()[0]).toBe('$ git');
+  });
+
+  test('ignores colors and OSC sequences', () => {
+    const screen = new Screen(20, 4);
+    screen.write('\x1b]0;title\x07\x1b[1;31merror\x1b[0m: failed');
+
+    expect(screen.getLines()[0]).toBe('error: failed');
+  });
+
+  test('positions text with cursor addressing', () => {
+    const screen = new Screen(20, 4);
+    screen.write('\x1b[2J\x1b[3;5Hmiddle\x1b[1;1Htop');
+
+    expect(screen.getLines()).toEqual(['top', '', '    middle', '']);
+  });
+
+  test('evicts lines that scroll off the top', () => {
+    const screen = new Screen(20, 2);
+    screen.write('one\r\ntwo\r\nthree');
+
+    expect(screen.getLines()).toEqual(['two', 'three']);
+    expect(screen.takeEvicted()).toEqual(['one']);
+    expect(screen.takeEvicted()).toEqual([]);
+  });
+
+  test('scrolls only inside the scroll region', () => {
+    const screen = new Screen(20, 4);
+    screen.write('header\x1b[2;3r\x1b[2;1Ha\r\nb\r\nc\x1b[4;1Hstatus');
+
+    expect(screen.getLines()).toEqual(['header', 'b', 'c', 'status']);
+    expect(screen.takeEvicted()).toEqual([]);
+  });
+
+  test('restores the main screen when leaving the alternate buffer', () => {
+    const screen = new Screen(20, 3);
+    screen.write('$ vim notes\r\n');
+    screen.write('\x1b[?1049h\x1b[Hediting notes');
+
+    expect(screen.isAlternate).toBe(true);
+    expect(screen.getLines()[0]).toBe('editing notes');
+
+    screen.write('\x1b[?1049l');
+
+    expect(screen.isAlternate).toBe(false);
+    expect(screen.getLines()[0]).toBe('$ vim notes');
+    expect(screen.takeEvicted()).toEqual(['editing notes']);
+  });
+
+  test('translates DEC line drawing characters', () => {
+    const screen = new Screen(20, 2);
+    screen.write('\x1b(0lqqk\x1b(B ok');
+
+    expect(screen.getLines()[0]).toBe('┌──┐ ok');
+  });
+
+  test('wraps long lines at the right margin', () => {
+    const screen = new Screen(5, 3);
+    screen.write('abcdefg');
+
+    expect(screen.getLines()).toEqual(['abcde', 'fg', '']);
+  });
+
+  test('caps the size a recording asks for', () => {
+    const screen = new Screen(100000, 100000);
+    expect([screen.cols, screen.rows]).toEqual([1000, 1000]);
+    expect(screen.getLines()).toHaveLength(1000);
+
+    screen.resize(99999, 2);
+    expect([screen.cols, screen.rows]).toEqual([1000, 2]);
+
+    screen.resize(0, 99999.5);
+    expect([screen.cols, screen.rows]).toEqual([1000, 1000]);
+  });
+});
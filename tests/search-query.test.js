@@ -0,0 +1,65 @@
+const { parseSearchQuery, isValidDate } = require('../utils/search-query');
+
+describe('parseSearchQuery', () => {
+  test('splits inline filters off the text', () => {
+    const parsed = parseSearchQuery('tag:work after:2025-03-01 before:2025-04-01 "npm install"');
+    expect(parsed).toMatchObject({
+      tags: ['work'],
+      dateFrom: '2025-03-01',
+      dateTo: '2025-03-31',
+      hosts: [],
+      types: []
+    });
+    expect(parsed.text.trim()).toBe('"npm install"');
+  });
+
+  test('keeps the positions of the remaining text', () => {
+    const parsed = parseSearchQuery('docker host:web1 source:server AND (');
+    expect(parsed.text).toBe('docker                         AND (');
+    expect(parsed.hosts).toEqual(['web1']);
+    expect(parsed.sources).toEqual(['server']);
+  });
+
+  test('reads quoted values and leaves other prefixes and quoted filters alone', () => {
+    const parsed = parseSearchQuery('tag:"my  project" tag:client/acme type:bookmark content:error "tag:work"');
+    expect(parsed.tags).toEqual(['my project', 'client/acme']);
+    expect(parsed.types).toEqual(['bookmark']);
+    expect(parsed.text.trim()).toBe('content:error "tag:work"');
+  });
+
+  test('keeps the narrowest date range', () => {
+    expect(parseSearchQuery('x after:2025-01-01 after:2025-02-01 before:2025-03-01 before:2025-06-01'))
+      .toMatchObject({ dateFrom: '2025-02-01', dateTo: '2025-02-28' });
+  });
+
+  test('reports invalid filters with their position', () => {
+    expect(() => parseSearchQuery('x after:2025-02-30')).toThrow(expect.objectContaining({ position: 8 }));
+    expect(() => parseSearchQuery('x type:video')).toThrow(expect.objectContaining({ position: 7 }));
+    expect(() => parseSearchQuery('x tag:"open')).toThrow(expect.objectContaining({ position: 6 }));
+    expect(() => parseSearchQuery('x host:')).toThrow(expect.objectContaining({ position: 7 }));
+  });
+
+  test('takes substring queries as written', () => {
+    expect(parseSearchQuery('source:prod tag:x', 'substring')).toMatchObject({
+      text: 'source:prod tag:x',
+      tags: [],
+      sources: []
+    });
+  });
+
+  test('takes regex queries as written', () => {
+    expect(parseSearchQuery('host:\\d+ after:x', 'regex')).toMatchObject({
+      text: 'host:\\d+ after:x',
+      hosts: [],
+      dateFrom: null
+    });
+    expect(parseSearchQuery('host:web1 x', 'advanced').hosts).toEqual(['web1']);
+  });
+
+  test('only takes dates that exist', () => {
+    expect(isValidDate('2024-02-29')).toBe(true);
+    expect(isValidDate('2025-02-29')).toBe(false);
+    expect(isValidDate('2025-02-30')).toBe(false);
+    expect(isValidDate('2025-2-3')).toBe(false);
+  });
+});
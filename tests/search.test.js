@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'search-test-'));
+process.env.INDEX_DB_PATH = path.join(root, 'index.db');
+process.env.DISPLAY_TIMEZONE = 'America/New_York';
+
+const db = require('../utils/indexer/db');
+const { searchCasts } = require('../utils/indexer');
+
+// Add an indexed recording with one line of content per entry
+function addRecording(database, filename, tags, lines, host = null) {
+  const fileId = db.registerFile(database, `/casts/${filename}`, filename, { size: 1, mtimeMs: 1 });
+  const insert = database.prepare(
+    'INSERT INTO cast_content (content, file_id, timestamp, time_offset, tags, strategy) VALUES (?, ?, ?, ?, ?, ?)'
+  );
+  const insertTrigram = database.prepare('INSERT INTO cast_trigram (content, file_id, time_offset) VALUES (?, ?, ?)');
+  lines.forEach((line, index) => {
+    insert.run(line, fileId, 0, index, '', 'basic');
+    insertTrigram.run(line, fileId, index);
+  });
+  db.markStrategyCompleted(database, fileId, 'basic', '1.0.0');
+  db.markStrategyCompleted(database, fileId, 'trigram', '1.0.0');
+  db.markFileCompleted(database, fileId);
+
+  const parsed = require('../utils/parseFilename').parseFilenameDate(filename);
+  db.upsertCatalogEntry(database, {
+    filename, date: parsed.date, time: parsed.time, timestamp: parsed.dateObj.getTime(), tags, host
+  });
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  const database = db.getDatabase();
+  db.initDatabase(database);
+  addRecording(database, 'asciinema_2025-04-01_10-00-00.cast', ['client/acme', 'my project'], ['git push origin main'], 'Laptop');
+  addRecording(database, 'asciinema_2025-04-02_10-00-00.cast', ['clients'], ['git push --force']);
+  addRecording(database, 'asciinema_2025-04-03_10-00-00.cast', [], ['git status', 'progress: 100%_done']);
+  addRecording(database, 'asciinema_2025-04-04_10-00-00.cast', [], ['$ ', 'make test\r\n', 'FAIL src/app.test.js\r\n', 'Tests: 1 failed\r\n']);
+  // Late on the day clocks went forward, already the next day in UTC
+  addRecording(database, 'asciinema_2025-03-09_23-30-00.cast', [], ['kubectl rollout undo']);
+  db.addAnnotation(database, 'asciinema_2025-04-02_10-00-00.cast', 12.5, 'Force pushed the release branch');
+  db.addAnnotation(database, 'asciinema_2025-01-01_00-00-00.cast', 1, 'Release of a deleted recording');
+  database.close();
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+const filenames = ({ results }) => results.map(result => result.filename).sort();
+
+describe('searchCasts', () => {
+  test('finds content in every recording', async () => {
+    const found = await searchCasts('git', { group: 'none' });
+    expect(found.total).toBe(3);
+  });
+
+  test('filters on exact tags, parents included', async () => {
+    expect(filenames(await searchCasts('git', { tags: ['client'], group: 'none' })))
+      .toEqual(['asciinema_2025-04-01_10-00-00.cast']);
+    expect(filenames(await searchCasts('git', { tags: ['clients'], group: 'none' })))
+      .toEqual(['asciinema_2025-04-02_10-00-00.cast']);
+    expect(filenames(await searchCasts('git', { tags: ['acme'], group: 'none' }))).toEqual([]);
+  });
+
+  test('returns the tags of each recording', async () => {
+    const { results } = await searchCasts('origin', { group: 'none' });
+    expect(results[0].tags.split(', ').sort()).toEqual(['client/acme', 'my project']);
+  });
+
+  test('finds annotations next to the content', async () => {
+    const { results, total } = await searchCasts('release', { group: 'none' });
+    expect(total).toBe(1);
+    expect(results[0]).toMatchObject({
+      filename: 'asciinema_2025-04-02_10-00-00.cast',
+      snippet: 'Force pushed the release branch',
+      time_offset: 12.5,
+      tags: 'clients'
+    });
+    expect(results[0].annotation_id).toEqual(expect.any(Number));
+
+    expect(filenames(await searchCasts('force', { group: 'none' })))
+      .toEqual(['asciinema_2025-04-02_10-00-00.cast', 'asciinema_2025-04-02_10-00-00.cast']);
+  });
+
+  test('accepts FTS5 syntax in advanced mode', async () => {
+    expect(filenames(await searchCasts('git NOT push', { mode: 'advanced', group: 'none' })))
+      .toEqual(['asciinema_2025-04-03_10-00-00.cast']);
+    expect(filenames(await searchCasts('stat*', { mode: 'advanced', group: 'none' })))
+      .toEqual(['asciinema_2025-04-03_10-00-00.cast']);
+    expect(filenames(await searchCasts('content:release', { mode: 'advanced', group: 'none' })))
+      .toEqual(['asciinema_2025-04-02_10-00-00.cast']);
+    expect((await searchCasts('git NOT push', { group: 'none' })).total).toBe(0);
+
+    await expect(searchCasts('git AND', { mode: 'advanced' }))
+      .rejects.toMatchObject({ name: 'QuerySyntaxError', position: 7 });
+  });
+
+  test('filters on hosts and kinds of hits', async () => {
+    expect(filenames(await searchCasts('git', { hosts: ['laptop'], group: 'none' })))
+      .toEqual(['asciinema_2025-04-01_10-00-00.cast']);
+
+    const bookmarks = await searchCasts('force', { types: ['bookmark'], group: 'none' });
+    expect(bookmarks.results.map(result => result.snippet)).toEqual(['Force pushed the release branch']);
+    const output = await searchCasts('force', { types: ['output'], group: 'none' });
+    expect(output.results.map(result => result.snippet)).toEqual(['git push --force']);
+  });
+
+  test('finds parts of words in substring mode', async () => {
+    expect(filenames(await searchCasts('SH ORIG', { mode: 'substring', group: 'none' })))
+      .toEqual(['asciinema_2025-04-01_10-00-00.cast']);
+    expect(filenames(await searchCasts('0%_d', { mode: 'substring', group: 'none' })))
+      .toEqual(['asciinema_2025-04-03_10-00-00.cast']);
+    expect(await searchCasts('0%_x', { mode: 'substring', group: 'none' })).toMatchObject({ total: 0 });
+
+    const { results } = await searchCasts('ushed the rel', { mode: 'substring', group: 'none' });
+    expect(results.map(result => result.snippet)).toEqual(['Force pushed the release branch']);
+
+    await expect(searchCasts(' ab ', { mode: 'substring' })).rejects.toMatchObject({ name: 'QuerySyntaxError' });
+  });
+
+  test('checks patterns against the content and annotations in regex mode', async () => {
+    const pushes = await searchCasts('git push (origin|--force)', { mode: 'regex', group: 'none' });
+    expect(filenames(pushes)).toEqual(['asciinema_2025-04-01_10-00-00.cast', 'asciinema_2025-04-02_10-00-00.cast']);
+    expect(pushes.truncated).toBe(false);
+
+    expect(filenames(await searchCasts('/\\d+%_DONE/i', { mode: 'regex', group: 'none' })))
+      .toEqual(['asciinema_2025-04-03_10-00-00.cast']);
+
+    const { results } = await searchCasts('^Force .* release', { mode: 'regex', group: 'none' });
+    expect(results.map(result => result.annotation_id !== null)).toEqual([true]);
+
+    await expect(searchCasts('git (push', { mode: 'regex' })).rejects.toMatchObject({ name: 'QuerySyntaxError' });
+  });
+
+  test('builds snippets from neighbouring output with match ranges', async () => {
+    const [result] = (await searchCasts('failed', { group: 'none' })).results;
+    expect(result.snippet).toBe('$ make test\nFAIL src/app.test.js\nTests: 1 failed');
+    expect(result.matches).toEqual([{ start: result.snippet.indexOf('failed'), end: result.snippet.length }]);
+
+    const [regex] = (await searchCasts('FAIL \\S+', { mode: 'regex', group: 'none' })).results;
+    expect(regex.snippet.slice(regex.matches[0].start, regex.matches[0].end)).toBe('FAIL src/app.test.js');
+
+    const [bookmark] = (await searchCasts('release', { group: 'none' })).results;
+    expect(bookmark.matches).toEqual([{ start: 17, end: 24 }]);
+  });
+
+  test('sorts by relevance, date or recording length', async () => {
+    const database = db.getDatabase();
+    database.prepare('UPDATE catalog SET duration = ? WHERE filename = ?').run(600, 'asciinema_2025-04-01_10-00-00.cast');
+    database.close();
+
+    const sorted = async (query, sort) => (await searchCasts(query, { mode: 'advanced', sort, group: 'none' }))
+      .results.map(result => result.filename.slice(10, 20));
+
+    expect(await sorted('git', 'newest')).toEqual(['2025-04-03', '2025-04-02', '2025-04-01']);
+    expect(await sorted('git', 'oldest')).toEqual(['2025-04-01', '2025-04-02', '2025-04-03']);
+    expect(await sorted('git', 'longest')).toEqual(['2025-04-01', '2025-04-03', '2025-04-02']);
+
+    // The tag "my project" names a search term
+    expect(await sorted('push OR project', 'relevance')).toEqual(['2025-04-01', '2025-04-02']);
+    expect(await sorted('push OR project', 'newest')).toEqual(['2025-04-02', '2025-04-01']);
+  });
+
+  test('ranks annotation and content hits on one scale', async () => {
+    const database = db.getDatabase();
+    // In most rows, so its FTS rank is close to nothing
+    addRecording(database, 'asciinema_2025-04-06_10-00-00.cast', ['zebra'], Array.from({ length: 20 }, (_, index) => `zebra ${index}`));
+    addRecording(database, 'asciinema_2025-04-07_10-00-00.cast', [], ['nothing to see']);
+    db.addAnnotation(database, 'asciinema_2025-04-07_10-00-00.cast', 3, 'Spotted a zebra');
+    database.close();
+
+    // The recording tagged with the term comes first, whatever kind of hit the other one is
+    for (const mode of ['simple', 'substring', 'regex']) {
+      const { results } = await searchCasts('zebra', { mode, sort: 'relevance' });
+      expect(results.map(result => result.filename.slice(10, 20))).toEqual(['2025-04-06', '2025-04-07']);
+    }
+  });
+
+  test('groups hits by recording, or lists the hits of one recording', async () => {
+    const grouped = await searchCasts('force', {});
+    expect(grouped.total).toBe(1);
+    expect(grouped.results[0]).toMatchObject({ filename: 'asciinema_2025-04-02_10-00-00.cast', hit_count: 2, time_offset: 0 });
+    expect(grouped.results[0].hits.map(hit => hit.time_offset)).toEqual([0, 12.5]);
+    expect((await searchCasts('git', {})).results.map(result => result.hit_count)).toEqual([1, 1, 1]);
+
+    const inRecording = await searchCasts('force', { filename: 'asciinema_2025-04-02_10-00-00.cast', offset: 1 });
+    expect(inRecording.total).toBe(2);
+    expect(inRecording.results.map(hit => hit.snippet)).toEqual(['Force pushed the release branch']);
+  });
+
+  test('filters on days in the display zone', async () => {
+    const found = (dateFrom, dateTo) => searchCasts('rollout', { dateFrom, dateTo, group: 'none' }).then(filenames);
+
+    expect(await found('2025-03-09', '2025-03-09')).toEqual(['asciinema_2025-03-09_23-30-00.cast']);
+    expect(await found('2025-03-10', null)).toEqual([]);
+    expect(await found(null, '2025-03-08')).toEqual([]);
+  });
+});
@@ -0,0 +1,30 @@
+const { parseHighlight, cutSnippet } = require('../utils/indexer/snippets');
+
+describe('parseHighlight', () => {
+  test('turns highlight marks into ranges', () => {
+    expect(parseHighlight('git \u0002push\u0003 origin \u0002main\u0003')).toEqual({
+      text: 'git push origin main',
+      ranges: [{ start: 4, end: 8 }, { start: 16, end: 20 }]
+    });
+  });
+});
+
+describe('cutSnippet', () => {
+  test('keeps a few non-blank lines around the first match', () => {
+    const text = 'one\r\ntwo\r\n\r\nthree\rfour\nfive\nsix\nseven\neight\nnine';
+    const start = text.indexOf('five');
+    const { text: snippet, matches } = cutSnippet(text, [{ start, end: start + 4 }], 0);
+
+    expect(snippet).toBe('two\nthree\nfour\nfive\nsix\nseven\neight');
+    expect(snippet.slice(matches[0].start, matches[0].end)).toBe('five');
+  });
+
+  test('cuts long lines around the match', () => {
+    const text = `${'x'.repeat(500)}needle${'y'.repeat(500)}`;
+    const { text: snippet, matches } = cutSnippet(text, [{ start: 500, end: 506 }], 0);
+
+    expect(snippet).toMatch(/^…x{40}needley+…$/);
+    expect(snippet.length).toBe(202);
+    expect(snippet.slice(matches[0].start, matches[0].end)).toBe('needle');
+  });
+});
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const os = require('os');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'sources-test-'));
+const laptopDir = path.join(root, 'laptop');
+const serverDir = path.join(root, 'server');
+process.env.CASTS_DIRS = `laptop=${laptopDir}, server=${serverDir}`;
+process.env.INDEX_DB_PATH = path.join(root, 'index.db');
+process.env.DISPLAY_TIMEZONE = 'UTC';
+
+const db = require('../utils/indexer/db');
+const { parseRecordingKey, listRecordingFiles } = require('../utils/sources');
+const { syncCatalog } = require('../utils/catalog');
+const recordings = require('../utils/recordings');
+const { indexCastFiles, searchCasts } = require('../utils/indexer');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+const laptopCast = 'laptop/2025/04/asciinema_2025-04-04_13-56-53.cast';
+const serverCast = 'server/nightly/asciinema_2025-04-03_09-00-00.cast';
+
+describe('cast sources', () => {
+  beforeEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.mkdirSync(path.join(laptopDir, '2025', '04'), { recursive: true });
+    fs.mkdirSync(path.join(serverDir, 'zip', 'nightly'), { recursive: true });
+    fs.writeFileSync(path.join(laptopDir, '2025', '04', 'asciinema_2025-04-04_13-56-53.cast'), fixture('v2.cast'));
+    fs.writeFileSync(path.join(serverDir, 'zip', 'nightly', 'asciinema_2025-04-03_09-00-00.cast.gz'), zlib.gzipSync(fixture('v3.cast')));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test('only accepts keys inside a configured source', () => {
+    expect(parseRecordingKey(laptopCast)).toMatchObject({
+      source: { name: 'laptop', dir: laptopDir },
+      relPath: '2025/04/asciinema_2025-04-04_13-56-53.cast'
+    });
+
+    for (const key of [
+      'asciinema_2025-04-04_13-56-53.cast',
+      'desktop/demo.cast',
+      'laptop/../server/demo.cast',
+      'laptop/zip/demo.cast',
+      'laptop//demo.cast',
+      'laptop/.stfolder/demo.cast',
+      '/etc/demo.cast',
+      'laptop/demo.cast.gz'
+    ]) {
+      expect(parseRecordingKey(key)).toBeNull();
+    }
+  });
+
+  test('finds and catalogs recordings in the subdirectories of every source', async () => {
+    fs.mkdirSync(path.join(laptopDir, '.stfolder'));
+    fs.writeFileSync(path.join(laptopDir, '.stfolder', 'demo.cast'), fixture('v2.cast'));
+    fs.mkdirSync(path.join(laptopDir, 'trash'));
+    fs.writeFileSync(path.join(laptopDir, 'trash', 'demo.cast'), fixture('v2.cast'));
+    fs.writeFileSync(path.join(laptopDir, 'my session.cast'), fixture('v2.cast'));
+
+    expect([...(await listRecordingFiles()).keys()]).toEqual([laptopCast, serverCast]);
+
+    const database = db.getDatabase();
+    db.initDatabase(database);
+    await syncCatalog(database);
+    expect(db.getCatalogEntries(database).map(entry => [entry.filename, entry.source, entry.date])).toEqual([
+      [laptopCast, 'laptop', '2025-04-04'],
+      [serverCast, 'server', '2025-04-03']
+    ]);
+    database.close();
+  });
+
+  test('indexes recordings under their key and filters searches on the source', async () => {
+    // Indexed and bookmarked when the laptop directory was the only CASTS_DIR
+    const filePath = path.join(laptopDir, '2025', '04', 'asciinema_2025-04-04_13-56-53.cast');
+    const database = db.getDatabase();
+    db.initDatabase(database);
+    db.registerFile(database, filePath, '2025/04/asciinema_2025-04-04_13-56-53.cast', fs.statSync(filePath));
+    db.addAnnotation(database, '2025/04/asciinema_2025-04-04_13-56-53.cast', 1, 'listing');
+    database.close();
+
+    const summary = await indexCastFiles();
+    expect(summary.renamed).toEqual([{ from: '2025/04/asciinema_2025-04-04_13-56-53.cast', to: laptopCast }]);
+    expect(summary.pruned).toEqual([]);
+
+    const all = await searchCasts('a.txt');
+    expect(all.results.map(result => result.filename).sort()).toEqual([laptopCast, serverCast]);
+
+    const server = await searchCasts('a.txt', { sources: ['server'] });
+    expect(server.results.map(result => result.filename)).toEqual([serverCast]);
+
+    const bookmarks = await searchCasts('listing', { types: ['bookmark'] });
+    expect(bookmarks.results.map(result => result.filename)).toEqual([laptopCast]);
+  });
+
+  test('trashes and restores recordings within their source', async () => {
+    await recordings.deleteRecording(laptopCast);
+    expect(fs.existsSync(path.join(laptopDir, 'trash', '2025', '04', 'asciinema_2025-04-04_13-56-53.cast'))).toBe(true);
+    expect((await recordings.listTrash()).map(recording => recording.filename)).toEqual([laptopCast]);
+
+    await recordings.restoreRecording(laptopCast);
+    expect(fs.existsSync(path.join(laptopDir, '2025', '04', 'asciinema_2025-04-04_13-56-53.cast'))).toBe(true);
+
+    await expect(recordings.updateRecording(laptopCast, { filename: 'server/asciinema_2025-04-04_13-56-53.cast' }))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(recordings.deleteRecording('laptop/../server/nightly/asciinema_2025-04-03_09-00-00.cast'))
+      .rejects.toMatchObject({ status: 400 });
+  });
+});
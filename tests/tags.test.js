@@ -0,0 +1,27 @@
+const { normalizeTag, normalizeTags, tagWithParents, tagMatches } = require('../utils/tags');
+
+describe('tags', () => {
+  test('keeps spaces and hyphens and tidies up nesting', () => {
+    expect(normalizeTag('my-project')).toBe('my-project');
+    expect(normalizeTag('  big   refactor ')).toBe('big refactor');
+    expect(normalizeTag(' client / acme /')).toBe('client/acme');
+  });
+
+  test('rejects tags that cannot be stored', () => {
+    expect(() => normalizeTag(' / ')).toThrow('empty');
+    expect(() => normalizeTag('a,b')).toThrow('commas');
+    expect(() => normalizeTag(7)).toThrow('strings');
+    expect(() => normalizeTags('work')).toThrow('array');
+  });
+
+  test('removes duplicates in order', () => {
+    expect(normalizeTags(['b', 'a', ' b '])).toEqual(['b', 'a']);
+  });
+
+  test('matches a parent tag against nested ones', () => {
+    expect(tagWithParents('client/acme/web')).toEqual(['client', 'client/acme', 'client/acme/web']);
+    expect(tagMatches('client/acme', 'client')).toBe(true);
+    expect(tagMatches('client', 'client')).toBe(true);
+    expect(tagMatches('clients', 'client')).toBe(false);
+  });
+});
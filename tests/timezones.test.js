@@ -0,0 +1,96 @@
+process.env.DISPLAY_TIMEZONE = 'Europe/Berlin';
+
+const {
+  formatInZone,
+  zonedTimeToInstant,
+  startOfDay,
+  headerTimeZone,
+  offsetTimeZone
+} = require('../utils/timezones');
+const { recordingDate } = require('../utils/parseFilename');
+
+const berlin = 'Europe/Berlin';
+
+describe('time zones', () => {
+  test('reads wall clock times around the spring DST change', () => {
+    // Clocks jump from 02:00 to 03:00 on 2025-03-30
+    expect(zonedTimeToInstant({ year: 2025, month: 3, day: 30, hour: 1, minute: 30 }, berlin))
+      .toBe(Date.UTC(2025, 2, 30, 0, 30));
+    expect(zonedTimeToInstant({ year: 2025, month: 3, day: 30, hour: 2, minute: 30 }, berlin))
+      .toBe(Date.UTC(2025, 2, 30, 1, 30));
+    expect(zonedTimeToInstant({ year: 2025, month: 3, day: 30, hour: 3, minute: 30 }, berlin))
+      .toBe(Date.UTC(2025, 2, 30, 1, 30));
+  });
+
+  test('reads wall clock times around the autumn DST change', () => {
+    // 02:00 to 03:00 happens twice on 2025-10-26; the first one is taken
+    expect(zonedTimeToInstant({ year: 2025, month: 10, day: 26, hour: 2, minute: 30 }, berlin))
+      .toBe(Date.UTC(2025, 9, 26, 0, 30));
+    expect(formatInZone(Date.UTC(2025, 9, 26, 0, 30), berlin)).toEqual({ date: '2025-10-26', time: '02:30:00' });
+    expect(formatInZone(Date.UTC(2025, 9, 26, 1, 30), berlin)).toEqual({ date: '2025-10-26', time: '02:30:00' });
+    expect(formatInZone(Date.UTC(2025, 9, 26, 2, 30), berlin)).toEqual({ date: '2025-10-26', time: '03:30:00' });
+  });
+
+  test('finds where days start, including short, long and midnight-less days', () => {
+    expect(startOfDay('2025-03-30', berlin)).toBe(Date.UTC(2025, 2, 29, 23));
+    expect(startOfDay('2025-03-31', berlin) - startOfDay('2025-03-30', berlin)).toBe(23 * 3600 * 1000);
+    expect(startOfDay('2025-10-27', berlin) - startOfDay('2025-10-26', berlin)).toBe(25 * 3600 * 1000);
+
+    // Brazil moved clocks from midnight to 01:00 on 2018-11-04
+    expect(startOfDay('2018-11-04', 'America/Sao_Paulo')).toBe(Date.UTC(2018, 10, 4, 3));
+  });
+
+  test('handles fixed offsets', () => {
+    expect(formatInZone(Date.UTC(2025, 3, 4, 20, 0), '+05:30')).toEqual({ date: '2025-04-05', time: '01:30:00' });
+    expect(zonedTimeToInstant({ year: 2025, month: 4, day: 4, hour: 8 }, '-04:00')).toBe(Date.UTC(2025, 3, 4, 12));
+  });
+
+  test('works out zones from headers and offsets', () => {
+    expect(headerTimeZone({ env: { TZ: 'Asia/Tokyo' } })).toBe('Asia/Tokyo');
+    expect(headerTimeZone({ env: { TZ: ':/etc/localtime' } })).toBeNull();
+    expect(headerTimeZone({ env: {} })).toBeNull();
+
+    const parts = { year: 2025, month: 4, day: 4, hour: 8, minute: 0, second: 0 };
+    expect(offsetTimeZone(parts, Date.UTC(2025, 3, 4, 12, 0, 3))).toBe('-04:00');
+    expect(offsetTimeZone(parts, Date.UTC(2025, 3, 4, 2, 30))).toBe('+05:30');
+    expect(offsetTimeZone(parts, Date.UTC(2025, 3, 2, 8))).toBeNull();
+  });
+});
+
+describe('recordingDate in another display zone', () => {
+  test('reads the filename in the zone the header timestamp implies', () => {
+    const header = { timestamp: Date.UTC(2025, 3, 4, 12, 0, 3) / 1000 };
+
+    expect(recordingDate('asciinema_2025-04-04_08-00-00.cast', header, null)).toMatchObject({
+      date: '2025-04-04',
+      time: '14:00:00',
+      dateObj: new Date(Date.UTC(2025, 3, 4, 12)),
+      timeZone: '-04:00'
+    });
+  });
+
+  test('reads the filename in the display zone when nothing else tells', () => {
+    expect(recordingDate('asciinema_2025-03-30_02-30-00.cast', null, null)).toMatchObject({
+      time: '03:30:00',
+      dateObj: new Date(Date.UTC(2025, 2, 30, 1, 30)),
+      timeZone: berlin
+    });
+  });
+
+  test('files a recording made late in New York under the next day here', () => {
+    const header = { timestamp: Date.UTC(2025, 3, 4, 23, 30) / 1000, env: { TZ: 'America/New_York' } };
+
+    expect(recordingDate('demo.cast', header, null)).toMatchObject({
+      date: '2025-04-05',
+      time: '01:30:00',
+      timeZone: 'America/New_York',
+      source: 'header'
+    });
+    expect(recordingDate('asciinema_2025-04-04_19-30-00.cast', header, null)).toMatchObject({
+      date: '2025-04-05',
+      time: '01:30:00',
+      timeZone: 'America/New_York',
+      source: 'filename'
+    });
+  });
+});
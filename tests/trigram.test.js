@@ -0,0 +1,43 @@
+const Database = require('better-sqlite3');
+const db = require('../utils/indexer/db');
+const trigram = require('../utils/indexer/strategies/trigram');
+
+describe('trigram strategy', () => {
+  let database;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    database = new Database(':memory:');
+    db.initDatabase(database);
+  });
+
+  afterEach(() => {
+    database.close();
+    jest.restoreAllMocks();
+  });
+
+  test('indexes the screen snapshots for substring matches', async () => {
+    const fileId = db.registerFile(database, '/casts/demo.cast', 'demo.cast', { size: 1, mtimeMs: 1 });
+    const insert = database.prepare('INSERT INTO cast_content (content, file_id, time_offset, strategy) VALUES (?, ?, ?, ?)');
+    insert.run('$ ls /etc/nginx/sites-enabled', fileId, 0.2, 'screen');
+    insert.run('default', fileId, 5.0, 'screen');
+    insert.run('$ ls /etc/nginx/sites-enabled', fileId, 0.1, 'basic');
+    insert.run('other', fileId + 1, 1.0, 'screen');
+    db.markStrategyCompleted(database, fileId, 'screen', '1.0.0');
+
+    const count = await trigram.indexEvents(null, { database, fileId, strategy: {} });
+    expect(count).toBe(2);
+
+    const match = database.prepare('SELECT file_id, time_offset FROM cast_trigram WHERE cast_trigram MATCH ?');
+    expect(match.all('"x/sites-ena"')).toEqual([{ file_id: fileId, time_offset: 0.2 }]);
+    expect(match.all('"efaul"')).toEqual([{ file_id: fileId, time_offset: 5.0 }]);
+
+    trigram.clear(database, fileId);
+    expect(database.prepare('SELECT COUNT(*) AS n FROM cast_trigram').get().n).toBe(0);
+  });
+
+  test('needs the screen strategy to have indexed the file', async () => {
+    await expect(trigram.indexEvents(null, { database, fileId: 7, strategy: {} }))
+      .rejects.toThrow('The screen strategy has to index the file first');
+  });
+});
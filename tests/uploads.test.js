@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+const castsDir = path.join(root, 'casts');
+process.env.CASTS_DIR = castsDir;
+process.env.INDEX_DB_PATH = path.join(root, 'index.db');
+process.env.UPLOAD_INSTALL_IDS = 'laptop-id, desktop-id';
+
+const { receiveUpload, uploadFilename } = require('../utils/uploads');
+const { DISPLAY_TIMEZONE } = require('../utils/config');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+const boundary = '----asciinema-test';
+
+// Request the way `asciinema upload` sends it
+function request(fields, installId = 'laptop-id') {
+  const parts = Object.entries(fields).map(([name, value]) => Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"` +
+      (name === 'asciicast' ? '; filename="ascii.cast"\r\nContent-Type: application/octet-stream' : '') +
+      '\r\n\r\n'),
+    Buffer.from(value),
+    Buffer.from('\r\n')
+  ]));
+
+  return {
+    headers: {
+      authorization: `Basic ${Buffer.from(`alice:${installId}`).toString('base64')}`,
+      'content-type': `multipart/form-data; boundary=${boundary}`
+    },
+    body: Buffer.concat([...parts, Buffer.from(`--${boundary}--\r\n`)])
+  };
+}
+
+const upload = (fields, installId) => {
+  const { headers, body } = request(fields, installId);
+  return receiveUpload(headers, body);
+};
+
+// Name the fixtures get, from their header timestamp in the display zone
+const expectedName = (suffix = '') => uploadFilename(1743775013 * 1000, DISPLAY_TIMEZONE, []).replace('.cast', `${suffix}.cast`);
+
+describe('receiveUpload', () => {
+  beforeEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test('stores a v2 recording under its header time', async () => {
+    const result = await upload({ asciicast: fixture('v2.cast') });
+
+    expect(result).toEqual({ filename: expectedName(), created: true });
+    expect(result.filename).toMatch(/^asciinema_\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}\.cast$/);
+    expect(fs.readFileSync(path.join(castsDir, result.filename))).toEqual(fixture('v2.cast'));
+    expect(fs.readdirSync(castsDir)).toEqual([result.filename]);
+  });
+
+  test('keeps tags in the name and the sidecar', async () => {
+    const result = await upload({ asciicast: fixture('v3.cast'), tags: 'work, client/acme' });
+
+    expect(result.filename).toBe(expectedName('_tags_work-client_acme'));
+    expect(JSON.parse(fs.readFileSync(path.join(castsDir, `${result.filename}.info`), 'utf8')))
+      .toEqual({ tags: ['work', 'client/acme'] });
+  });
+
+  test('returns the stored recording for a repeated upload and renames a different one', async () => {
+    const first = await upload({ asciicast: fixture('v2.cast') });
+    const again = await upload({ asciicast: fixture('v2.cast') });
+    const other = await upload({ asciicast: fixture('v3.cast') });
+
+    expect(again).toEqual({ filename: first.filename, created: false });
+    expect(other).toEqual({ filename: uploadFilename(1743775014 * 1000, DISPLAY_TIMEZONE, []), created: true });
+  });
+
+  test('returns the stored recording for a repeated upload with other tags, compressed or not', async () => {
+    const tagged = await upload({ asciicast: fixture('v2.cast'), tags: 'work, client/acme' });
+    const untagged = await upload({ asciicast: fixture('v2.cast') });
+
+    expect(untagged).toEqual({ filename: tagged.filename, created: false });
+    expect(fs.readdirSync(castsDir).filter(name => name.endsWith('.cast'))).toEqual([tagged.filename]);
+
+    // Compressed by maintain-casts.js meanwhile
+    fs.mkdirSync(path.join(castsDir, 'zip'));
+    fs.writeFileSync(path.join(castsDir, 'zip', `${tagged.filename}.gz`), zlib.gzipSync(fixture('v2.cast')));
+    fs.rmSync(path.join(castsDir, tagged.filename));
+
+    expect(await upload({ asciicast: fixture('v2.cast'), tags: 'home' }))
+      .toEqual({ filename: tagged.filename, created: false });
+    expect(fs.readdirSync(castsDir).filter(name => name.endsWith('.cast'))).toEqual([]);
+  });
+
+  test('leaves the sidecar of a recording that took the name meanwhile alone', async () => {
+    const name = expectedName('_tags_mine');
+    fs.mkdirSync(castsDir, { recursive: true });
+    fs.writeFileSync(path.join(castsDir, `${name}.info`), JSON.stringify({ tags: ['theirs'] }));
+    jest.spyOn(fs.promises, 'link').mockImplementationOnce(async () => {
+      fs.writeFileSync(path.join(castsDir, name), fixture('v3.cast'));
+      throw Object.assign(new Error('File exists'), { code: 'EEXIST' });
+    });
+
+    const result = await upload({ asciicast: fixture('v2.cast'), tags: 'mine' });
+
+    expect(result).toEqual({ filename: uploadFilename(1743775014 * 1000, DISPLAY_TIMEZONE, ['mine']), created: true });
+    expect(JSON.parse(fs.readFileSync(path.join(castsDir, `${name}.info`), 'utf8'))).toEqual({ tags: ['theirs'] });
+    expect(JSON.parse(fs.readFileSync(path.join(castsDir, `${result.filename}.info`), 'utf8'))).toEqual({ tags: ['mine'] });
+  });
+
+  test('leaves nothing behind when the recording can\'t be written', async () => {
+    jest.spyOn(fs.promises, 'writeFile').mockRejectedValueOnce(Object.assign(new Error('No space left'), { code: 'ENOSPC' }));
+
+    await expect(upload({ asciicast: fixture('v2.cast'), tags: 'work' })).rejects.toThrow('No space left');
+    expect(fs.readdirSync(castsDir)).toEqual([]);
+  });
+
+  test('refuses unknown install IDs and other formats', async () => {
+    await expect(upload({ asciicast: fixture('v2.cast') }, 'stranger')).rejects.toMatchObject({ status: 401 });
+    await expect(upload({ asciicast: fixture('v1.json') })).rejects.toThrow('Only asciicast v2 and v3');
+    await expect(upload({ asciicast: 'hello\n' })).rejects.toMatchObject({ status: 422 });
+    await expect(upload({ file: fixture('v2.cast') })).rejects.toMatchObject({ status: 400 });
+    expect(fs.existsSync(castsDir)).toBe(false);
+  });
+});
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { watchCasts } = require('../utils/watch-casts');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('watchCasts', () => {
+  let dir;
+  let watcher;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-test-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    if (watcher) await watcher.close();
+    watcher = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('processes a recording once it stopped growing', async () => {
+    const processCasts = jest.fn(async () => {});
+    watcher = watchCasts({ dir, debounceMs: 150, runOnStart: false, processCasts });
+
+    const file = path.join(dir, 'asciinema_2025-04-04_13-56-53.cast');
+    fs.writeFileSync(file, '{"version": 2, "width": 80, "height": 24}\n');
+    for (let i = 0; i < 3; i++) {
+      await sleep(50);
+      fs.appendFileSync(file, `[${i}, "o", "line ${i}\\r\\n"]\n`);
+    }
+    expect(processCasts).not.toHaveBeenCalled();
+
+    await sleep(200);
+    await watcher.idle();
+    expect(processCasts).toHaveBeenCalledTimes(1);
+  });
+
+  test('ignores files that are not recordings', async () => {
+    const processCasts = jest.fn(async () => {});
+    watcher = watchCasts({ dir, debounceMs: 50, runOnStart: false, processCasts });
+
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'hello');
+    await sleep(150);
+    await watcher.idle();
+    expect(processCasts).not.toHaveBeenCalled();
+  });
+
+  test('queues a single follow-up run while processing', async () => {
+    let release;
+    const processCasts = jest.fn(() => new Promise(resolve => { release = resolve; }));
+    watcher = watchCasts({ dir, debounceMs: 50, processCasts });
+
+    // Initial run is in progress; two recordings settle meanwhile
+    fs.writeFileSync(path.join(dir, 'asciinema_2025-04-04_13-56-53.cast'), '{}\n');
+    fs.writeFileSync(path.join(dir, 'asciinema_2025-04-04_14-00-00.cast'), '{}\n');
+    await sleep(200);
+    expect(processCasts).toHaveBeenCalledTimes(1);
+
+    release();
+    await sleep(10);
+    expect(processCasts).toHaveBeenCalledTimes(2);
+
+    release();
+    await watcher.idle();
+    expect(processCasts).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * utils/annotations.js
+ *
+ * Bookmarks and notes at a point in time of a recording.
+ *
+ * Annotations live in the index DB (see db.js), keyed by the recording's
+ * filename, and their text is searchable next to the recording content.
+ */
+
+'use strict';
+
+const {
+  RecordingError,
+  checkText,
+  checkFilename,
+  findArtifacts,
+  isCastFile,
+  withDatabase,
+  LIBRARY
+} = require('./recordings');
+const db = require('./indexer/db');
+
+const MAX_TEXT_LENGTH = 2000;
+
+/**
+ * Check an annotation ID given by a client
+ *
+ * @param {*} id - ID as given
+ * @returns {number} - Annotation ID
+ * @throws {RecordingError} - If it isn't a positive integer
+ */
+function checkId(id) {
+  const number = Number(id);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new RecordingError(`Invalid annotation ID: ${id}`, 400);
+  }
+  return number;
+}
+
+/**
+ * Check an annotation time given by a client
+ *
+ * @param {*} timeOffset - Seconds into the recording
+ * @returns {number} - Time offset
+ * @throws {RecordingError} - If it isn't a non-negative number
+ */
+function checkTimeOffset(timeOffset) {
+  if (typeof timeOffset !== 'number' || !Number.isFinite(timeOffset) || timeOffset < 0) {
+    throw new RecordingError('timeOffset must be a number of seconds, not negative', 400);
+  }
+  return timeOffset;
+}
+
+/**
+ * Check an annotation text given by a client
+ *
+ * @param {*} text - Text as given
+ * @returns {string} - Trimmed text
+ * @throws {RecordingError} - If it isn't a string, is empty or is too long
+ */
+function checkAnnotationText(text) {
+  const checked = checkText(text === undefined ? null : text, 'Text', MAX_TEXT_LENGTH);
+  if (!checked) {
+    throw new RecordingError('Text cannot be empty', 400);
+  }
+  return checked;
+}
+
+/**
+ * List the annotations of a recording
+ *
+ * @param {string} filename - Cast filename
+ * @returns {Promise<Array<Object>>} - Annotations in playback order
+ * @throws {RecordingError} - If the filename is invalid
+ */
+async function listAnnotations(filename) {
+  checkFilename(filename);
+  return withDatabase(async (database) => db.getAnnotations(database, filename));
+}
+
+/**
+ * Add an annotation to a recording
+ *
+ * @param {string} filename - Cast filename
+ * @param {Object} fields - Annotation
+ * @param {number} fields.timeOffset - Seconds into the recording
+ * @param {string} fields.text - Annotation text
+ * @returns {Promise<Object>} - The new annotation
+ * @throws {RecordingError} - If the recording is missing or a field is invalid
+ */
+async function addAnnotation(filename, fields) {
+  checkFilename(filename);
+  const timeOffset = checkTimeOffset(fields.timeOffset);
+  const text = checkAnnotationText(fields.text);
+
+  const artifacts = await findArtifacts(filename, LIBRARY);
+  if (!artifacts.some(artifact => isCastFile(artifact.kind))) {
+    throw new RecordingError(`Recording not found: ${filename}`, 404);
+  }
+
+  return withDatabase(async (database) => db.addAnnotation(database, filename, timeOffset, text));
+}
+
+/**
+ * Change the text or time of an annotation
+ *
+ * @param {string} filename - Cast filename
+ * @param {number|string} id - Annotation ID
+ * @param {Object} changes - Fields to change
+ * @param {number} [changes.timeOffset] - Seconds into the recording
+ * @param {string} [changes.text] - Annotation text
+ * @returns {Promise<Object>} - The updated annotation
+ * @throws {RecordingError} - If the annotation is missing or a change is invalid
+ */
+async function updateAnnotation(filename, id, changes) {
+  checkFilename(filename);
+  const annotationId = checkId(id);
+
+  const checked = {};
+  if (changes.timeOffset !== undefined) {
+    checked.timeOffset = checkTimeOffset(changes.timeOffset);
+  }
+  if (changes.text !== undefined) {
+    checked.text = checkAnnotationText(changes.text);
+  }
+  if (Object.keys(checked).length === 0) {
+    throw new RecordingError('Nothing to change: give a timeOffset or text', 400);
+  }
+
+  const annotation = await withDatabase(async (database) => db.updateAnnotation(database, filename, annotationId, checked));
+  if (!annotation) {
+    throw new RecordingError(`Annotation not found: ${id}`, 404);
+  }
+  return annotation;
+}
+
+/**
+ * Delete an annotation
+ *
+ * @param {string} filename - Cast filename
+ * @param {number|string} id - Annotation ID
+ * @returns {Promise<{id: number}>} - The deleted annotation
+ * @throws {RecordingError} - If the annotation is missing
+ */
+async function deleteAnnotation(filename, id) {
+  checkFilename(filename);
+  const annotationId = checkId(id);
+
+  const deleted = await withDatabase(async (database) => db.deleteAnnotation(database, filename, annotationId));
+  if (!deleted) {
+    throw new RecordingError(`Annotation not found: ${id}`, 404);
+  }
+  return { id: annotationId };
+}
+
+module.exports = {
+  listAnnotations,
+  addAnnotation,
+  updateAnnotation,
+  deleteAnnotation
+};
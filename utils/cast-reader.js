@@ -0,0 +1,439 @@
+/**
+ * utils/cast-reader.js
+ *
+ * Reads asciicast recordings of any format version and normalizes them,
+ * so the rest of the app never has to care which version it got:
+ *
+ *   v1  — a single JSON document; `stdout` holds [delay, data] pairs where
+ *         delay is the time since the previous frame
+ *   v2  — newline-delimited JSON; a header line, then [time, code, data]
+ *         events with absolute times since the start of the recording
+ *   v3  — like v2, but event times are intervals since the previous event,
+ *         terminal size/type live under `term`, and `#` lines are comments
+ *
+ * Normalized header fields: version, width, height, timestamp, duration,
+ * idleTimeLimit, title, command, env (with TERM filled in from v3
+ * term.type), theme.  Normalized events are [time, code, data] with time
+ * in absolute seconds since the start of the recording.
+ */
+
+'use strict';
+
+const fs       = require('fs');
+const zlib     = require('zlib');
+const readline = require('readline');
+const { promisify } = require('util');
+
+const readFileAsync = promisify(fs.readFile);
+const gunzipAsync   = promisify(zlib.gunzip);
+
+// How much of the end of a file the duration probe reads at a time
+const TAIL_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Normalize a parsed asciicast header of any version.
+ *
+ * @param {Object} raw - Header object as found in the file
+ * @returns {Object} - Normalized header
+ */
+function normalizeHeader(raw) {
+  const version = raw.version || 2;
+  const term = raw.term && typeof raw.term === 'object' ? raw.term : {};
+  const env = Object.assign({}, raw.env);
+
+  if (term.type && !env.TERM) {
+    env.TERM = term.type;
+  }
+
+  return {
+    version,
+    width:         version >= 3 ? term.cols : raw.width,
+    height:        version >= 3 ? term.rows : raw.height,
+    timestamp:     typeof raw.timestamp === 'number' ? raw.timestamp : null,
+    duration:      typeof raw.duration === 'number' ? raw.duration : null,
+    idleTimeLimit: typeof raw.idle_time_limit === 'number' ? raw.idle_time_limit : null,
+    title:         raw.title || null,
+    command:       raw.command || null,
+    env,
+    theme:         version >= 3 ? term.theme || null : raw.theme || null
+  };
+}
+
+/**
+ * Parse the first line of a v2/v3 cast file.
+ *
+ * @param {string} line - Header line
+ * @returns {Object} - Normalized header
+ * @throws {Error} - If the line isn't a JSON object
+ */
+function parseHeader(line) {
+  let raw;
+  try { raw = JSON.parse(line); }
+  catch { throw new Error('cannot parse header'); }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('header is not a JSON object');
+  }
+
+  return normalizeHeader(raw);
+}
+
+/**
+ * Create a function turning event lines into normalized events.
+ *
+ * The returned function is stateful for v3, where each event time is
+ * added to the running total of the ones before it.
+ *
+ * @param {Object} header - Normalized header
+ * @returns {function(string): (Array|null)} - Returns the event, or null for
+ *   blank, comment and unparseable lines
+ */
+function createEventParser(header) {
+  let clock = 0;
+
+  return (line) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return null;
+
+    let event;
+    try { event = JSON.parse(trimmed); }
+    catch { return null; }
+
+    if (!Array.isArray(event) || typeof event[0] !== 'number' || event.length < 3) {
+      return null;
+    }
+
+    if (header.version >= 3) {
+      clock += Math.max(0, event[0]);
+      return [clock, event[1], event[2]];
+    }
+
+    return [event[0], event[1], event[2]];
+  };
+}
+
+/**
+ * Parse a v1 recording (a single JSON document).
+ *
+ * @param {Object} doc - Parsed document
+ * @returns {{header: Object, events: Array}} - Normalized recording
+ */
+function parseV1(doc) {
+  const header = normalizeHeader(doc);
+  const events = [];
+  let clock = 0;
+
+  for (const frame of Array.isArray(doc.stdout) ? doc.stdout : []) {
+    if (!Array.isArray(frame) || typeof frame[0] !== 'number') continue;
+    clock += Math.max(0, frame[0]);
+    events.push([clock, 'o', frame[1]]);
+  }
+
+  return { header, events };
+}
+
+/**
+ * Parse the text content of a cast file of any version.
+ *
+ * @param {string} content - File content
+ * @returns {{header: Object, events: Array}} - Normalized header and events
+ * @throws {Error} - If the header can't be parsed
+ */
+function parseCast(content) {
+  const newline = content.indexOf('\n');
+  const firstLine = newline === -1 ? content : content.slice(0, newline);
+
+  // v1 is a single (usually pretty-printed) JSON document
+  let doc = null;
+  try { doc = JSON.parse(firstLine); }
+  catch {
+    try { doc = JSON.parse(content); } catch { /* fall through to parseHeader */ }
+  }
+  if (doc && typeof doc === 'object' && doc.version === 1) {
+    return parseV1(doc);
+  }
+
+  const header = parseHeader(firstLine);
+  const parseEvent = createEventParser(header);
+  const events = [];
+
+  for (const line of content.slice(firstLine.length + 1).split('\n')) {
+    const event = parseEvent(line);
+    if (event) events.push(event);
+  }
+
+  return { header, events };
+}
+
+/**
+ * Extract recording duration from the text content of a .cast file.
+ *
+ * header.duration is only written by `asciinema convert`, not by the live
+ * recorder — but it's used when present as it's already the ground truth.
+ * Otherwise the time of the last event is the duration.
+ *
+ * @param {string} content - File content
+ * @returns {{duration: number, source: string, version: number}} - Duration in seconds
+ * @throws {Error} - If the header can't be parsed or there are no timed events
+ */
+function extractDuration(content) {
+  const { header, events } = parseCast(content);
+  const version = header.version;
+
+  if (header.duration > 0) {
+    return { duration: header.duration, source: 'header.duration', version };
+  }
+
+  const last = events.length ? events[events.length - 1][0] : 0;
+
+  if (version >= 3) {
+    if (last === 0) throw new Error('no events or all intervals are zero');
+    return { duration: last, source: 'sum of v3 intervals', version };
+  }
+  if (version === 1) {
+    if (last === 0) throw new Error('no frames or all delays are zero');
+    return { duration: last, source: 'sum of v1 delays', version };
+  }
+
+  // v2 times are absolute, but don't trust the file to be sorted
+  const duration = events.reduce((max, event) => Math.max(max, event[0]), 0);
+  if (duration === 0) throw new Error('no events with valid timestamps found');
+  return { duration, source: 'last v2 timestamp', version };
+}
+
+/**
+ * Read and parse a cast file from disk.
+ *
+ * @param {string} filePath - Path to a .cast or .cast.gz file
+ * @returns {Promise<{header: Object, events: Array}>} - Normalized recording
+ */
+async function readCastFile(filePath) {
+  let data = await readFileAsync(filePath);
+  if (filePath.endsWith('.gz')) {
+    data = await gunzipAsync(data);
+  }
+  return parseCast(data.toString('utf8'));
+}
+
+// ---------------------------------------------------------------------------
+// Streaming
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a cast file line by line without loading it into memory.
+ *
+ * Stopping the iteration early (break, return) closes the file.
+ *
+ * @param {string} filePath - Path to a .cast or .cast.gz file
+ * @returns {AsyncIterableIterator<string>} - Lines of the decompressed file
+ */
+async function* readCastLines(filePath) {
+  const file = fs.createReadStream(filePath);
+  let input = file;
+
+  if (filePath.endsWith('.gz')) {
+    input = zlib.createGunzip();
+    file.on('error', err => input.destroy(err));
+    file.pipe(input);
+  }
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      yield line;
+    }
+  } finally {
+    lines.close();
+    file.destroy();
+    input.destroy();
+  }
+}
+
+/**
+ * Open a cast file for streaming.
+ *
+ * The header is read right away; events are parsed one line at a time as
+ * they are consumed.  v1 recordings are single JSON documents and get
+ * buffered whole — they predate long recordings anyway.
+ *
+ * @param {string} filePath - Path to a .cast or .cast.gz file
+ * @returns {Promise<{header: Object, events: AsyncIterable<Array>}>} - Normalized
+ *   header and an iterable of normalized events that can be consumed once
+ * @throws {Error} - If the file can't be read or the header can't be parsed
+ */
+async function openCastStream(filePath) {
+  const lines = readCastLines(filePath);
+  const first = await lines.next();
+  const firstLine = first.done ? '' : first.value;
+
+  let raw = null;
+  try { raw = JSON.parse(firstLine); } catch { /* v1 pretty-printed, or garbage */ }
+
+  if (!raw || raw.version === 1) {
+    const rest = [];
+    for await (const line of lines) rest.push(line);
+    const { header, events } = parseCast([firstLine, ...rest].join('\n'));
+    return { header, events: (async function* () { yield* events; })() };
+  }
+
+  const header = parseHeader(firstLine);
+  const parseEvent = createEventParser(header);
+
+  const events = (async function* () {
+    try {
+      for await (const line of lines) {
+        const event = parseEvent(line);
+        if (event) yield event;
+      }
+    } finally {
+      // Close the file when the consumer stops early
+      await lines.return();
+    }
+  })();
+
+  return { header, events };
+}
+
+/**
+ * Read only the header of a cast file.
+ *
+ * @param {string} filePath - Path to a .cast or .cast.gz file
+ * @returns {Promise<Object>} - Normalized header
+ * @throws {Error} - If the file can't be read or the header can't be parsed
+ */
+async function readCastHeader(filePath) {
+  const lines = readCastLines(filePath);
+  const first = await lines.next();
+  await lines.return();
+  const firstLine = first.done ? '' : first.value;
+
+  let raw = null;
+  try { raw = JSON.parse(firstLine); } catch { /* v1 pretty-printed, or garbage */ }
+
+  if (!raw || raw.version === 1) {
+    return (await readCastFile(filePath)).header;
+  }
+  return parseHeader(firstLine);
+}
+
+/**
+ * Time of a v2 event line
+ *
+ * @param {string} line - Line of a cast file
+ * @returns {number|null} - Event time, or null for comments, blank, partial or invalid lines
+ */
+function eventTime(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.startsWith('#')) return null;
+  try {
+    const event = JSON.parse(trimmed);
+    if (Array.isArray(event) && typeof event[0] === 'number') return event[0];
+  } catch { /* partial or invalid line */ }
+  return null;
+}
+
+/**
+ * Find the time of the last event in a plain v2 file by reading backwards
+ * from the end, one chunk at a time.
+ *
+ * @param {string} filePath - Path to a plain .cast file
+ * @param {number} headerLength - Byte length of the header line, which is never an event
+ * @returns {Promise<number|null>} - Time of the last event or null if none found
+ */
+async function findLastEventTime(filePath, headerLength) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    let position = size;
+    let carry = Buffer.alloc(0);
+
+    while (position > headerLength) {
+      const length = Math.min(TAIL_CHUNK_SIZE, position - headerLength);
+      position -= length;
+
+      const chunk = Buffer.alloc(length);
+      await handle.read(chunk, 0, length, position);
+
+      // Split on newlines in bytes, so multi-byte characters cut by the chunk
+      // boundary are only decoded once their line is complete
+      const buffer = Buffer.concat([chunk, carry]);
+      let end = buffer.length;
+      for (let i = buffer.length - 1; i >= 0; i--) {
+        if (buffer[i] !== 0x0a) continue;
+        const time = eventTime(buffer.toString('utf8', i + 1, end));
+        end = i;
+        if (time !== null) return time;
+      }
+      carry = buffer.subarray(0, end);
+    }
+
+    // The first line after the header has no newline before it in what was read
+    return eventTime(carry.toString('utf8'));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Probe the duration of a cast file with as little reading as possible.
+ *
+ * Uses header.duration when present.  For plain v2 files only the tail of
+ * the file is read; v3 intervals have to be summed, so those (and gzipped
+ * files) are streamed from the start without being held in memory.
+ *
+ * @param {string} filePath - Path to a .cast or .cast.gz file
+ * @returns {Promise<{duration: number, source: string, version: number}>} - Duration in seconds
+ * @throws {Error} - Like extractDuration()
+ */
+async function probeDuration(filePath) {
+  const lines = readCastLines(filePath);
+  const first = await lines.next();
+  await lines.return();
+  const firstLine = first.done ? '' : first.value;
+
+  let raw = null;
+  try { raw = JSON.parse(firstLine); } catch { /* handled below */ }
+
+  if (!raw || raw.version === 1) {
+    const data = await readFileAsync(filePath);
+    const content = filePath.endsWith('.gz') ? (await gunzipAsync(data)).toString('utf8') : data.toString('utf8');
+    return extractDuration(content);
+  }
+
+  const header = parseHeader(firstLine);
+  const version = header.version;
+
+  if (header.duration > 0) {
+    return { duration: header.duration, source: 'header.duration', version };
+  }
+
+  if (version < 3 && !filePath.endsWith('.gz')) {
+    const last = await findLastEventTime(filePath, Buffer.byteLength(firstLine) + 1);
+    if (!last) throw new Error('no events with valid timestamps found');
+    return { duration: last, source: 'last v2 timestamp', version };
+  }
+
+  const { events } = await openCastStream(filePath);
+  let duration = 0;
+  for await (const event of events) {
+    duration = Math.max(duration, event[0]);
+  }
+
+  if (duration === 0) {
+    throw new Error(version >= 3 ? 'no events or all intervals are zero' : 'no events with valid timestamps found');
+  }
+  return { duration, source: version >= 3 ? 'sum of v3 intervals' : 'last v2 timestamp', version };
+}
+
+module.exports = {
+  normalizeHeader,
+  parseHeader,
+  createEventParser,
+  parseCast,
+  extractDuration,
+  readCastFile,
+  readCastLines,
+  readCastHeader,
+  openCastStream,
+  probeDuration
+};
@@ -0,0 +1,229 @@
+/**
+ * utils/cast-tail.js
+ *
+ * Follows a .cast file that is still being recorded and streams it to
+ * browsers as Server-Sent Events in the format understood by the
+ * asciinema-player "eventsource" driver:
+ *
+ *   data: {"cols": 80, "rows": 24, "time": 12.3, "init": "..."}   (reset)
+ *   data: [12.5, "o", "output"]                                    (event)
+ *   event: done                                                    (ended)
+ *
+ * A viewer joining mid-session gets the output recorded so far as the
+ * `init` of the reset message, then every event appended after that.
+ * The stream ends when the recording exits (v3 "x" event) or the file is
+ * removed, which is what maintain-casts.js does once it compresses it.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+const { parseHeader, createEventParser } = require('./cast-reader');
+
+// How often to look for appended data once the end of the file is reached
+const DEFAULT_POLL_INTERVAL = 250;
+
+const READ_CHUNK_SIZE = 64 * 1024;
+
+// Output replayed to viewers that join mid-session is capped to this size
+const MAX_INIT_LENGTH = 2 * 1024 * 1024;
+
+// Keeps proxies and browsers from dropping an idle stream
+const KEEPALIVE_INTERVAL = 15000;
+
+/**
+ * Follow a growing cast file
+ *
+ * @param {string} filePath - Path to a plain (not gzipped) v2 or v3 cast file
+ * @param {Object} handlers - Callbacks
+ * @param {function(Object): void} handlers.onHeader - Called with the normalized header
+ * @param {function(Array): void} handlers.onEvent - Called with every normalized event
+ * @param {function(): void} [handlers.onCaughtUp] - Called the first time the end of the file is reached
+ * @param {function(string, Error=): void} handlers.onEnd - Called once with 'exit', 'removed' or 'error'
+ * @param {Object} [options] - Options
+ * @param {number} [options.pollInterval] - Milliseconds between checks for new data
+ * @returns {function(): void} - Stops following the file
+ */
+function tailCastFile(filePath, handlers, options = {}) {
+  const pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+  const decoder = new StringDecoder('utf8');
+  const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+
+  let handle = null;
+  let position = 0;
+  let remainder = '';
+  let parseEvent = null;
+  let caughtUp = false;
+  let stopped = false;
+  let timer = null;
+
+  const finish = (reason, err) => {
+    if (stopped) return;
+    stopped = true;
+    clearTimeout(timer);
+    if (handle) handle.close().catch(() => {});
+    handlers.onEnd(reason, err);
+  };
+
+  // Returns false once the recording has exited
+  const handleLine = (line) => {
+    if (!parseEvent) {
+      if (!line.trim()) return true;
+      const header = parseHeader(line);
+      parseEvent = createEventParser(header);
+      handlers.onHeader(header);
+      return true;
+    }
+
+    const event = parseEvent(line);
+    if (!event) return true;
+    if (event[1] === 'x') return false;
+
+    handlers.onEvent(event);
+    return true;
+  };
+
+  const poll = async () => {
+    try {
+      if (!handle) {
+        handle = await fs.promises.open(filePath, 'r');
+      }
+
+      for (;;) {
+        const { bytesRead } = await handle.read(buffer, 0, READ_CHUNK_SIZE, position);
+        if (stopped) return;
+        if (bytesRead === 0) break;
+        position += bytesRead;
+
+        const lines = (remainder + decoder.write(buffer.subarray(0, bytesRead))).split('\n');
+        remainder = lines.pop();
+
+        for (const line of lines) {
+          if (!handleLine(line)) return finish('exit');
+        }
+      }
+
+      if (!caughtUp && parseEvent) {
+        caughtUp = true;
+        if (handlers.onCaughtUp) handlers.onCaughtUp();
+      }
+
+      // The handle keeps reading a deleted file, so check the path itself
+      const stats = await fs.promises.stat(filePath);
+      if (stats.size < position) {
+        return finish('error', new Error('file was truncated'));
+      }
+    } catch (err) {
+      if (err.code === 'ENOENT') return finish('removed');
+      return finish('error', err);
+    }
+
+    if (!stopped) {
+      timer = setTimeout(poll, pollInterval);
+    }
+  };
+
+  poll();
+
+  return () => {
+    if (stopped) return;
+    stopped = true;
+    clearTimeout(timer);
+    if (handle) handle.close().catch(() => {});
+  };
+}
+
+/**
+ * Find where a replay of the given output can start cleanly
+ *
+ * @param {string} output - Recorded output
+ * @returns {string} - Output from the last screen clear within the size limit
+ */
+function trimInitOutput(output) {
+  if (output.length <= MAX_INIT_LENGTH) return output;
+
+  const tail = output.slice(-MAX_INIT_LENGTH);
+  const clear = tail.search(/\x1b\[2J|\x1bc/);
+  return clear === -1 ? tail : tail.slice(clear);
+}
+
+/**
+ * Stream a recording in progress to a client as Server-Sent Events
+ *
+ * @param {string} filePath - Path to the plain cast file
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ */
+function streamLiveCast(filePath, req, res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  const send = (message) => res.write(`data: ${JSON.stringify(message)}\n\n`);
+
+  let size = null;
+  let lastTime = 0;
+  let backlog = [];
+  let backlogLength = 0;
+  let live = false;
+
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL);
+
+  const stop = tailCastFile(filePath, {
+    onHeader(header) {
+      size = { cols: header.width, rows: header.height };
+    },
+
+    onEvent(event) {
+      const [time, type, data] = event;
+      lastTime = time;
+
+      if (type === 'r') {
+        const match = typeof data === 'string' && data.match(/^(\d+)x(\d+)$/);
+        if (match) size = { cols: parseInt(match[1], 10), rows: parseInt(match[2], 10) };
+      } else if (type !== 'o') {
+        return;
+      }
+
+      if (live) {
+        send([time, type, data]);
+      } else if (type === 'o') {
+        backlog.push(data);
+        backlogLength += data.length;
+
+        // Don't hold on to more than a replay can use
+        if (backlogLength > MAX_INIT_LENGTH * 2) {
+          backlog = [trimInitOutput(backlog.join(''))];
+          backlogLength = backlog[0].length;
+        }
+      }
+    },
+
+    onCaughtUp() {
+      send({ ...size, time: lastTime, init: trimInitOutput(backlog.join('')) });
+      backlog = null;
+      live = true;
+    },
+
+    onEnd(reason, err) {
+      if (err) console.error(`Live stream of ${filePath} failed: ${err.message}`);
+      clearInterval(keepalive);
+
+      // Ended before catching up: show what was recorded
+      if (!live && size) {
+        send({ ...size, time: lastTime, init: trimInitOutput(backlog.join('')) });
+      }
+      res.write('event: done\ndata: {}\n\n');
+      res.end();
+    }
+  });
+
+  req.on('close', () => {
+    clearInterval(keepalive);
+    stop();
+  });
+}
+
+module.exports = { tailCastFile, streamLiveCast };
@@ -0,0 +1,277 @@
+/**
+ * utils/catalog.js
+ *
+ * Keeps the `catalog` table in the index DB in step with the recordings
+ * on disk, so listing pages can be served without scanning directories,
+ * reading .gz.info sidecars or parsing cast files on every request.
+ *
+ * A catalog entry is refreshed whenever the size or mtime of the file it
+ * was built from changes (a recording still being written, or a plain
+ * file that got compressed), or when its metadata sidecar changes.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { DISPLAY_TIMEZONE } = require('./config');
+const { SOURCES, recordingKey, recordingSource, recordingPath, listPlainCasts, listRecordingFiles } = require('./sources');
+const { startOfDay, nextDay } = require('./timezones');
+const { recordingDate } = require('./parseFilename');
+const { readCastHeader, probeDuration } = require('./cast-reader');
+const { sidecarPath, readInfoFile, resolveMetadata } = require('./metadata');
+const db = require('./indexer/db');
+
+const statAsync     = promisify(fs.stat);
+
+/**
+ * List the recordings on disk, in every source and its subdirectories.
+ *
+ * Returns Map<filename, { path, compressed }> keyed by recording key; the
+ * gzipped copy wins when both exist, as maintain-casts.js is about to
+ * delete the original.
+ */
+function listCastFiles() {
+  return listRecordingFiles();
+}
+
+/**
+ * Build a catalog entry for a recording from the files on disk.
+ *
+ * The date comes from the filename, or for names that don't carry one
+ * from the header timestamp or the file's modification time; the zone
+ * it was recorded in is kept when it is known (see recordingDate).
+ */
+async function describeCastFile(filename, file, stats, sidecar) {
+  let header = null;
+  try {
+    header = await readCastHeader(file.path);
+  } catch (err) {
+    console.error(`  Could not read header of ${filename}: ${err.message}`);
+  }
+
+  const dateInfo = recordingDate(filename, header, stats.mtimeMs);
+
+  const info = sidecar ? sidecar.data : null;
+  const metadata = resolveMetadata(filename, info, header);
+
+  // Only .gz.info sidecars carry a duration; a plain one only has metadata
+  let duration = file.compressed && info && typeof info.duration === 'number' ? info.duration : null;
+  if (duration === null && header) {
+    try {
+      duration = (await probeDuration(file.path)).duration;
+    } catch { /* recording without events yet */ }
+  }
+
+  return {
+    filename,
+    source:       recordingSource(filename),
+    date:         dateInfo.date,
+    time:         dateInfo.time,
+    timestamp:    dateInfo.dateObj.getTime(),
+    timezone:     dateInfo.timeZone,
+    tags:         metadata.tags,
+    title:        metadata.title,
+    description:  metadata.description,
+    host:         metadata.host,
+    duration,
+    width:        header ? header.width || null : null,
+    height:       header ? header.height || null : null,
+    fileSize:     stats.size,
+    originalSize: file.compressed ? (info && info.original_size) || null : stats.size,
+    compressed:   file.compressed,
+    fileMtime:    Math.floor(stats.mtimeMs),
+    metaMtime:    sidecar ? Math.floor(sidecar.mtimeMs) : null
+  };
+}
+
+/**
+ * Refresh the catalog entry of one recording if its file or sidecar changed.
+ *
+ * Returns 'added', 'updated' or 'unchanged'.
+ */
+async function refreshCatalogEntry(database, filename, file) {
+  const stats    = await statAsync(file.path);
+  const sidecar  = await readInfoFile(sidecarPath(filename, file.compressed));
+  const existing = db.getCatalogEntry(database, filename);
+
+  if (existing &&
+      existing.compressed === file.compressed &&
+      existing.fileSize === stats.size &&
+      existing.fileMtime === Math.floor(stats.mtimeMs) &&
+      existing.metaMtime === (sidecar ? Math.floor(sidecar.mtimeMs) : null)) {
+    return 'unchanged';
+  }
+
+  const entry = await describeCastFile(filename, file, stats, sidecar);
+  db.upsertCatalogEntry(database, entry);
+  return existing ? 'updated' : 'added';
+}
+
+/**
+ * Bring the whole catalog in line with the recordings on disk.
+ *
+ * Returns { added, updated, removed } counts.
+ */
+async function syncCatalog(database) {
+  const files   = await listCastFiles();
+  const summary = { added: 0, updated: 0, removed: 0 };
+
+  for (const [filename, file] of files) {
+    try {
+      const result = await refreshCatalogEntry(database, filename, file);
+      if (result === 'added')   summary.added++;
+      if (result === 'updated') summary.updated++;
+    } catch (err) {
+      console.error(`  Could not catalog ${filename}: ${err.message}`);
+    }
+  }
+
+  for (const entry of db.getCatalogEntries(database)) {
+    if (!files.has(entry.filename)) {
+      db.removeCatalogEntry(database, entry.filename);
+      summary.removed++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Re-check the plain files in the cast roots.
+ *
+ * They are the ones that appear, grow and get deleted between maintenance
+ * runs; everything in zip/ is trusted to be kept current by the
+ * maintenance and index scripts.  A plain recording that is gone is
+ * dropped from the catalog, or followed into zip/ when it was compressed
+ * meanwhile.  Roots that can't be read keep their entries.
+ */
+async function refreshPlainCasts(database) {
+  const found = new Set();
+  const readSources = new Set();
+
+  for (const source of SOURCES) {
+    let plainFiles = [];
+    try {
+      plainFiles = await listPlainCasts(source);
+      readSources.add(source.name);
+    } catch (err) {
+      console.error(`Error reading casts directory ${source.dir}:`, err.message);
+    }
+
+    for (const relPath of plainFiles) {
+      // A leftover original of a compressed recording
+      const filename = recordingKey(source, relPath);
+      found.add(filename);
+      const existing = db.getCatalogEntry(database, filename);
+      if (existing && existing.compressed) continue;
+
+      try {
+        await refreshCatalogEntry(database, filename, {
+          path: path.join(source.dir, relPath),
+          compressed: false
+        });
+      } catch (err) {
+        // Compressed and removed by maintenance in the meantime
+      }
+    }
+  }
+
+  for (const entry of db.getCatalogEntries(database)) {
+    if (entry.compressed || found.has(entry.filename)) continue;
+
+    const source = recordingSource(entry.filename);
+    if (source && !readSources.has(source)) continue;
+
+    try {
+      await refreshCatalogEntry(database, entry.filename, {
+        path: recordingPath(entry.filename, true),
+        compressed: true
+      });
+    } catch (err) {
+      // Deleted, or a key that no longer names a recording in any source
+      db.removeCatalogEntry(database, entry.filename);
+    }
+  }
+}
+
+/**
+ * Get all catalogued recordings, newest first, plain files re-checked.
+ */
+async function getCatalog() {
+  const database = db.getDatabase();
+  try {
+    db.initDatabase(database);
+    await refreshPlainCasts(database);
+    return db.getCatalogEntries(database);
+  } finally {
+    database.close();
+  }
+}
+
+/**
+ * Cursor for the page after an entry: opaque to API clients, it keeps the
+ * order it was made for and the sort value and filename the page ended on.
+ */
+function encodeCursor(sort, last) {
+  return Buffer.from(JSON.stringify([sort, last.value, last.filename])).toString('base64url');
+}
+
+/**
+ * Read a cursor given back by an API client.
+ *
+ * Returns { value, filename }, or null when the cursor is damaged or was
+ * made for another order.
+ */
+function parseCursor(cursor, sort) {
+  try {
+    const [cursorSort, value, filename] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (cursorSort !== sort || typeof value !== 'number' || typeof filename !== 'string') return null;
+    return { value, filename };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get a page of catalogued recordings matching filters.
+ *
+ * Takes the options of db.listCatalogEntries, with days (YYYY-MM-DD in
+ * DISPLAY_TIMEZONE, both included) as dateFrom / dateTo and the position
+ * as `after` (from parseCursor).  Plain files are re-checked for the first
+ * page only, so paging through a long list stays cheap.
+ *
+ * Returns { recordings, nextCursor }, nextCursor null on the last page.
+ */
+async function listRecordings(options = {}) {
+  const { dateFrom = null, dateTo = null, sort = 'newest', ...filters } = options;
+
+  const database = db.getDatabase();
+  try {
+    db.initDatabase(database);
+    if (!options.after) {
+      await refreshPlainCasts(database);
+    }
+
+    const { entries, last } = db.listCatalogEntries(database, {
+      ...filters,
+      sort,
+      from:  dateFrom ? startOfDay(dateFrom, DISPLAY_TIMEZONE) : null,
+      until: dateTo ? startOfDay(nextDay(dateTo), DISPLAY_TIMEZONE) : null
+    });
+
+    return { recordings: entries, nextCursor: last ? encodeCursor(sort, last) : null };
+  } finally {
+    database.close();
+  }
+}
+
+module.exports = {
+  syncCatalog,
+  getCatalog,
+  listRecordings,
+  parseCursor,
+  refreshCatalogEntry,
+  listCastFiles
+};
@@ -2,15 +2,96 @@
 
 require('dotenv').config();
 const path = require('path');
+const { isValidTimeZone } = require('./timezones');
 
-const CASTS_DIR = process.env.CASTS_DIR
-  ? path.resolve(process.env.CASTS_DIR)
-  : path.join(__dirname, '..', 'public', 'casts');
+const SOURCE_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
 
-const ZIP_DIR = path.join(CASTS_DIR, 'zip');
+/**
+ * Describe a directory recordings are kept in
+ *
+ * @param {string} name - Source name
+ * @param {string} dir - Directory
+ * @returns {{name: string, dir: string, zipDir: string, trashDir: string}} - Source
+ */
+function castSource(name, dir) {
+  return {
+    name,
+    dir,
+    zipDir: path.join(dir, 'zip'),
+    // Deleted recordings are kept here until restored or removed by hand
+    trashDir: path.join(dir, 'trash')
+  };
+}
+
+/**
+ * Read named cast roots from CASTS_DIRS
+ *
+ * @param {string} value - Comma-separated name=path entries
+ * @returns {Array<Object>} - Sources, in the order given
+ * @throws {Error} - If an entry is malformed or a name is used twice
+ */
+function parseCastsDirs(value) {
+  const sources = [];
+
+  for (const entry of value.split(',').map(item => item.trim()).filter(Boolean)) {
+    const separator = entry.indexOf('=');
+    const name = entry.slice(0, separator).trim();
+    const dir = entry.slice(separator + 1).trim();
+
+    if (separator < 0 || !SOURCE_NAME_PATTERN.test(name) || !dir) {
+      throw new Error(`Invalid CASTS_DIRS entry: ${entry} (expected name=path, the name made of letters, digits, _ and -)`);
+    }
+    if (sources.some(source => source.name === name)) {
+      throw new Error(`Source ${name} is given twice in CASTS_DIRS`);
+    }
+    sources.push(castSource(name, path.resolve(dir)));
+  }
+
+  if (sources.length === 0) {
+    throw new Error('CASTS_DIRS names no directory');
+  }
+  return sources;
+}
+
+// Several named roots (CASTS_DIRS=laptop=/srv/casts/laptop,server=/srv/casts/server)
+// put the source name in front of every recording's path; a single CASTS_DIR
+// is the unnamed "local" source
+const NAMED_SOURCES = Boolean(process.env.CASTS_DIRS && process.env.CASTS_DIRS.trim());
+
+const SOURCES = NAMED_SOURCES
+  ? parseCastsDirs(process.env.CASTS_DIRS)
+  : [castSource('local', process.env.CASTS_DIR
+    ? path.resolve(process.env.CASTS_DIR)
+    : path.join(__dirname, '..', 'public', 'casts'))];
+
+// The first source is where uploads go and what single-directory tools use
+const { dir: CASTS_DIR, zipDir: ZIP_DIR, trashDir: TRASH_DIR } = SOURCES[0];
 
 const DB_PATH = process.env.INDEX_DB_PATH
   ? path.resolve(process.env.INDEX_DB_PATH)
   : path.join(__dirname, '..', 'index.db');
 
-module.exports = { CASTS_DIR, ZIP_DIR, DB_PATH };
+// Install IDs (~/.config/asciinema/install-id) allowed to `asciinema upload`
+const UPLOAD_INSTALL_IDS = (process.env.UPLOAD_INSTALL_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+// Zone recordings are dated, grouped and filtered in; the server's zone by default
+const DISPLAY_TIMEZONE = process.env.DISPLAY_TIMEZONE ||
+  Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+if (!isValidTimeZone(DISPLAY_TIMEZONE)) {
+  throw new Error(`Invalid DISPLAY_TIMEZONE: ${DISPLAY_TIMEZONE} (expected a zone like Europe/Berlin or +05:30)`);
+}
+
+module.exports = {
+  CASTS_DIR,
+  ZIP_DIR,
+  TRASH_DIR,
+  SOURCES,
+  NAMED_SOURCES,
+  DB_PATH,
+  UPLOAD_INSTALL_IDS,
+  DISPLAY_TIMEZONE
+};
@@ -0,0 +1,197 @@
+/**
+ * utils/index-jobs.js
+ *
+ * Runs indexing inside the server as background jobs, so the index
+ * administration page can start a reindex and follow its progress.
+ *
+ * Job types:
+ *   incremental — index what is new or changed, like `npm run index`
+ *   full        — index every recording again with every strategy
+ *   file        — index one recording again
+ *
+ * One job runs at a time; starting another while one runs, or while the
+ * watcher (WATCH_CASTS) indexes, is refused.
+ * Jobs are kept in memory (the last MAX_JOBS of them) and their progress
+ * is published to listeners, which the server streams as Server-Sent
+ * Events.
+ */
+
+'use strict';
+
+const { EventEmitter } = require('events');
+const { indexCastFiles, isIndexing } = require('./indexer');
+const { parseRecordingKey } = require('./sources');
+
+const JOB_TYPES = ['incremental', 'full', 'file'];
+
+// Finished jobs kept for the page
+const MAX_JOBS = 20;
+
+/**
+ * Error for a job that can't be started, with the HTTP status to answer with
+ */
+class IndexJobError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'IndexJobError';
+    this.status = status;
+  }
+}
+
+const jobs = [];
+const events = new EventEmitter();
+let nextId = 1;
+
+// Every open admin page follows the running job
+events.setMaxListeners(0);
+
+/**
+ * Copy of a job for clients
+ *
+ * @param {Object} job - Job
+ * @returns {Object} - Job fields
+ */
+function describeJob(job) {
+  return { ...job, failed: [...job.failed] };
+}
+
+/**
+ * Publish the current state of a job
+ *
+ * @param {Object} job - Job
+ */
+function publish(job) {
+  events.emit(`job:${job.id}`, describeJob(job));
+}
+
+/**
+ * Get the job that is running, if any
+ *
+ * @returns {Object|null} - Running job
+ */
+function runningJob() {
+  return jobs.find(job => job.state === 'running') || null;
+}
+
+/**
+ * Start an indexing job
+ *
+ * @param {Object} request - What to index
+ * @param {string} request.type - incremental, full or file
+ * @param {string} [request.filename] - Recording to index, for file jobs
+ * @param {function(Object): Promise<Object>} [run] - Runs the indexing, indexCastFiles by default
+ * @returns {Object} - The new job
+ * @throws {IndexJobError} - If the request is invalid or indexing is already running
+ */
+function startIndexJob(request, run = indexCastFiles) {
+  const { type, filename } = request || {};
+
+  if (!JOB_TYPES.includes(type)) {
+    throw new IndexJobError(`type must be one of: ${JOB_TYPES.join(', ')}`, 400);
+  }
+  if (type === 'file' && !parseRecordingKey(filename)) {
+    throw new IndexJobError('Invalid filename', 400);
+  }
+
+  const running = runningJob();
+  if (running) {
+    throw new IndexJobError(`Job ${running.id} is still running`, 409);
+  }
+  if (isIndexing()) {
+    throw new IndexJobError('Recordings are being indexed already, try again when that is done', 409);
+  }
+
+  const job = {
+    id: nextId++,
+    type,
+    filename: type === 'file' ? filename : null,
+    state: 'running',
+    startedAt: Date.now(),
+    finishedAt: null,
+    done: 0,
+    total: null,
+    current: null,
+    failed: [],
+    carriedOver: 0,
+    pruned: 0,
+    error: null
+  };
+
+  jobs.unshift(job);
+  jobs.splice(MAX_JOBS);
+
+  const options = {
+    force: type !== 'incremental',
+    filename: job.filename,
+    onProgress: (progress) => {
+      job.done = progress.done;
+      job.total = progress.total;
+      job.current = { filename: progress.filename, strategy: progress.strategy };
+      if (!progress.ok) {
+        job.failed.push({ filename: progress.filename, strategy: progress.strategy });
+      }
+      publish(job);
+    }
+  };
+
+  Promise.resolve()
+    .then(() => run(options))
+    .then((summary) => {
+      job.carriedOver = summary.carriedOver.length;
+      job.pruned = summary.pruned.length;
+      job.error = summary.error;
+    })
+    .catch((err) => {
+      job.error = err.message;
+    })
+    .then(() => {
+      job.state = job.error ? 'failed' : 'done';
+      job.finishedAt = Date.now();
+      job.current = null;
+      publish(job);
+    });
+
+  return describeJob(job);
+}
+
+/**
+ * List the jobs, newest first
+ *
+ * @returns {Array<Object>} - Jobs
+ */
+function listIndexJobs() {
+  return jobs.map(describeJob);
+}
+
+/**
+ * Get one job
+ *
+ * @param {number} id - Job ID
+ * @returns {Object|null} - Job or null if it isn't kept
+ */
+function getIndexJob(id) {
+  const job = jobs.find(entry => entry.id === Number(id));
+  return job ? describeJob(job) : null;
+}
+
+/**
+ * Follow the progress of a job
+ *
+ * @param {number} id - Job ID
+ * @param {function(Object): void} listener - Called with the job whenever it changes
+ * @returns {function(): void} - Stops following
+ */
+function followIndexJob(id, listener) {
+  const name = `job:${Number(id)}`;
+  events.on(name, listener);
+  return () => events.off(name, listener);
+}
+
+module.exports = {
+  IndexJobError,
+  JOB_TYPES,
+  startIndexJob,
+  listIndexJobs,
+  getIndexJob,
+  followIndexJob
+};
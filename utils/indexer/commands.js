@@ -0,0 +1,53 @@
+/**
+ * Lookup of shell commands extracted by the commands strategy
+ */
+
+const db = require('./db');
+
+/**
+ * Get the commands run in a recording
+ * 
+ * @param {string} filename - Cast filename (without .gz)
+ * @returns {Promise<{commands: Array<Object>, indexed: boolean}>} - Commands in order and whether the file has been processed
+ */
+async function getCastCommands(filename) {
+  let database = null;
+  
+  try {
+    // Open database
+    database = db.getDatabase();
+    
+    // Use the most recently registered copy that went through the commands strategy
+    const fileStmt = database.prepare(`
+      SELECT i.id
+      FROM indexed_files i
+      JOIN indexing_strategies s ON s.file_id = i.id AND s.strategy_id = 'commands'
+      WHERE i.filename = ? AND s.completed_at IS NOT NULL
+      ORDER BY i.indexed_at DESC
+      LIMIT 1
+    `);
+    const file = fileStmt.get(filename);
+    
+    if (!file) {
+      return { commands: [], indexed: false };
+    }
+    
+    const commandsStmt = database.prepare(`
+      SELECT command, start_offset, end_offset, output
+      FROM commands
+      WHERE file_id = ?
+      ORDER BY start_offset ASC, id ASC
+    `);
+    
+    return { commands: commandsStmt.all(file.id), indexed: true };
+  } finally {
+    // Always close the database connection
+    if (database) {
+      database.close();
+    }
+  }
+}
+
+module.exports = {
+  getCastCommands
+};
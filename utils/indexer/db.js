@@ -3,7 +3,8 @@
  */
 
 const Database = require('better-sqlite3');
-const { DB_PATH } = require('../config');
+const { DB_PATH, DISPLAY_TIMEZONE } = require('../config');
+const { formatInZone } = require('../timezones');
 
 /**
  * Initialize the database with necessary tables
@@ -84,8 +85,10 @@ function initDatabase(db) {
  * @param {string} currentVersion - Current schema version
  */
 function applyMigrations(db, currentVersion) {
+  let version = currentVersion;
+
   // Migration from 0.0.0 or 1.0.0 to add file_mtime column
-  if (currentVersion === '0.0.0' || currentVersion === '1.0.0') {
+  if (version === '0.0.0' || version === '1.0.0') {
     console.log('Migrating database schema: Adding file_mtime column...');
     
     // Add file_mtime column if it doesn't exist
@@ -101,6 +104,261 @@ function applyMigrations(db, currentVersion) {
     
     // Update schema version
     setVersion(db, 'schema_version', '1.1.0');
+    version = '1.1.0';
+  }
+  
+  // Migration from 1.1.0 to tag every content row with the strategy that produced it
+  if (version === '1.1.0') {
+    console.log('Migrating database schema: Adding strategy column to cast_content...');
+    
+    // FTS5 tables can't be altered, so rebuild the table and copy the rows over.
+    // Everything indexed so far was produced by the basic strategy.
+    db.transaction(() => {
+      db.exec(`
+        CREATE VIRTUAL TABLE cast_content_new USING fts5(
+          content,
+          file_id UNINDEXED,
+          timestamp UNINDEXED,
+          time_offset UNINDEXED,
+          tags UNINDEXED,
+          strategy UNINDEXED
+        );
+      `);
+      db.exec(`
+        INSERT INTO cast_content_new (rowid, content, file_id, timestamp, time_offset, tags, strategy)
+        SELECT rowid, content, file_id, timestamp, time_offset, tags, 'basic' FROM cast_content;
+      `);
+      db.exec('DROP TABLE cast_content;');
+      db.exec('ALTER TABLE cast_content_new RENAME TO cast_content;');
+      
+      setVersion(db, 'schema_version', '1.2.0');
+    })();
+    version = '1.2.0';
+  }
+  
+  // Migration from 1.2.0 to add the commands table
+  if (version === '1.2.0') {
+    console.log('Migrating database schema: Adding commands table...');
+    
+    // Shell commands extracted by the commands strategy, with the output that followed
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS commands (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_id INTEGER NOT NULL,
+        command TEXT NOT NULL,
+        start_offset REAL NOT NULL,
+        end_offset REAL,
+        output TEXT,
+        FOREIGN KEY (file_id) REFERENCES indexed_files(id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_commands_file_id ON commands(file_id);
+    `);
+    
+    setVersion(db, 'schema_version', '1.3.0');
+    version = '1.3.0';
+  }
+  
+  // Migration from 1.3.0 to add the recordings catalog
+  if (version === '1.3.0') {
+    console.log('Migrating database schema: Adding catalog table...');
+    
+    // One row per recording with everything the listing pages show,
+    // so they don't have to scan directories and read cast files
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS catalog (
+        filename TEXT PRIMARY KEY,
+        date TEXT,
+        time TEXT,
+        timestamp INTEGER,
+        tags TEXT,
+        duration REAL,
+        width INTEGER,
+        height INTEGER,
+        file_size INTEGER,
+        original_size INTEGER,
+        compressed BOOLEAN DEFAULT 0,
+        file_mtime INTEGER,
+        updated_at INTEGER
+      );
+    `);
+    
+    setVersion(db, 'schema_version', '1.4.0');
+    version = '1.4.0';
+  }
+  
+  // Migration from 1.4.0 to store recording metadata outside filenames
+  if (version === '1.4.0') {
+    console.log('Migrating database schema: Adding recording metadata...');
+    
+    db.exec(`
+      ALTER TABLE catalog ADD COLUMN title TEXT;
+      ALTER TABLE catalog ADD COLUMN description TEXT;
+      ALTER TABLE catalog ADD COLUMN meta_mtime INTEGER;
+    `);
+    
+    // Exact tag lookups for search filters, one row per tag of a recording
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS recording_tags (
+        filename TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (filename, tag)
+      );
+      CREATE INDEX IF NOT EXISTS idx_recording_tags_tag ON recording_tags(tag);
+    `);
+    
+    // Rebuild the catalog from the sidecars on the next sync
+    db.exec('DELETE FROM catalog;');
+    
+    setVersion(db, 'schema_version', '1.5.0');
+    version = '1.5.0';
+  }
+  
+  // Migration from 1.5.0 to add annotations
+  if (version === '1.5.0') {
+    console.log('Migrating database schema: Adding annotations...');
+    
+    // Keyed by filename rather than file ID so they survive reindexing
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS annotations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        filename TEXT NOT NULL,
+        time_offset REAL NOT NULL,
+        text TEXT NOT NULL,
+        created_at INTEGER,
+        updated_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS idx_annotations_filename ON annotations(filename);
+    `);
+    
+    // Searchable annotation text, rowid is the annotation ID
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS annotation_content USING fts5(text);
+    `);
+    
+    setVersion(db, 'schema_version', '1.6.0');
+    version = '1.6.0';
+  }
+  
+  // Migration from 1.6.0 to add the recording host
+  if (version === '1.6.0') {
+    console.log('Migrating database schema: Adding recording host...');
+    
+    db.exec(`
+      ALTER TABLE catalog ADD COLUMN host TEXT;
+    `);
+    
+    // Rebuild the catalog from the sidecars on the next sync
+    db.exec('DELETE FROM catalog;');
+    
+    setVersion(db, 'schema_version', '1.7.0');
+    version = '1.7.0';
+  }
+  
+  // Migration from 1.7.0 to add the trigram index for substring search
+  if (version === '1.7.0') {
+    console.log('Migrating database schema: Adding trigram table...');
+    
+    // Filled by the trigram strategy; the tokenizer lets LIKE use the index
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS cast_trigram USING fts5(
+        content,
+        file_id UNINDEXED,
+        time_offset UNINDEXED,
+        tokenize = 'trigram'
+      );
+    `);
+    
+    setVersion(db, 'schema_version', '1.8.0');
+    version = '1.8.0';
+  }
+  
+  // Migration from 1.8.0 to key indexed files by cast name rather than path
+  if (version === '1.8.0') {
+    console.log('Migrating database schema: Removing duplicate indexed files...');
+    
+    // A recording moved into zip/ got a second row; keep the completed one,
+    // or the newest, and let the next index run sort out its path
+    db.transaction(() => {
+      const duplicates = db.prepare(`
+        SELECT id FROM indexed_files f
+        WHERE EXISTS (
+          SELECT 1 FROM indexed_files g
+          WHERE g.filename = f.filename
+            AND (g.completed > f.completed OR (g.completed = f.completed AND g.id > f.id))
+        )
+      `).all();
+      // The tables as they are at 1.8.0, later ones don't exist yet
+      for (const { id } of duplicates) {
+        db.prepare('DELETE FROM cast_content WHERE file_id = ?').run(id);
+        db.prepare('DELETE FROM commands WHERE file_id = ?').run(id);
+        db.prepare('DELETE FROM cast_trigram WHERE file_id = ?').run(id);
+        db.prepare('DELETE FROM indexing_strategies WHERE file_id = ?').run(id);
+        db.prepare('DELETE FROM indexed_files WHERE id = ?').run(id);
+      }
+      
+      db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_indexed_files_filename ON indexed_files(filename);');
+      
+      setVersion(db, 'schema_version', '1.9.0');
+    })();
+    version = '1.9.0';
+  }
+  
+  // Migration from 1.9.0 to keep indexing failures
+  if (version === '1.9.0') {
+    console.log('Migrating database schema: Adding index errors...');
+    
+    // Last failure of a strategy on a file, until the strategy succeeds on it
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS index_errors (
+        file_id INTEGER NOT NULL,
+        strategy_id TEXT NOT NULL,
+        strategy_version TEXT NOT NULL,
+        error TEXT NOT NULL,
+        failed_at INTEGER,
+        PRIMARY KEY (file_id, strategy_id),
+        FOREIGN KEY (file_id) REFERENCES indexed_files(id) ON DELETE CASCADE
+      );
+    `);
+    
+    setVersion(db, 'schema_version', '1.10.0');
+    version = '1.10.0';
+  }
+  
+  // Migration from 1.10.0 to keep the zone recordings were made in
+  if (version === '1.10.0') {
+    console.log('Migrating database schema: Adding recording time zones...');
+    
+    const columns = db.prepare('PRAGMA table_info(catalog)').all().map(column => column.name);
+    if (!columns.includes('timezone')) {
+      db.exec(`
+        ALTER TABLE catalog ADD COLUMN timezone TEXT;
+      `);
+    }
+    
+    // Date every recording again in its own zone when it is next refreshed;
+    // until then the entries keep their old date
+    db.exec('UPDATE catalog SET file_mtime = NULL;');
+    
+    setVersion(db, 'schema_version', '1.11.0');
+    version = '1.11.0';
+  }
+  
+  // Migration from 1.11.0 to list and filter recordings by the root they are in
+  if (version === '1.11.0') {
+    console.log('Migrating database schema: Adding recording sources...');
+    
+    const columns = db.prepare('PRAGMA table_info(catalog)').all().map(column => column.name);
+    if (!columns.includes('source')) {
+      db.exec(`
+        ALTER TABLE catalog ADD COLUMN source TEXT;
+      `);
+    }
+    
+    // Fill in the source of every entry when it is next refreshed
+    db.exec('UPDATE catalog SET file_mtime = NULL;');
+    
+    setVersion(db, 'schema_version', '1.12.0');
+    version = '1.12.0';
   }
 }
 
@@ -132,24 +390,33 @@ function getVersion(db, key) {
 /**
  * Register file for indexing
  * 
+ * Files are keyed by cast name, so a recording keeps its row when it moves
+ * into zip/; a row found under another path is indexed again unless
+ * moveIndexedFile carried it over first.
+ * 
  * @param {Database} db - SQLite database instance
  * @param {string} filePath - Path to the file
  * @param {string} filename - Filename without .gz extension
  * @param {object} fileInfo - File information
+ * @param {Object|null} [dateInfo] - Recording date (see recordingDate), parsed from the filename by default
  * @returns {number} - File ID
  */
-function registerFile(db, filePath, filename, fileInfo) {
+function registerFile(db, filePath, filename, fileInfo, dateInfo = require('../parseFilename').parseFilenameDate(filename)) {
   // Check if the file already exists in the database
-  const existingStmt = db.prepare('SELECT id, file_size, file_mtime, indexed_at FROM indexed_files WHERE file_path = ?');
-  const existing = existingStmt.get(filePath);
+  const existing = getIndexedFile(db, filename);
   
   if (existing) {
-    // File exists, check if it's been modified based on size and mtime
+    // Recordings without a date in their name were indexed undated before
+    if (dateInfo && existing.timestamp !== dateInfo.dateObj.getTime()) {
+      setIndexedFileDate(db, existing.id, dateInfo);
+    }
+    
+    // File exists, check if it's been modified based on path, size and mtime
     const fileModifiedTime = fileInfo.mtimeMs || (fileInfo.mtime ? fileInfo.mtime.getTime() : null);
-    const lastIndexedTime = existing.indexed_at || 0;
     
     // Check if the file seems unchanged
-    if (existing.file_size === fileInfo.size && 
+    if (existing.file_path === filePath &&
+        existing.file_size === fileInfo.size && 
         fileModifiedTime && 
         existing.file_mtime && 
         fileModifiedTime <= existing.file_mtime) {
@@ -159,20 +426,25 @@ function registerFile(db, filePath, filename, fileInfo) {
       // File was modified, update stats but keep the file as registered
       const updateStmt = db.prepare(`
         UPDATE indexed_files 
-        SET file_size = ?, file_mtime = ?, indexed_at = ?, completed = 0
+        SET file_path = ?, file_size = ?, file_mtime = ?, indexed_at = ?, completed = 0
         WHERE id = ?
       `);
-      updateStmt.run(fileInfo.size, fileModifiedTime, Date.now(), existing.id);
+      updateStmt.run(filePath, fileInfo.size, fileModifiedTime, Date.now(), existing.id);
+      
+      // Every strategy has to run again on the new content
+      db.prepare('DELETE FROM indexing_strategies WHERE file_id = ?').run(existing.id);
       return existing.id;
     }
   } else {
     // File doesn't exist, insert new record
-    const parsedInfo = require('../parseFilename').parseFilenameDate(filename);
-    const timestamp = parsedInfo ? parsedInfo.dateObj.getTime() : null;
+    const timestamp = dateInfo ? dateInfo.dateObj.getTime() : null;
     
     // Get file modified time safely
     const fileModifiedTime = fileInfo.mtimeMs || (fileInfo.mtime ? fileInfo.mtime.getTime() : null);
     
+    // A stale row left behind under this path would break the UNIQUE constraint
+    removeIndexedFile(db, filePath);
+    
     const insertStmt = db.prepare(`
       INSERT INTO indexed_files 
       (file_path, filename, date, time, timestamp, file_size, file_mtime, indexed_at, completed) 
@@ -182,8 +454,8 @@ function registerFile(db, filePath, filename, fileInfo) {
     const info = insertStmt.run(
       filePath,
       filename,
-      parsedInfo ? parsedInfo.date : null,
-      parsedInfo ? parsedInfo.time : null,
+      dateInfo ? dateInfo.date : null,
+      dateInfo ? dateInfo.time : null,
       timestamp,
       fileInfo.size,
       fileModifiedTime,
@@ -194,6 +466,52 @@ function registerFile(db, filePath, filename, fileInfo) {
   }
 }
 
+/**
+ * Set the date of an indexed file and of everything indexed from it
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {number} fileId - File ID
+ * @param {Object} dateInfo - Recording date (see recordingDate)
+ */
+function setIndexedFileDate(db, fileId, dateInfo) {
+  const timestamp = dateInfo.dateObj.getTime();
+  
+  db.prepare('UPDATE indexed_files SET date = ?, time = ?, timestamp = ? WHERE id = ?')
+    .run(dateInfo.date, dateInfo.time, timestamp, fileId);
+  db.prepare('UPDATE cast_content SET timestamp = ? WHERE file_id = ?').run(timestamp, fileId);
+}
+
+/**
+ * Get the indexed file of a recording
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {string} filename - Cast filename (without .gz)
+ * @returns {Object|null} - indexed_files row or null if the recording isn't indexed
+ */
+function getIndexedFile(db, filename) {
+  const stmt = db.prepare('SELECT * FROM indexed_files WHERE filename = ?');
+  return stmt.get(filename) || null;
+}
+
+/**
+ * Point an indexed file at another copy of the same recording, keeping
+ * everything indexed from it
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {number} fileId - File ID
+ * @param {string} filePath - Path of the copy
+ * @param {object} fileInfo - File information of the copy
+ */
+function moveIndexedFile(db, fileId, filePath, fileInfo) {
+  const fileModifiedTime = fileInfo.mtimeMs || (fileInfo.mtime ? fileInfo.mtime.getTime() : null);
+  
+  db.transaction(() => {
+    removeIndexedFile(db, filePath);
+    db.prepare('UPDATE indexed_files SET file_path = ?, file_size = ?, file_mtime = ? WHERE id = ?')
+      .run(filePath, fileInfo.size, fileModifiedTime, fileId);
+  })();
+}
+
 /**
  * Check if file has been indexed with the given strategy
  * 
@@ -240,6 +558,47 @@ function markStrategyCompleted(db, fileId, strategyId, strategyVersion) {
   stmt.run(fileId, strategyId, strategyVersion, Date.now());
 }
 
+/**
+ * Forget that a strategy was applied to a file, before applying it again
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {number} fileId - File ID
+ * @param {string} strategyId - Strategy ID
+ */
+function markStrategyPending(db, fileId, strategyId) {
+  db.prepare('DELETE FROM indexing_strategies WHERE file_id = ? AND strategy_id = ?').run(fileId, strategyId);
+}
+
+/**
+ * Keep the error a strategy failed with on a file
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {number} fileId - File ID
+ * @param {string} strategyId - Strategy ID
+ * @param {string} strategyVersion - Strategy version
+ * @param {string} message - Error message
+ */
+function recordIndexError(db, fileId, strategyId, strategyVersion, message) {
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO index_errors 
+    (file_id, strategy_id, strategy_version, error, failed_at) 
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  
+  stmt.run(fileId, strategyId, strategyVersion, message, Date.now());
+}
+
+/**
+ * Forget the error a strategy failed with on a file
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {number} fileId - File ID
+ * @param {string} strategyId - Strategy ID
+ */
+function clearIndexError(db, fileId, strategyId) {
+  db.prepare('DELETE FROM index_errors WHERE file_id = ? AND strategy_id = ?').run(fileId, strategyId);
+}
+
 /**
  * Mark file indexing as complete
  * 
@@ -256,10 +615,486 @@ function markFileCompleted(db, fileId) {
  * 
  * @param {Database} db - SQLite database instance
  * @param {number} fileId - File ID
+ * @param {string} [strategyId] - Only clear content produced by this strategy
  */
-function clearPartialIndexing(db, fileId) {
-  const stmt = db.prepare('DELETE FROM cast_content WHERE file_id = ?');
-  stmt.run(fileId);
+function clearPartialIndexing(db, fileId, strategyId) {
+  if (strategyId) {
+    const stmt = db.prepare('DELETE FROM cast_content WHERE file_id = ? AND strategy = ?');
+    stmt.run(fileId, strategyId);
+  } else {
+    const stmt = db.prepare('DELETE FROM cast_content WHERE file_id = ?');
+    stmt.run(fileId);
+  }
+}
+
+/**
+ * Point the index rows of a renamed recording at its new file
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {string} oldPath - Previous path of the file
+ * @param {string} newPath - New path of the file
+ * @param {string} filename - New filename without .gz extension
+ */
+function renameIndexedFile(db, oldPath, newPath, filename) {
+  const existing = db.prepare('SELECT id FROM indexed_files WHERE file_path = ?').get(oldPath);
+  if (!existing) return;
+  
+  const parsedInfo = require('../parseFilename').parseFilenameDate(filename);
+  const tagsString = parsedInfo && parsedInfo.tags.length ? parsedInfo.tagsString : '';
+  
+  db.transaction(() => {
+    // A stale row left behind for the new path or name would break the UNIQUE constraints
+    removeIndexedFile(db, newPath);
+    const stale = getIndexedFile(db, filename);
+    if (stale && stale.id !== existing.id) {
+      deleteIndexedFile(db, stale.id);
+    }
+    
+    db.prepare('UPDATE indexed_files SET file_path = ?, filename = ? WHERE id = ?')
+      .run(newPath, filename, existing.id);
+    db.prepare('UPDATE cast_content SET tags = ? WHERE file_id = ?').run(tagsString, existing.id);
+    
+    // A new name without a date keeps the date the recording had
+    if (parsedInfo) {
+      setIndexedFileDate(db, existing.id, parsedInfo);
+    }
+  })();
+}
+
+/**
+ * Give a file indexed under another name the name it has now
+ * 
+ * Recording names change for the same file when CASTS_DIR becomes one of
+ * several CASTS_DIRS (the source name comes first then); the file and its
+ * annotations keep what was indexed and added for them.
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {string} filePath - Path of the file
+ * @param {string} filename - Name of the recording now, without .gz extension
+ * @returns {string|null} - Previous name, or null if the file wasn't indexed under another one
+ */
+function renameIndexedRecording(db, filePath, filename) {
+  const existing = db.prepare('SELECT id, filename FROM indexed_files WHERE file_path = ?').get(filePath);
+  if (!existing || existing.filename === filename || getIndexedFile(db, filename)) return null;
+  
+  db.transaction(() => {
+    db.prepare('UPDATE indexed_files SET filename = ? WHERE id = ?').run(filename, existing.id);
+    renameAnnotations(db, existing.filename, filename);
+  })();
+  return existing.filename;
+}
+
+/**
+ * Remove a file and everything indexed from it
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {string} filePath - Path of the file
+ */
+function removeIndexedFile(db, filePath) {
+  const existing = db.prepare('SELECT id FROM indexed_files WHERE file_path = ?').get(filePath);
+  if (!existing) return;
+  
+  deleteIndexedFile(db, existing.id);
+}
+
+/**
+ * Remove the indexed files of recordings that are no longer on disk
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {Set<string>} filenames - Cast filenames (without .gz) on disk
+ * @param {function(string): boolean} [keep] - Whether to keep a file that isn't on disk,
+ *   e.g. one in a cast root that isn't mounted
+ * @returns {Array<{filename: string, filePath: string, contentRows: number}>} - Removed files
+ *   and the number of content rows removed with each
+ */
+function pruneIndexedFiles(db, filenames, keep = () => false) {
+  const rows = db.prepare('SELECT id, filename, file_path FROM indexed_files').all();
+  const pruned = [];
+  
+  for (const row of rows) {
+    if (filenames.has(row.filename) || keep(row.filename)) continue;
+    
+    const contentRows = deleteIndexedFile(db, row.id);
+    pruned.push({ filename: row.filename, filePath: row.file_path, contentRows });
+  }
+  
+  return pruned;
+}
+
+/**
+ * Delete an indexed file and everything indexed from it
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {number} fileId - File ID
+ * @returns {number} - Number of cast_content rows deleted
+ */
+function deleteIndexedFile(db, fileId) {
+  return db.transaction(() => {
+    const { changes } = db.prepare('DELETE FROM cast_content WHERE file_id = ?').run(fileId);
+    db.prepare('DELETE FROM commands WHERE file_id = ?').run(fileId);
+    db.prepare('DELETE FROM cast_trigram WHERE file_id = ?').run(fileId);
+    db.prepare('DELETE FROM indexing_strategies WHERE file_id = ?').run(fileId);
+    db.prepare('DELETE FROM index_errors WHERE file_id = ?').run(fileId);
+    db.prepare('DELETE FROM indexed_files WHERE id = ?').run(fileId);
+    return changes;
+  })();
+}
+
+/**
+ * Convert a catalog row to a catalog entry
+ * 
+ * @param {Object} row - Row from the catalog table
+ * @returns {Object} - Catalog entry
+ */
+function catalogRowToEntry(row) {
+  let tags = [];
+  try {
+    tags = row.tags ? JSON.parse(row.tags) : [];
+  } catch (e) {
+    // Leave tags empty if the stored value is damaged
+  }
+  
+  return {
+    filename: row.filename,
+    source: row.source || null,
+    // Dated in the zone configured now, whatever it was when catalogued
+    ...(row.timestamp !== null ? formatInZone(row.timestamp, DISPLAY_TIMEZONE) : { date: row.date, time: row.time }),
+    timestamp: row.timestamp,
+    timezone: row.timezone || null,
+    tags,
+    title: row.title || null,
+    description: row.description || null,
+    host: row.host || null,
+    duration: row.duration,
+    width: row.width,
+    height: row.height,
+    fileSize: row.file_size,
+    originalSize: row.original_size,
+    compressed: row.compressed === 1,
+    fileMtime: row.file_mtime,
+    metaMtime: row.meta_mtime,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Insert or update a recording in the catalog
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {Object} entry - Catalog entry (see catalogRowToEntry for fields)
+ */
+function upsertCatalogEntry(db, entry) {
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO catalog 
+    (filename, source, date, time, timestamp, timezone, tags, title, description, host, duration, width, height, 
+     file_size, original_size, compressed, file_mtime, meta_mtime, updated_at) 
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const deleteTagsStmt = db.prepare('DELETE FROM recording_tags WHERE filename = ?');
+  const insertTagStmt = db.prepare('INSERT OR IGNORE INTO recording_tags (filename, tag) VALUES (?, ?)');
+  
+  db.transaction(() => {
+    stmt.run(
+      entry.filename,
+      entry.source || null,
+      entry.date,
+      entry.time,
+      entry.timestamp,
+      entry.timezone || null,
+      JSON.stringify(entry.tags || []),
+      entry.title || null,
+      entry.description || null,
+      entry.host || null,
+      entry.duration,
+      entry.width,
+      entry.height,
+      entry.fileSize,
+      entry.originalSize,
+      entry.compressed ? 1 : 0,
+      entry.fileMtime,
+      entry.metaMtime || null,
+      Date.now()
+    );
+    
+    deleteTagsStmt.run(entry.filename);
+    for (const tag of entry.tags || []) {
+      insertTagStmt.run(entry.filename, tag);
+    }
+  })();
+}
+
+/**
+ * Get one recording from the catalog
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {string} filename - Cast filename (without .gz)
+ * @returns {Object|null} - Catalog entry or null if not catalogued
+ */
+function getCatalogEntry(db, filename) {
+  const stmt = db.prepare('SELECT * FROM catalog WHERE filename = ?');
+  const row = stmt.get(filename);
+  return row ? catalogRowToEntry(row) : null;
+}
+
+/**
+ * Get all recordings in the catalog, newest first
+ * 
+ * @param {Database} db - SQLite database instance
+ * @returns {Array<Object>} - Catalog entries
+ */
+function getCatalogEntries(db) {
+  const stmt = db.prepare('SELECT * FROM catalog ORDER BY timestamp DESC, filename DESC');
+  return stmt.all().map(catalogRowToEntry);
+}
+
+// Orders the catalog can be listed in: the value sorted on, ties broken by
+// filename in the same direction, so a page can continue after any entry
+const CATALOG_ORDERS = {
+  newest:  { value: 'COALESCE(timestamp, 0)', direction: 'DESC' },
+  oldest:  { value: 'COALESCE(timestamp, 0)', direction: 'ASC' },
+  longest: { value: 'COALESCE(duration, -1)', direction: 'DESC' }
+};
+
+/**
+ * Get a page of the recordings in the catalog that match filters
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {Object} [options] - Filters and page
+ * @param {Array<string>} [options.tags] - Tags, one of which (or a tag nested below it) a recording must have
+ * @param {number} [options.from] - Earliest start (milliseconds since the epoch)
+ * @param {number} [options.until] - Start before which recordings must have begun
+ * @param {number} [options.minDuration] - Shortest duration in seconds
+ * @param {number} [options.maxDuration] - Longest duration in seconds
+ * @param {Array<string>} [options.sources] - Sources a recording must be in
+ * @param {string} [options.title] - Text the title or filename must contain
+ * @param {string} [options.sort] - newest, oldest or longest
+ * @param {{value: number, filename: string}} [options.after] - Entry the page continues after
+ * @param {number} [options.limit] - Entries per page
+ * @returns {{entries: Array<Object>, last: ({value: number, filename: string}|null)}} - Catalog
+ *          entries, and where the next page starts if there is one
+ */
+function listCatalogEntries(db, options = {}) {
+  const {
+    tags = [],
+    from = null,
+    until = null,
+    minDuration = null,
+    maxDuration = null,
+    sources = [],
+    title = null,
+    sort = 'newest',
+    after = null,
+    limit = 50
+  } = options;
+  
+  const order = CATALOG_ORDERS[sort];
+  if (!order) {
+    throw new Error(`Unknown catalog order: ${sort}`);
+  }
+  
+  const conditions = [];
+  const params = [];
+  
+  // Tags below "client" sort between "client/" and "client0", as in search
+  if (tags.length > 0) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM recording_tags t
+      WHERE t.filename = catalog.filename AND (${tags.map(() => 't.tag = ? OR (t.tag >= ? AND t.tag < ?)').join(' OR ')})
+    )`);
+    tags.forEach(tag => params.push(tag, `${tag}/`, `${tag}0`));
+  }
+  
+  if (from !== null) {
+    conditions.push('timestamp >= ?');
+    params.push(from);
+  }
+  
+  if (until !== null) {
+    conditions.push('timestamp < ?');
+    params.push(until);
+  }
+  
+  if (minDuration !== null) {
+    conditions.push('duration >= ?');
+    params.push(minDuration);
+  }
+  
+  if (maxDuration !== null) {
+    conditions.push('duration <= ?');
+    params.push(maxDuration);
+  }
+  
+  if (sources.length > 0) {
+    conditions.push(`source IN (${sources.map(() => '?').join(', ')})`);
+    params.push(...sources);
+  }
+  
+  // LIKE is case-insensitive for ASCII; % and _ in the text are matched as is
+  if (title) {
+    const pattern = `%${title.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+    conditions.push("(title LIKE ? ESCAPE '\\' OR filename LIKE ? ESCAPE '\\')");
+    params.push(pattern, pattern);
+  }
+  
+  if (after) {
+    const comparison = order.direction === 'DESC' ? '<' : '>';
+    conditions.push(`(${order.value} ${comparison} ? OR (${order.value} = ? AND filename ${comparison} ?))`);
+    params.push(after.value, after.value, after.filename);
+  }
+  
+  // One row more than asked for tells whether there is another page
+  const rows = db.prepare(`
+    SELECT *, ${order.value} AS sort_value FROM catalog
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY sort_value ${order.direction}, filename ${order.direction}
+    LIMIT ?
+  `).all(...params, limit + 1);
+  
+  const page = rows.slice(0, limit);
+  const lastRow = page[page.length - 1];
+  return {
+    entries: page.map(catalogRowToEntry),
+    last: rows.length > limit ? { value: lastRow.sort_value, filename: lastRow.filename } : null
+  };
+}
+
+/**
+ * Remove a recording from the catalog
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {string} filename - Cast filename (without .gz)
+ */
+function removeCatalogEntry(db, filename) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM catalog WHERE filename = ?').run(filename);
+    db.prepare('DELETE FROM recording_tags WHERE filename = ?').run(filename);
+  })();
+}
+
+/**
+ * Convert an annotations row to an annotation
+ * 
+ * @param {Object} row - Row from the annotations table
+ * @returns {Object} - Annotation
+ */
+function annotationRowToEntry(row) {
+  return {
+    id: row.id,
+    filename: row.filename,
+    timeOffset: row.time_offset,
+    text: row.text,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Get the annotations of a recording in playback order
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {string} filename - Cast filename (without .gz)
+ * @returns {Array<Object>} - Annotations
+ */
+function getAnnotations(db, filename) {
+  const stmt = db.prepare('SELECT * FROM annotations WHERE filename = ? ORDER BY time_offset, id');
+  return stmt.all(filename).map(annotationRowToEntry);
+}
+
+/**
+ * Get one annotation of a recording
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {string} filename - Cast filename (without .gz)
+ * @param {number} id - Annotation ID
+ * @returns {Object|null} - Annotation or null if the recording has no such annotation
+ */
+function getAnnotation(db, filename, id) {
+  const stmt = db.prepare('SELECT * FROM annotations WHERE id = ? AND filename = ?');
+  const row = stmt.get(id, filename);
+  return row ? annotationRowToEntry(row) : null;
+}
+
+/**
+ * Add an annotation to a recording
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {string} filename - Cast filename (without .gz)
+ * @param {number} timeOffset - Seconds into the recording
+ * @param {string} text - Annotation text
+ * @returns {Object} - The new annotation
+ */
+function addAnnotation(db, filename, timeOffset, text) {
+  const now = Date.now();
+  
+  const id = db.transaction(() => {
+    const info = db.prepare(`
+      INSERT INTO annotations (filename, time_offset, text, created_at, updated_at) 
+      VALUES (?, ?, ?, ?, ?)
+    `).run(filename, timeOffset, text, now, now);
+    
+    db.prepare('INSERT INTO annotation_content (rowid, text) VALUES (?, ?)').run(info.lastInsertRowid, text);
+    return info.lastInsertRowid;
+  })();
+  
+  return getAnnotation(db, filename, id);
+}
+
+/**
+ * Change the text or time of an annotation
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {string} filename - Cast filename (without .gz)
+ * @param {number} id - Annotation ID
+ * @param {Object} changes - Fields to change
+ * @param {number} [changes.timeOffset] - Seconds into the recording
+ * @param {string} [changes.text] - Annotation text
+ * @returns {Object|null} - The updated annotation or null if it doesn't exist
+ */
+function updateAnnotation(db, filename, id, changes) {
+  const existing = getAnnotation(db, filename, id);
+  if (!existing) return null;
+  
+  const timeOffset = changes.timeOffset !== undefined ? changes.timeOffset : existing.timeOffset;
+  const text = changes.text !== undefined ? changes.text : existing.text;
+  
+  db.transaction(() => {
+    db.prepare('UPDATE annotations SET time_offset = ?, text = ?, updated_at = ? WHERE id = ?')
+      .run(timeOffset, text, Date.now(), id);
+    db.prepare('DELETE FROM annotation_content WHERE rowid = ?').run(id);
+    db.prepare('INSERT INTO annotation_content (rowid, text) VALUES (?, ?)').run(id, text);
+  })();
+  
+  return getAnnotation(db, filename, id);
+}
+
+/**
+ * Delete an annotation
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {string} filename - Cast filename (without .gz)
+ * @param {number} id - Annotation ID
+ * @returns {boolean} - True if the annotation existed
+ */
+function deleteAnnotation(db, filename, id) {
+  if (!getAnnotation(db, filename, id)) return false;
+  
+  db.transaction(() => {
+    db.prepare('DELETE FROM annotations WHERE id = ?').run(id);
+    db.prepare('DELETE FROM annotation_content WHERE rowid = ?').run(id);
+  })();
+  
+  return true;
+}
+
+/**
+ * Move the annotations of a renamed recording to its new name
+ * 
+ * @param {Database} db - SQLite database instance
+ * @param {string} oldFilename - Previous cast filename
+ * @param {string} newFilename - New cast filename
+ */
+function renameAnnotations(db, oldFilename, newFilename) {
+  db.prepare('UPDATE annotations SET filename = ? WHERE filename = ?').run(newFilename, oldFilename);
 }
 
 /**
@@ -277,9 +1112,29 @@ module.exports = {
   setVersion,
   getVersion,
   registerFile,
+  getIndexedFile,
+  moveIndexedFile,
   isFileIndexed,
   markStrategyCompleted,
+  markStrategyPending,
+  recordIndexError,
+  clearIndexError,
   markFileCompleted,
   clearPartialIndexing,
+  renameIndexedFile,
+  renameIndexedRecording,
+  removeIndexedFile,
+  pruneIndexedFiles,
+  upsertCatalogEntry,
+  getCatalogEntry,
+  getCatalogEntries,
+  listCatalogEntries,
+  removeCatalogEntry,
+  getAnnotations,
+  getAnnotation,
+  addAnnotation,
+  updateAnnotation,
+  deleteAnnotation,
+  renameAnnotations,
   getDatabase
 };
@@ -3,17 +3,13 @@
  */
 
 const fs = require('fs');
-const path = require('path');
-const zlib = require('zlib');
 const { promisify } = require('util');
-const { parseFilenameDate } = require('../parseFilename');
 const { CASTS_DIR, ZIP_DIR } = require('../config');
+const { listRecordingFiles } = require('../sources');
+const { openCastStream } = require('../cast-reader');
 
 // Convert callbacks to promises
-const readFileAsync = promisify(fs.readFile);
-const readdirAsync = promisify(fs.readdir);
 const statAsync = promisify(fs.stat);
-const gunzipAsync = promisify(zlib.gunzip);
 
 /**
  * Strip ANSI color codes from text
@@ -36,124 +32,45 @@ function stripColors(text) {
 }
 
 /**
- * Load and decompress a gzipped cast file from disk
- * 
- * @param {string} filePath - Path to the gzipped cast file
- * @returns {Promise<Array>} - Array of parsed events
- */
-async function loadGzippedCastFile(filePath) {
-  try {
-    // Read the compressed file
-    const compressedData = await readFileAsync(filePath);
-    
-    // Decompress the file in memory
-    const data = await gunzipAsync(compressedData);
-    
-    // Convert to string and split into lines
-    const content = data.toString('utf8');
-    const lines = content.split('\n');
-    const events = [];
-    
-    // Parse each line as JSON
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-      
-      try {
-        const event = JSON.parse(line);
-        events.push(event);
-      } catch (e) {
-        // Skip lines that can't be parsed
-      }
-    }
-    
-    return events;
-  } catch (err) {
-    console.error(`Error loading gzipped cast file ${filePath}:`, err);
-    throw err;
-  }
-}
-
-/**
- * Load a non-gzipped cast file
+ * Open a cast file (gzipped or plain) for streaming
  * 
  * @param {string} filePath - Path to the cast file
- * @returns {Promise<Array>} - Array of parsed events
+ * @returns {Promise<{header: Object, events: AsyncIterable<Array>}>} - Normalized header
+ *   and events with absolute times, read from disk as they are consumed
  */
-async function loadPlainCastFile(filePath) {
+async function openCastFile(filePath) {
   try {
-    // Read the file
-    const content = await readFileAsync(filePath, 'utf8');
-    
-    // Split into lines
-    const lines = content.split('\n');
-    const events = [];
-    
-    // Parse each line as JSON
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-      
-      try {
-        const event = JSON.parse(line);
-        events.push(event);
-      } catch (e) {
-        // Skip lines that can't be parsed
-      }
-    }
-    
-    return events;
+    return await openCastStream(filePath);
   } catch (err) {
-    console.error(`Error loading cast file ${filePath}:`, err);
+    console.error(`Error opening cast file ${filePath}:`, err);
     throw err;
   }
 }
 
 /**
- * Find all cast files (both regular and gzipped)
+ * Find all cast files (both regular and gzipped), in every cast root
  * 
- * @returns {Promise<Array<{path: string, isGzipped: boolean}>>} - Array of file objects
+ * A recording found both ways is only listed once: the gzipped copy wins,
+ * as maintain-casts.js is about to delete the original.
+ * 
+ * @returns {Promise<Array<{path: string, filename: string, isGzipped: boolean}>>} - Array of file
+ *   objects; filename is the recording key (see sources.js), the cast name without .gz
  */
 async function findAllCastFiles() {
-  const result = [];
-  
-  // Find regular cast files in the main directory
-  try {
-    const files = await readdirAsync(CASTS_DIR);
-    const castFiles = files.filter(file => file.endsWith('.cast') && !file.includes('.cast.plain'));
-    
-    for (const filename of castFiles) {
-      result.push({
-        path: path.join(CASTS_DIR, filename),
-        isGzipped: false
-      });
-    }
-  } catch (err) {
-    console.error(`Error reading casts directory:`, err);
-  }
-  
-  // Find gzipped cast files in the zip directory
-  try {
-    const files = await readdirAsync(ZIP_DIR);
-    const gzippedFiles = files.filter(file => file.endsWith('.cast.gz'));
-    
-    for (const filename of gzippedFiles) {
-      result.push({
-        path: path.join(ZIP_DIR, filename),
-        isGzipped: true
-      });
-    }
-  } catch (err) {
-    console.error(`Error reading zip directory:`, err);
-  }
+  const files = await listRecordingFiles();
   
-  return result;
+  return Array.from(files)
+    .filter(([filename, file]) => file.compressed || !filename.includes('.cast.plain'))
+    .map(([filename, file]) => ({
+      path: file.path,
+      filename,
+      isGzipped: file.compressed
+    }));
 }
 
 module.exports = {
   stripColors,
-  loadGzippedCastFile,
-  loadPlainCastFile,
+  openCastFile,
   findAllCastFiles,
   CASTS_DIR,
   ZIP_DIR,
@@ -0,0 +1,311 @@
+/**
+ * Parser for the advanced search syntax
+ *
+ * Accepts a safe subset of the FTS5 query language and rebuilds it as an
+ * FTS5 query, so anything that passes never reaches SQLite as a syntax error:
+ *
+ *   docker AND compose      both terms (AND may be left out)
+ *   docker OR podman        either term
+ *   kubectl NOT get         the first term without the second
+ *   deploy*                 prefix
+ *   "git push"              phrase
+ *   NEAR(ssh key, 5)        terms at most 5 tokens apart (10 by default)
+ *   content:error           column filter
+ *   (a OR b) c              grouping
+ *
+ * Operators must be uppercase, as in FTS5; in lowercase they are terms.
+ */
+
+const MAX_QUERY_LENGTH = 1000;
+const MAX_TERMS = 64;
+const MAX_DEPTH = 16;
+const MAX_NEAR_DISTANCE = 1000;
+
+// Columns users may filter on; each table maps them to its own column
+const COLUMNS = ['content'];
+
+const OPERATORS = ['AND', 'OR', 'NOT', 'NEAR'];
+
+// Characters with a meaning of their own; everything else makes up words
+const SPECIAL_CHARS = '()*,:"';
+
+/**
+ * Error in an advanced query, with where it was found
+ */
+class QuerySyntaxError extends Error {
+  /**
+   * @param {string} message - What is wrong
+   * @param {number} position - Character offset in the query (0-based)
+   */
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Split a query into tokens
+ *
+ * @param {string} query - Advanced query
+ * @returns {Array<{type: string, value: string, position: number}>} - Tokens, ending with an 'end' token
+ * @throws {QuerySyntaxError} - On an unterminated phrase
+ */
+function tokenize(query) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < query.length) {
+    const char = query[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '"') {
+      // Phrase, with "" standing for a quote inside it
+      const start = index;
+      let value = '';
+      index++;
+
+      for (;;) {
+        if (index >= query.length) {
+          throw new QuerySyntaxError('Unterminated phrase', start);
+        }
+        if (query[index] === '"') {
+          if (query[index + 1] !== '"') break;
+          value += '"';
+          index += 2;
+        } else {
+          value += query[index++];
+        }
+      }
+
+      index++;
+      tokens.push({ type: 'phrase', value, position: start });
+    } else if (SPECIAL_CHARS.includes(char)) {
+      tokens.push({ type: char, value: char, position: index });
+      index++;
+    } else {
+      const start = index;
+      while (index < query.length && !/\s/.test(query[index]) && !SPECIAL_CHARS.includes(query[index])) {
+        index++;
+      }
+
+      const value = query.slice(start, index);
+      const type = OPERATORS.includes(value) ? value : 'word';
+      tokens.push({ type, value, position: start });
+    }
+  }
+
+  tokens.push({ type: 'end', value: '', position: query.length });
+  return tokens;
+}
+
+/**
+ * Describe a token for error messages
+ */
+function describeToken(token) {
+  return token.type === 'end' ? 'end of query' : `"${token.value}"`;
+}
+
+/**
+ * Parse an advanced query into a syntax tree
+ *
+ * @param {string} query - Advanced query
+ * @returns {Object} - Syntax tree
+ * @throws {QuerySyntaxError} - If the query is invalid
+ */
+function parseAdvancedQuery(query) {
+  if (typeof query !== 'string' || !query.trim()) {
+    throw new QuerySyntaxError('Empty query', 0);
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new QuerySyntaxError(`Query is longer than ${MAX_QUERY_LENGTH} characters`, MAX_QUERY_LENGTH);
+  }
+
+  const tokens = tokenize(query);
+  let current = 0;
+  let terms = 0;
+
+  const peek = () => tokens[current];
+  const next = () => tokens[current++];
+
+  function expect(type, what) {
+    const token = next();
+    if (token.type !== type) {
+      throw new QuerySyntaxError(`Expected ${what} but found ${describeToken(token)}`, token.position);
+    }
+    return token;
+  }
+
+  // Whether a token can start an operand, which makes AND implicit
+  function startsOperand(token) {
+    return ['word', 'phrase', '(', 'NEAR'].includes(token.type);
+  }
+
+  function parsePhrase() {
+    const token = next();
+    if (token.type !== 'word' && token.type !== 'phrase') {
+      throw new QuerySyntaxError(`Expected a term but found ${describeToken(token)}`, token.position);
+    }
+    if (!token.value.trim()) {
+      throw new QuerySyntaxError('Empty phrase', token.position);
+    }
+    if (++terms > MAX_TERMS) {
+      throw new QuerySyntaxError(`More than ${MAX_TERMS} terms`, token.position);
+    }
+
+    const prefix = peek().type === '*';
+    if (prefix) next();
+
+    return { type: 'phrase', text: token.value, prefix };
+  }
+
+  function parseNear() {
+    next();
+    expect('(', '"(" after NEAR');
+
+    const phrases = [];
+    while (peek().type === 'word' || peek().type === 'phrase') {
+      phrases.push(parsePhrase());
+    }
+    if (phrases.length < 2) {
+      throw new QuerySyntaxError('NEAR needs at least two terms', peek().position);
+    }
+
+    let distance = null;
+    if (peek().type === ',') {
+      next();
+      const token = expect('word', 'a distance');
+      if (!/^\d+$/.test(token.value) || Number(token.value) > MAX_NEAR_DISTANCE) {
+        throw new QuerySyntaxError(`NEAR distance must be a number from 0 to ${MAX_NEAR_DISTANCE}`, token.position);
+      }
+      distance = Number(token.value);
+    }
+
+    expect(')', '")" to close NEAR');
+    return { type: 'near', phrases, distance };
+  }
+
+  function parsePrimary(depth) {
+    const token = peek();
+
+    if (token.type === '(') {
+      next();
+      const expression = parseOr(depth + 1);
+      expect(')', '")"');
+      return expression;
+    }
+
+    if (token.type === 'NEAR') {
+      return parseNear();
+    }
+
+    // Column filter: column:operand
+    if (token.type === 'word' && tokens[current + 1].type === ':') {
+      if (!COLUMNS.includes(token.value)) {
+        throw new QuerySyntaxError(`Unknown column "${token.value}" (available: ${COLUMNS.join(', ')})`, token.position);
+      }
+      next();
+      next();
+
+      const operand = peek();
+      if (operand.type === ':' || !startsOperand(operand)) {
+        throw new QuerySyntaxError(`Expected a term after "${token.value}:" but found ${describeToken(operand)}`, operand.position);
+      }
+      if (operand.type === 'word' && tokens[current + 1].type === ':') {
+        throw new QuerySyntaxError('Column filters cannot be nested', operand.position);
+      }
+
+      return { type: 'column', column: token.value, expression: parsePrimary(depth) };
+    }
+
+    if (token.type === 'word' || token.type === 'phrase') {
+      return parsePhrase();
+    }
+
+    if (OPERATORS.includes(token.type)) {
+      throw new QuerySyntaxError(`${token.type} needs a term before it`, token.position);
+    }
+    throw new QuerySyntaxError(`Unexpected ${describeToken(token)}`, token.position);
+  }
+
+  // NOT binds tightest, then AND, then OR, as in FTS5
+  function parseNot(depth) {
+    let expression = parsePrimary(depth);
+    while (peek().type === 'NOT') {
+      next();
+      expression = { type: 'not', left: expression, right: parsePrimary(depth) };
+    }
+    return expression;
+  }
+
+  function parseAnd(depth) {
+    const operands = [parseNot(depth)];
+    for (;;) {
+      if (peek().type === 'AND') {
+        next();
+      } else if (!startsOperand(peek())) {
+        break;
+      }
+      operands.push(parseNot(depth));
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  }
+
+  function parseOr(depth) {
+    if (depth > MAX_DEPTH) {
+      throw new QuerySyntaxError(`Parentheses nested deeper than ${MAX_DEPTH} levels`, peek().position);
+    }
+
+    const operands = [parseAnd(depth)];
+    while (peek().type === 'OR') {
+      next();
+      operands.push(parseAnd(depth));
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  }
+
+  const tree = parseOr(0);
+  if (peek().type !== 'end') {
+    throw new QuerySyntaxError(`Unexpected ${describeToken(peek())}`, peek().position);
+  }
+  return tree;
+}
+
+/**
+ * Build the FTS5 query for a syntax tree
+ *
+ * Every term is quoted, so characters FTS5 would otherwise read as syntax
+ * (e.g. "-" or ".") are only ever searched for.
+ *
+ * @param {Object} tree - Syntax tree from parseAdvancedQuery
+ * @param {Object<string, string>} columns - Table column for each user-facing column
+ * @returns {string} - FTS5 query
+ */
+function toFtsQuery(tree, columns) {
+  switch (tree.type) {
+    case 'phrase':
+      return `"${tree.text.replace(/"/g, '""')}"${tree.prefix ? '*' : ''}`;
+    case 'near': {
+      const phrases = tree.phrases.map(phrase => toFtsQuery(phrase, columns)).join(' ');
+      return `NEAR(${phrases}${tree.distance !== null ? `, ${tree.distance}` : ''})`;
+    }
+    case 'column':
+      // Everything but phrases and NEAR comes out in parentheses already
+      return `${columns[tree.column]} : ${toFtsQuery(tree.expression, columns)}`;
+    case 'not':
+      return `(${toFtsQuery(tree.left, columns)} NOT ${toFtsQuery(tree.right, columns)})`;
+    case 'and':
+      return `(${tree.operands.map(operand => toFtsQuery(operand, columns)).join(' AND ')})`;
+    case 'or':
+      return `(${tree.operands.map(operand => toFtsQuery(operand, columns)).join(' OR ')})`;
+    default:
+      throw new Error(`Unknown query node: ${tree.type}`);
+  }
+}
+
+module.exports = {
+  QuerySyntaxError,
+  parseAdvancedQuery,
+  toFtsQuery
+};
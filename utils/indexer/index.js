@@ -3,9 +3,15 @@
  */
 
 const indexer = require('./indexer');
+const commands = require('./commands');
 
 module.exports = {
   indexCastFiles: indexer.indexCastFiles,
+  isIndexing: indexer.isIndexing,
   searchCasts: indexer.searchCasts,
-  getIndexStats: indexer.getIndexStats
+  QuerySyntaxError: indexer.QuerySyntaxError,
+  SearchTimeoutError: indexer.SearchTimeoutError,
+  getIndexStats: indexer.getIndexStats,
+  getIndexFiles: indexer.getIndexFiles,
+  getCastCommands: commands.getCastCommands
 };
\ No newline at end of file
@@ -9,6 +9,12 @@ const { promisify } = require('util');
 const db = require('./db');
 const fileProcessor = require('./file-processor');
 const search = require('./search');
+const { getStrategyImplementation, getDerivedStrategies } = require('./strategies');
+const { syncCatalog } = require('../catalog');
+const { sidecarPath, readInfoFile } = require('../metadata');
+const { readCastHeader } = require('../cast-reader');
+const { recordingDate } = require('../parseFilename');
+const { SOURCES, recordingPath, recordingSource } = require('../sources');
 
 // Convert callbacks to promises
 const readFileAsync = promisify(fs.readFile);
@@ -16,6 +22,14 @@ const readFileAsync = promisify(fs.readFile);
 // Path constants
 const CONFIG_PATH = path.join(__dirname, '..', 'index-config.json');
 
+// Number of content rows written per transaction while indexing
+const INSERT_BATCH_SIZE = 500;
+
+// Held by the process indexing the database (the server's watcher or jobs,
+// `npm run index` from record-cast.sh, ...); the others wait for it
+const LOCK_PATH = `${db.DB_PATH}.lock`;
+const LOCK_POLL_MS = 500;
+
 /**
  * Load indexing configuration
  * 
@@ -38,30 +52,43 @@ async function loadConfig() {
  * @param {string} filePath - Path to the cast file
  * @param {string} strategy - Strategy configuration
  * @param {boolean} isGzipped - Whether the file is gzipped
- * @returns {Promise<boolean>} - True if indexing was successful
+ * @param {boolean} [force=false] - Index the file again even if it is up to date
+ * @param {string} [filename] - Recording key (see sources.js), the file's name without .gz by default
+ * @returns {Promise<boolean>} - True if indexing was successful; failures are kept
+ *   in index_errors until the strategy succeeds on the file
  */
-async function indexCastFile(database, filePath, strategy, isGzipped) {
-  // Extract base filename, removing .gz extension if needed
-  const filename = isGzipped ? path.basename(filePath, '.gz') : path.basename(filePath);
+async function indexCastFile(database, filePath, strategy, isGzipped, force = false,
+  filename = isGzipped ? path.basename(filePath, '.gz') : path.basename(filePath)) {
+  
+  const implementation = getStrategyImplementation(strategy.id);
+  if (!implementation) {
+    console.error(`No implementation for strategy ${strategy.id}, skipping ${filename}`);
+    return false;
+  }
+  
+  let fileId = null;
   
   try {
     // Get file stats
     const stats = await fileProcessor.statAsync(filePath);
     
-    // Begin transaction to ensure atomicity
-    database.exec('BEGIN TRANSACTION');
+    // Recordings without a date in their name are dated from their header or mtime
+    const header = await readCastHeader(filePath).catch(() => null);
+    const dateInfo = recordingDate(filename, header, stats.mtimeMs);
     
-    try {
+    // Register the file and decide whether it needs work in one short transaction
+    let upToDate;
+    ({ fileId, upToDate } = database.transaction(() => {
       // Register file in the database to get file ID
       // This will check if the file is already registered and return its ID
-      const fileId = db.registerFile(database, filePath, filename, stats);
+      const fileId = db.registerFile(database, filePath, filename, stats, dateInfo);
       
       // Get current file info from database
       const fileInfoStmt = database.prepare('SELECT file_size, file_mtime, indexed_at FROM indexed_files WHERE id = ?');
       const fileInfo = fileInfoStmt.get(fileId);
       
       // Check if file is already indexed with current strategy
-      if (db.isFileIndexed(database, fileId, strategy.id, strategy.version)) {
+      if (!force && db.isFileIndexed(database, fileId, strategy.id, strategy.version)) {
         // Check for modification by comparing file size and modified time
         const fileModTime = stats.mtimeMs || (stats.mtime ? stats.mtime.getTime() : null);
         
@@ -73,97 +100,285 @@ async function indexCastFile(database, filePath, strategy, isGzipped) {
                            fileModTime > fileInfo.file_mtime;
         
         if (!isModified) {
-          console.log(`Skipping ${filename} - already indexed with ${strategy.id} ${strategy.version}`);
-          database.exec('COMMIT');
-          return true;
-        } else {
-          // File has changed since last indexing, reindex it
-          console.log(`File ${filename} has changed, reindexing...`);
+          return { fileId, upToDate: true };
         }
+        
+        // File has changed since last indexing, reindex it
+        console.log(`File ${filename} has changed, reindexing...`);
       }
       
-      console.log(`Indexing ${filename} with strategy ${strategy.id} ${strategy.version}`);
+      // Clear any partial indexing data this strategy left for the file
+      db.markStrategyPending(database, fileId, strategy.id);
+      db.clearPartialIndexing(database, fileId, strategy.id);
+      if (implementation.clear) {
+        implementation.clear(database, fileId);
+      }
       
-      // Clear any partial indexing data for this file
-      db.clearPartialIndexing(database, fileId);
+      // Strategies built from this one's content have to follow it
+      for (const derivedId of getDerivedStrategies(strategy.id)) {
+        db.markStrategyPending(database, fileId, derivedId);
+      }
       
-      // Load and parse the cast file (gzipped or plain)
-      const events = isGzipped 
-        ? await fileProcessor.loadGzippedCastFile(filePath)
-        : await fileProcessor.loadPlainCastFile(filePath);
+      return { fileId, upToDate: false };
+    })());
+    
+    if (upToDate) {
+      console.log(`Skipping ${filename} - already indexed with ${strategy.id} ${strategy.version}`);
+      return true;
+    }
+    
+    console.log(`Indexing ${filename} with strategy ${strategy.id} ${strategy.version}`);
+    
+    try {
+      // Open the cast file (gzipped or plain); events are read as the strategy consumes them.
+      // Strategies derived from another one's content don't read it.
+      const cast = implementation.derivedFrom ? null : await fileProcessor.openCastFile(filePath);
       
       // Extract file metadata for indexing
-      const parsedInfo = require('../parseFilename').parseFilenameDate(filename);
-      const tagsString = parsedInfo && parsedInfo.tags.length ? parsedInfo.tagsString : '';
-      const fileTimestamp = parsedInfo ? parsedInfo.dateObj.getTime() : null;
+      const tagsString = dateInfo && dateInfo.tags.length ? dateInfo.tagsString : '';
+      const fileTimestamp = dateInfo ? dateInfo.dateObj.getTime() : null;
       
       // Prepare insert statement for indexing content
       const insertStmt = database.prepare(
-        'INSERT INTO cast_content (content, file_id, timestamp, time_offset, tags) VALUES (?, ?, ?, ?, ?)'
+        'INSERT INTO cast_content (content, file_id, timestamp, time_offset, tags, strategy) VALUES (?, ?, ?, ?, ?, ?)'
       );
       
-      // Process events (skip the header at index 0)
-      let processedEvents = 0;
-      for (let i = 1; i < events.length; i++) {
-        const event = events[i];
-        
-        if (Array.isArray(event) && event.length >= 3) {
-          const timeOffset = event[0]; // Time offset in seconds
-          const type = event[1];       // "o" for output, "i" for input
-          let content = event[2];      // Content
-          
-          // Skip empty content
-          if (!content) continue;
-          
-          // Strip ANSI colors from content
-          content = fileProcessor.stripColors(content);
-          
-          // Skip if content is empty after stripping
-          if (!content.trim()) continue;
-          
-          // Insert content into FTS5 table
-          insertStmt.run(
-            content,
-            fileId,
-            fileTimestamp,
-            timeOffset,
-            tagsString
-          );
-          
-          processedEvents++;
+      // Content is written in batches so memory stays flat however long the recording is
+      let batch = [];
+      const flushBatch = database.transaction((rows) => {
+        for (const row of rows) {
+          insertStmt.run(row.content, fileId, fileTimestamp, row.timeOffset, tagsString, strategy.id);
         }
-      }
-      
-      // Mark strategy as completed for this file
-      db.markStrategyCompleted(database, fileId, strategy.id, strategy.version);
+      });
       
-      // Mark file as completely indexed
-      db.markFileCompleted(database, fileId);
+      // Let the strategy turn the events into searchable content
+      const processedEvents = await implementation.indexEvents(cast, {
+        database,
+        fileId,
+        strategy,
+        addContent: (content, timeOffset) => {
+          batch.push({ content, timeOffset });
+          if (batch.length >= INSERT_BATCH_SIZE) {
+            flushBatch(batch);
+            batch = [];
+          }
+        }
+      });
       
-      // Commit transaction
-      database.exec('COMMIT');
+      database.transaction(() => {
+        flushBatch(batch);
+        
+        // Mark strategy as completed for this file
+        db.markStrategyCompleted(database, fileId, strategy.id, strategy.version);
+        db.clearIndexError(database, fileId, strategy.id);
+        
+        // Mark file as completely indexed
+        db.markFileCompleted(database, fileId);
+      })();
       
-      console.log(`Successfully indexed ${filename}: ${processedEvents} events`);
+      console.log(`Successfully indexed ${filename} with ${strategy.id}: ${processedEvents} entries`);
       return true;
     } catch (err) {
-      // Rollback transaction on error to maintain consistency
-      database.exec('ROLLBACK');
+      // Remove what was written so far; the strategy isn't marked completed
+      // so the file gets picked up again on the next run
+      db.clearPartialIndexing(database, fileId, strategy.id);
+      if (implementation.clear) {
+        implementation.clear(database, fileId);
+      }
       console.error(`Error processing ${filename}:`, err);
       throw err;
     }
   } catch (err) {
     console.error(`Error indexing ${filename}:`, err);
+    
+    // Kept for the index administration page
+    if (fileId !== null) {
+      try {
+        db.recordIndexError(database, fileId, strategy.id, strategy.version, err.message || String(err));
+      } catch (recordErr) {
+        console.error(`Could not record the error for ${filename}:`, recordErr);
+      }
+    }
     return false;
   }
 }
 
+/**
+ * Follow recordings that are indexed under the name they had before
+ * 
+ * A plain file indexed under its old name that has been compressed since
+ * is followed too, carryOverCompressed then moves it to the .gz file.
+ * 
+ * @param {Database} database - SQLite database instance
+ * @param {Array<{path: string, filename: string, isGzipped: boolean}>} castFiles - Files from findAllCastFiles
+ * @returns {Array<{from: string, to: string}>} - Recordings whose index was renamed
+ */
+function followRenamed(database, castFiles) {
+  const renamed = [];
+  
+  for (const fileInfo of castFiles) {
+    const paths = fileInfo.isGzipped ? [fileInfo.path, recordingPath(fileInfo.filename, false)] : [fileInfo.path];
+    for (const filePath of paths) {
+      const previous = db.renameIndexedRecording(database, filePath, fileInfo.filename);
+      if (previous) {
+        renamed.push({ from: previous, to: fileInfo.filename });
+        break;
+      }
+    }
+  }
+  
+  return renamed;
+}
+
+/**
+ * Carry the index of recordings that were compressed over to their .gz file
+ * 
+ * Only done when the sidecar written on compression shows the original was
+ * the size that got indexed; a recording that grew after it was indexed is
+ * indexed again from the .gz file.
+ * 
+ * @param {Database} database - SQLite database instance
+ * @param {Array<{path: string, filename: string, isGzipped: boolean}>} castFiles - Files from findAllCastFiles
+ * @returns {Promise<Array<string>>} - Filenames whose index was carried over
+ */
+async function carryOverCompressed(database, castFiles) {
+  const carriedOver = [];
+  
+  for (const fileInfo of castFiles) {
+    if (!fileInfo.isGzipped) continue;
+    
+    const existing = db.getIndexedFile(database, fileInfo.filename);
+    if (!existing || existing.file_path !== recordingPath(fileInfo.filename, false)) continue;
+    
+    const info = await readInfoFile(sidecarPath(fileInfo.filename, true));
+    if (!info || info.data.original_size !== existing.file_size) continue;
+    
+    try {
+      const stats = await fileProcessor.statAsync(fileInfo.path);
+      db.moveIndexedFile(database, existing.id, fileInfo.path, stats);
+      carriedOver.push(fileInfo.filename);
+    } catch (err) {
+      console.error(`Could not carry the index of ${fileInfo.filename} over:`, err);
+    }
+  }
+  
+  return carriedOver;
+}
+
+/**
+ * Whether a process is still running
+ * 
+ * @param {number} pid - Process ID
+ * @returns {boolean} - True if it runs (or can't be told apart from one that does)
+ */
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Wait until no other process indexes the database, then take the lock file
+ * 
+ * A lock left behind by a process that died is removed.
+ * 
+ * @returns {Promise<void>}
+ */
+async function acquireIndexLock() {
+  for (;;) {
+    try {
+      await fs.promises.writeFile(LOCK_PATH, String(process.pid), { flag: 'wx' });
+      return;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    
+    let holder = null;
+    try {
+      holder = parseInt(await readFileAsync(LOCK_PATH, 'utf8'), 10);
+    } catch { /* released meanwhile */ }
+    
+    // Empty while the process that created it is writing its ID
+    if (holder && !processAlive(holder)) {
+      console.log(`Removing the index lock of process ${holder}, which is gone`);
+      await fs.promises.rm(LOCK_PATH, { force: true });
+      continue;
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, LOCK_POLL_MS));
+  }
+}
+
+/**
+ * Release the lock file taken by acquireIndexLock
+ */
+function releaseIndexLock() {
+  fs.rmSync(LOCK_PATH, { force: true });
+}
+
+// Indexing runs of this process (watcher, admin jobs), chained so they run
+// one after the other: each clears a file's rows and inserts them again
+// across awaits, so two at once would index the same content twice
+let indexingQueue = Promise.resolve();
+let queuedRuns = 0;
+
+/**
+ * Whether an indexing run of this process is running or waiting to
+ * 
+ * @returns {boolean} - True while indexCastFiles hasn't returned
+ */
+function isIndexing() {
+  return queuedRuns > 0;
+}
+
 /**
  * Main function to index cast files
+ * 
+ * Waits for the runs of this process that started before, and for any
+ * other process indexing the same database (see LOCK_PATH).
+ * 
+ * @param {Object} [options] - Indexing options
+ * @param {boolean} [options.force=false] - Index every file again, even those that are up to date
+ * @param {string} [options.filename] - Only index this recording (cast name without .gz);
+ *   nothing is carried over or pruned then
+ * @param {function(Object): void} [options.onProgress] - Called after each file and strategy
+ *   with {filename, strategy, ok, done, total}
+ * @returns {Promise<Object>} - Summary: renamed (recordings indexed under an earlier name, e.g.
+ *   before CASTS_DIRS was set), carriedOver (recordings whose index followed them into
+ *   zip/), pruned (indexed files removed as their recording is gone, see db.pruneIndexedFiles),
+ *   failed ({filename, strategy} that failed) and error (why indexing stopped, if it did)
  */
-async function indexCastFiles() {
+async function indexCastFiles(options = {}) {
+  queuedRuns++;
+  const run = indexingQueue.then(() => runIndexing(options));
+  indexingQueue = run.catch(() => {});
+  
+  try {
+    return await run;
+  } finally {
+    queuedRuns--;
+  }
+}
+
+/**
+ * Index cast files, see indexCastFiles
+ * 
+ * @param {Object} options - Indexing options
+ * @returns {Promise<Object>} - Summary
+ */
+async function runIndexing(options) {
+  const { force = false, filename = null, onProgress = null } = options;
+  const summary = { renamed: [], carriedOver: [], pruned: [], failed: [], error: null };
   let database = null;
+  let locked = false;
   
   try {
+    await acquireIndexLock();
+    locked = true;
+    
     // Load configuration
     const config = await loadConfig();
     
@@ -190,16 +405,46 @@ async function indexCastFiles() {
     db.setVersion(database, 'indexer_version', config.version);
     
     // Find all cast files (both regular and gzipped)
-    const castFiles = await fileProcessor.findAllCastFiles();
-    console.log(`Found ${castFiles.length} cast files (${castFiles.filter(f => f.isGzipped).length} gzipped, ${castFiles.filter(f => !f.isGzipped).length} regular)`);
+    let castFiles = await fileProcessor.findAllCastFiles();
     
-    // Process each file with each relevant strategy
-    for (const strategyId of config.currentStrategies) {
-      // Find strategy definition
-      const strategy = config.indexStrategies.find(s => s.id === strategyId);
+    if (filename) {
+      castFiles = castFiles.filter(f => f.filename === filename);
+      if (castFiles.length === 0) {
+        throw new Error(`Recording not found: ${filename}`);
+      }
+    } else {
+      // Keep the recording catalog used by the listing pages current
+      const catalogSummary = await syncCatalog(database);
+      console.log(`Catalog: ${catalogSummary.added} added, ${catalogSummary.updated} updated, ${catalogSummary.removed} removed`);
+      console.log(`Found ${castFiles.length} cast files (${castFiles.filter(f => f.isGzipped).length} gzipped, ${castFiles.filter(f => !f.isGzipped).length} regular)`);
+      
+      // Recordings are indexed once under their cast name: follow the ones
+      // that were renamed or compressed and drop the ones that are gone
+      // (not those of a casts directory that is missing, e.g. unmounted)
+      summary.renamed = followRenamed(database, castFiles);
+      summary.carriedOver = await carryOverCompressed(database, castFiles);
+      const missingSources = SOURCES.filter(source => !fs.existsSync(source.dir)).map(source => source.name);
+      if (missingSources.length < SOURCES.length) {
+        summary.pruned = db.pruneIndexedFiles(database, new Set(castFiles.map(f => f.filename)),
+          filename => missingSources.includes(recordingSource(filename)));
+      }
       
-      if (!strategy) {
-        console.error(`Strategy ${strategyId} not found in config`);
+      const prunedRows = summary.pruned.reduce((total, file) => total + file.contentRows, 0);
+      console.log(`Index: ${summary.renamed.length} renamed, ${summary.carriedOver.length} carried over to zip/, ${summary.pruned.length} pruned (${prunedRows} content rows)`);
+      for (const file of summary.pruned) {
+        console.log(`  Pruned ${file.filename} (${file.filePath}, ${file.contentRows} content rows)`);
+      }
+    }
+    
+    const strategies = config.currentStrategies
+      .map(strategyId => config.indexStrategies.find(s => s.id === strategyId) || strategyId);
+    const total = castFiles.length * strategies.filter(strategy => typeof strategy === 'object').length;
+    let done = 0;
+    
+    // Process each file with each relevant strategy
+    for (const strategy of strategies) {
+      if (typeof strategy !== 'object') {
+        console.error(`Strategy ${strategy} not found in config`);
         continue;
       }
       
@@ -207,24 +452,39 @@ async function indexCastFiles() {
       
       // Process each cast file
       for (const fileInfo of castFiles) {
+        let ok = false;
         try {
-          await indexCastFile(database, fileInfo.path, strategy, fileInfo.isGzipped);
+          ok = await indexCastFile(database, fileInfo.path, strategy, fileInfo.isGzipped, force || Boolean(filename), fileInfo.filename);
         } catch (err) {
           // Log error but continue with next file
           console.error(`Error processing file ${path.basename(fileInfo.path)}:`, err);
         }
+        
+        if (!ok) {
+          summary.failed.push({ filename: fileInfo.filename, strategy: strategy.id });
+        }
+        done++;
+        if (onProgress) {
+          onProgress({ filename: fileInfo.filename, strategy: strategy.id, ok, done, total });
+        }
       }
     }
     
     console.log('Indexing completed successfully');
   } catch (err) {
     console.error('Error during indexing:', err);
+    summary.error = err.message;
   } finally {
     // Always close the database connection
     if (database) {
       database.close();
     }
+    if (locked) {
+      releaseIndexLock();
+    }
   }
+  
+  return summary;
 }
 
 /**
@@ -299,8 +559,90 @@ async function getIndexStats() {
   }
 }
 
+/**
+ * Get the index state of every recording on disk
+ * 
+ * A recording is "failed" while a strategy has an error stored for it,
+ * "completed" once every current strategy ran on it at its current
+ * version, and "pending" otherwise (not indexed yet, changed, moved, or
+ * indexed with older strategy versions).
+ * 
+ * @returns {Promise<Array<Object>>} - One entry per recording, newest first, with filename,
+ *   path, compressed, state, indexedAt, strategies ({id, version, completedAt, current})
+ *   and errors ({strategy, version, error, failedAt})
+ */
+async function getIndexFiles() {
+  let database = null;
+  
+  try {
+    const config = await loadConfig();
+    const castFiles = await fileProcessor.findAllCastFiles();
+    
+    database = db.getDatabase();
+    db.initDatabase(database);
+    
+    const rows = new Map(database.prepare('SELECT * FROM indexed_files').all().map(row => [row.filename, row]));
+    
+    const strategiesByFile = new Map();
+    for (const row of database.prepare('SELECT * FROM indexing_strategies WHERE completed_at IS NOT NULL ORDER BY strategy_id').all()) {
+      if (!strategiesByFile.has(row.file_id)) strategiesByFile.set(row.file_id, []);
+      strategiesByFile.get(row.file_id).push(row);
+    }
+    
+    const errorsByFile = new Map();
+    for (const row of database.prepare('SELECT * FROM index_errors ORDER BY strategy_id').all()) {
+      if (!errorsByFile.has(row.file_id)) errorsByFile.set(row.file_id, []);
+      errorsByFile.get(row.file_id).push(row);
+    }
+    
+    const currentVersions = new Map(config.currentStrategies.map(strategyId => {
+      const strategy = config.indexStrategies.find(s => s.id === strategyId);
+      return [strategyId, strategy ? strategy.version : null];
+    }));
+    
+    const files = castFiles.map(fileInfo => {
+      const row = rows.get(fileInfo.filename);
+      const strategies = (row && strategiesByFile.get(row.id) || []).map(strategy => ({
+        id: strategy.strategy_id,
+        version: strategy.strategy_version,
+        completedAt: strategy.completed_at,
+        current: currentVersions.get(strategy.strategy_id) === strategy.strategy_version
+      }));
+      const errors = (row && errorsByFile.get(row.id) || []).map(error => ({
+        strategy: error.strategy_id,
+        version: error.strategy_version,
+        error: error.error,
+        failedAt: error.failed_at
+      }));
+      
+      const complete = Boolean(row) && row.completed === 1 && row.file_path === fileInfo.path &&
+        [...currentVersions.keys()].every(strategyId => strategies.some(strategy => strategy.id === strategyId && strategy.current));
+      
+      return {
+        filename: fileInfo.filename,
+        path: fileInfo.path,
+        compressed: fileInfo.isGzipped,
+        state: errors.length > 0 ? 'failed' : (complete ? 'completed' : 'pending'),
+        indexedAt: row ? row.indexed_at : null,
+        strategies,
+        errors
+      };
+    });
+    
+    return files.sort((a, b) => b.filename.localeCompare(a.filename));
+  } finally {
+    if (database) {
+      database.close();
+    }
+  }
+}
+
 module.exports = {
   indexCastFiles,
+  isIndexing,
   getIndexStats,
-  searchCasts: search.searchCasts
+  getIndexFiles,
+  searchCasts: search.searchCasts,
+  QuerySyntaxError: search.QuerySyntaxError,
+  SearchTimeoutError: search.SearchTimeoutError
 };
\ No newline at end of file
@@ -0,0 +1,316 @@
+/**
+ * Regular expression search
+ *
+ * FTS can't express patterns like `HTTP/1\.1" 5\d\d`, so regex searches
+ * check the pattern against the stripped event text stored by the basic
+ * strategy.  To avoid testing every row, the literal parts of the pattern
+ * are turned into an FTS query that all matching rows must satisfy.
+ *
+ * A pattern can take exponential time on some input, which would block
+ * whatever thread runs it, so the search runs in a worker thread
+ * (regex-worker.js) that is stopped when it takes longer than its time
+ * budget.  At most `maxMatches` matching rows are collected.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { QuerySyntaxError } = require('./fts-query');
+const { regexSearch: regexConfig = {} } = require('../index-config.json');
+
+const TIME_BUDGET_MS = regexConfig.timeBudgetMs || 5000;
+const MAX_MATCHES = regexConfig.maxMatches || 1000;
+const MAX_PATTERN_LENGTH = 500;
+
+// Extra time for the worker to start and report before it is stopped
+const WORKER_GRACE_MS = 2000;
+
+/**
+ * Error for a regex search that ran out of time
+ */
+class SearchTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchTimeoutError';
+  }
+}
+
+/**
+ * Read a regex search query
+ *
+ * Either a bare pattern, or /pattern/ followed by flags (only "i").
+ * Whitespace around it is left out, as for the other search modes.
+ *
+ * @param {string} query - Regex query
+ * @returns {{pattern: string, flags: string}} - Pattern and flags
+ * @throws {QuerySyntaxError} - If the pattern is invalid
+ */
+function parseRegexQuery(query) {
+  const text = query.trim();
+  const start = query.length - query.trimStart().length;
+  const delimited = /^\/(.*)\/([a-z]*)$/s.exec(text);
+  const pattern = delimited ? delimited[1] : text;
+  const flags = delimited ? delimited[2] : '';
+
+  if (!pattern) {
+    throw new QuerySyntaxError('Empty pattern', start);
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new QuerySyntaxError(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`, start + MAX_PATTERN_LENGTH);
+  }
+  if (/[^i]/.test(flags)) {
+    throw new QuerySyntaxError('Only the "i" flag is supported', start + text.length - flags.length);
+  }
+
+  try {
+    new RegExp(pattern, flags);
+  } catch (err) {
+    // Engines don't say where in the pattern the error is
+    throw new QuerySyntaxError(err.message, start);
+  }
+
+  return { pattern, flags };
+}
+
+/**
+ * Find the end of a character class
+ *
+ * @param {string} pattern - Pattern
+ * @param {number} start - Offset of the "["
+ * @returns {number} - Offset just past the closing "]"
+ */
+function skipClass(pattern, start) {
+  let index = start + 1;
+  if (pattern[index] === '^') index++;
+  if (pattern[index] === ']') index++;
+
+  while (index < pattern.length && pattern[index] !== ']') {
+    index += pattern[index] === '\\' ? 2 : 1;
+  }
+  return index + 1;
+}
+
+/**
+ * Find the end of a group
+ *
+ * @param {string} pattern - Pattern
+ * @param {number} start - Offset of the "("
+ * @returns {number} - Offset just past the closing ")"
+ */
+function skipGroup(pattern, start) {
+  let depth = 0;
+  let index = start;
+
+  while (index < pattern.length) {
+    const char = pattern[index];
+    if (char === '\\') {
+      index += 2;
+    } else if (char === '[') {
+      index = skipClass(pattern, index);
+    } else {
+      if (char === '(') depth++;
+      if (char === ')' && --depth === 0) return index + 1;
+      index++;
+    }
+  }
+  return index;
+}
+
+/**
+ * Find the text every match of a pattern must contain
+ *
+ * Only literal runs outside of groups count; a pattern with a top-level
+ * alternative ("|") has none, as either side may match.
+ *
+ * @param {string} pattern - Regular expression source
+ * @returns {Array<string>} - Literal strings found in every match
+ */
+function extractLiterals(pattern) {
+  const literals = [];
+  let run = '';
+  let index = 0;
+
+  const endRun = () => {
+    if (run) literals.push(run);
+    run = '';
+  };
+
+  while (index < pattern.length) {
+    const char = pattern[index];
+    let literal = null;
+
+    if (char === '\\') {
+      const next = pattern[index + 1];
+      if (next === undefined) break;
+      if (/[A-Za-z0-9]/.test(next)) {
+        const escapes = { n: '\n', r: '\r', t: '\t' };
+        // Escapes with more characters after them (\x41, \p{L}, \k<name>, \1) aren't followed
+        if (!/[nrtdDwWsSbBfv]/.test(next)) return [];
+        literal = escapes[next] || null;
+      } else {
+        literal = next;
+      }
+      index += 2;
+    } else if (char === '[') {
+      index = skipClass(pattern, index);
+    } else if (char === '(') {
+      index = skipGroup(pattern, index);
+    } else if (char === '|') {
+      return [];
+    } else if ('*+?{'.includes(char)) {
+      // Quantifier of the previous atom; anything that may repeat zero times
+      // drops out of the literal run
+      const quantifier = /^(\*|\+|\?|\{(\d+)(,\d*)?\})\??/.exec(pattern.slice(index));
+      if (!quantifier) {
+        literal = char;
+        index++;
+      } else {
+        const optional = quantifier[1] === '*' || quantifier[1] === '?' || quantifier[2] === '0';
+        if (optional) run = run.slice(0, -1);
+        endRun();
+        index += quantifier[0].length;
+        continue;
+      }
+    } else if ('.^$'.includes(char)) {
+      index++;
+    } else {
+      literal = char;
+      index++;
+    }
+
+    if (literal !== null) {
+      run += literal;
+    } else {
+      endRun();
+    }
+  }
+
+  endRun();
+  return literals;
+}
+
+/**
+ * Build an FTS query every row matching the literals satisfies
+ *
+ * Words fully inside a literal must be whole tokens of the row; a word at
+ * the end of a literal may continue in the row, so it is a prefix.  A word
+ * at the start may be the end of a longer token, so it isn't used.  Only
+ * ASCII words are used, which tokenize the same way for the unicode61
+ * tokenizer.
+ *
+ * @param {Array<string>} literals - Literals from extractLiterals
+ * @returns {string|null} - FTS5 query, or null if nothing narrows the search
+ */
+function buildNarrowingQuery(literals) {
+  const terms = [];
+
+  for (const literal of literals) {
+    for (const match of literal.matchAll(/[A-Za-z0-9]+/g)) {
+      const before = literal[match.index - 1];
+      const after = literal[match.index + match[0].length];
+
+      if (before === undefined || before > '\x7f') continue;
+      const prefix = after === undefined || after > '\x7f';
+      terms.push(`"${match[0]}"${prefix ? '*' : ''}`);
+    }
+  }
+
+  return terms.length > 0 ? terms.join(' AND ') : null;
+}
+
+/**
+ * Collect the rows matching a pattern into temp.regex_matches
+ *
+ * @param {Database} database - SQLite database instance
+ * @param {{pattern: string, flags: string}} regex - Pattern from parseRegexQuery
+ * @param {number} deadline - Time (ms since epoch) after which the search is given up
+ * @returns {{truncated: boolean}} - Whether more rows than maxMatches matched
+ * @throws {SearchTimeoutError} - If the deadline passes
+ */
+function collectRegexMatches(database, regex, deadline) {
+  const compiled = new RegExp(regex.pattern, regex.flags);
+
+  // Also used by REGEXP on annotations in the search query itself; the
+  // error thrown here comes out of the statement running it
+  database.function('regexp', { deterministic: true }, (pattern, text) => {
+    if (Date.now() > deadline) {
+      throw new SearchTimeoutError(`Regex search took longer than ${TIME_BUDGET_MS / 1000} seconds`);
+    }
+    return typeof text === 'string' && compiled.test(text) ? 1 : 0;
+  });
+
+  const narrowing = buildNarrowingQuery(extractLiterals(regex.pattern));
+  const conditions = ["c.strategy = 'basic'", 'c.content REGEXP ?'];
+  const params = [regex.pattern];
+  if (narrowing) {
+    conditions.unshift('c.content MATCH ?');
+    params.unshift(narrowing);
+  }
+
+  database.exec('DROP TABLE IF EXISTS temp.regex_matches');
+
+  database.prepare(`
+    CREATE TEMP TABLE regex_matches AS
+    SELECT c.rowid AS content_id, c.content, c.file_id, c.time_offset
+    FROM cast_content c
+    WHERE ${conditions.join(' AND ')}
+    LIMIT ?
+  `).run(...params, MAX_MATCHES + 1);
+
+  const { count } = database.prepare('SELECT COUNT(*) AS count FROM temp.regex_matches').get();
+  if (count > MAX_MATCHES) {
+    database.exec(`DELETE FROM temp.regex_matches WHERE rowid > ${MAX_MATCHES}`);
+  }
+
+  return { truncated: count > MAX_MATCHES };
+}
+
+/**
+ * Run a regex search in a worker thread
+ *
+ * @param {string} query - Regex query
+ * @param {Object} options - searchCasts options
+ * @returns {Promise<{results: Array<Object>, total: number, truncated: boolean}>} - Search results
+ * @throws {SearchTimeoutError} - If the search takes longer than its time budget
+ */
+function runRegexSearch(query, options) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'regex-worker.js'), {
+      workerData: { query, options, deadline: Date.now() + TIME_BUDGET_MS },
+      // As this thread sees it, with INDEX_DB_PATH possibly set at runtime
+      env: process.env
+    });
+    let settled = false;
+
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      fn(value);
+    };
+
+    // A single pattern test can't be interrupted inside the worker
+    const timer = setTimeout(() => {
+      worker.terminate();
+      settle(reject, new SearchTimeoutError(`Regex search took longer than ${TIME_BUDGET_MS / 1000} seconds`));
+    }, TIME_BUDGET_MS + WORKER_GRACE_MS);
+
+    worker.on('message', (message) => {
+      if (message.timedOut) {
+        settle(reject, new SearchTimeoutError(message.error));
+      } else {
+        settle(resolve, message);
+      }
+    });
+    worker.on('error', (err) => settle(reject, err));
+    worker.on('exit', (code) => settle(reject, new Error(`Regex search worker stopped with code ${code}`)));
+  });
+}
+
+module.exports = {
+  SearchTimeoutError,
+  parseRegexQuery,
+  extractLiterals,
+  buildNarrowingQuery,
+  collectRegexMatches,
+  runRegexSearch
+};
@@ -0,0 +1,35 @@
+/**
+ * Worker thread running one regex search (see regex-search.js)
+ *
+ * Gets {query, options, deadline} as workerData and posts back the search
+ * results, or {timedOut, error} when the deadline passed.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const db = require('./db');
+const { SearchTimeoutError, parseRegexQuery, collectRegexMatches } = require('./regex-search');
+const { buildMatchQueries, searchDatabase } = require('./search');
+
+const { query, options, deadline } = workerData;
+let database = null;
+
+try {
+  database = db.getDatabase();
+
+  const { truncated } = collectRegexMatches(database, parseRegexQuery(query), deadline);
+  const { results, total } = searchDatabase(database, buildMatchQueries(query, 'regex'), options);
+
+  parentPort.postMessage({ results, total, truncated });
+} catch (err) {
+  if (err instanceof SearchTimeoutError) {
+    parentPort.postMessage({ timedOut: true, error: err.message });
+  } else {
+    console.error('Regex search error:', err);
+    console.error('Original query:', query);
+    parentPort.postMessage({ results: [], total: 0, error: err.message });
+  }
+} finally {
+  if (database) {
+    database.close();
+  }
+}
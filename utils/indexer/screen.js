@@ -0,0 +1,643 @@
+/**
+ * Headless terminal screen model used by the screen indexing strategy
+ *
+ * Implements the subset of VT100/xterm control sequences that shells,
+ * tmux and full-screen programs (vim, less, htop) rely on: cursor
+ * movement, erasing, scroll regions, line/character insertion and
+ * deletion, and the alternate screen buffer.  Colors and other
+ * attributes are parsed and discarded — only the rendered text matters
+ * for indexing.  Every character occupies a single cell.
+ */
+
+// DEC special graphics (line drawing) set, selected with ESC ( 0
+const LINE_DRAWING = {
+  j: '┘', k: '┐', l: '┌', m: '└', n: '┼', q: '─',
+  t: '├', u: '┤', v: '┴', w: '┬', x: '│', a: '▒', '`': '◆', '~': '·'
+};
+
+const TAB_WIDTH = 8;
+
+// Largest width and height a screen takes, whatever a recording asks for
+const MAX_SIZE = 1000;
+
+/**
+ * Bring a terminal dimension within 1 to MAX_SIZE cells
+ *
+ * @param {number} value - Width or height asked for
+ * @param {number} fallback - Used when value isn't a positive number
+ * @returns {number} - Number of cells
+ */
+function clampSize(value, fallback) {
+  return Math.min(MAX_SIZE, Math.max(1, Math.floor(value) || fallback));
+}
+
+/**
+ * Create an empty row of the given width
+ *
+ * @param {number} cols - Row width
+ * @returns {Array<string>} - Row of blank cells
+ */
+function blankRow(cols) {
+  return new Array(cols).fill(' ');
+}
+
+/**
+ * Render a row of cells as text without trailing whitespace
+ *
+ * @param {Array<string>} row - Row of cells
+ * @returns {string} - Row text
+ */
+function rowToString(row) {
+  return row.join('').replace(/\s+$/, '');
+}
+
+class Screen {
+  /**
+   * @param {number} [cols=80] - Terminal width, at most MAX_SIZE
+   * @param {number} [rows=24] - Terminal height, at most MAX_SIZE
+   */
+  constructor(cols = 80, rows = 24) {
+    this.cols = clampSize(cols, 80);
+    this.rows = clampSize(rows, 24);
+
+    // Lines that left the screen since the last takeEvicted() call
+    this.evicted = [];
+
+    // Optional callback receiving the text of the line a line feed leaves,
+    // including the rows it wrapped over
+    this.onLineFeed = null;
+
+    this.reset();
+  }
+
+  /**
+   * Reset the terminal to its initial state (RIS)
+   */
+  reset() {
+    this.mainLines = this._blankLines();
+    this.altLines = null;
+    this.lines = this.mainLines;
+    this.cursorX = 0;
+    this.cursorY = 0;
+    this.savedCursor = null;
+    this.wrapPending = false;
+    this.scrollTop = 0;
+    this.scrollBottom = this.rows - 1;
+    this.lineDrawing = false;
+    this.wrappedText = '';
+
+    // Parser state
+    this.state = 'ground';
+    this.params = '';
+    this.intermediate = '';
+  }
+
+  /**
+   * Whether the alternate screen buffer is active
+   *
+   * @returns {boolean}
+   */
+  get isAlternate() {
+    return this.lines !== this.mainLines;
+  }
+
+  /**
+   * Feed terminal output to the screen
+   *
+   * @param {string} data - Output text including control sequences
+   */
+  write(data) {
+    if (!data) return;
+
+    for (const ch of data) {
+      switch (this.state) {
+        case 'ground':
+          this._ground(ch);
+          break;
+        case 'escape':
+          this._escape(ch);
+          break;
+        case 'escapeIntermediate':
+          this._escapeIntermediate(ch);
+          break;
+        case 'csi':
+          this._csi(ch);
+          break;
+        case 'string':
+          // OSC, DCS, APC, PM and SOS are terminated by BEL or ST (ESC \)
+          if (ch === '\x07') {
+            this.state = 'ground';
+          } else if (ch === '\x1b') {
+            this.state = 'stringEscape';
+          }
+          break;
+        case 'stringEscape':
+          this.state = ch === '\\' ? 'ground' : 'string';
+          break;
+      }
+    }
+  }
+
+  /**
+   * Resize the screen, keeping the top-left content
+   *
+   * @param {number} cols - New width
+   * @param {number} rows - New height
+   */
+  resize(cols, rows) {
+    cols = clampSize(cols, this.cols);
+    rows = clampSize(rows, this.rows);
+
+    const resizeBuffer = (lines) => {
+      if (!lines) return lines;
+
+      // Shrinking height pushes the top lines off the screen, like xterm does
+      const overflow = Math.max(0, lines.length - rows);
+      if (overflow > 0 && lines === this.mainLines) {
+        for (const row of lines.slice(0, overflow)) {
+          this._evict(row);
+        }
+      }
+
+      const resized = lines.slice(overflow).map(row => {
+        const copy = row.slice(0, cols);
+        while (copy.length < cols) copy.push(' ');
+        return copy;
+      });
+      while (resized.length < rows) resized.push(blankRow(cols));
+      return resized;
+    };
+
+    const wasAlternate = this.isAlternate;
+    const overflow = Math.max(0, this.rows - rows);
+
+    this.mainLines = resizeBuffer(this.mainLines);
+    this.altLines = resizeBuffer(this.altLines);
+    this.lines = wasAlternate ? this.altLines : this.mainLines;
+
+    this.cols = cols;
+    this.rows = rows;
+    this.scrollTop = 0;
+    this.scrollBottom = rows - 1;
+    this.cursorY = Math.min(Math.max(0, this.cursorY - overflow), rows - 1);
+    this.cursorX = Math.min(this.cursorX, cols - 1);
+    this.wrapPending = false;
+  }
+
+  /**
+   * Get the visible screen text
+   *
+   * @returns {Array<string>} - One string per row, trailing whitespace removed
+   */
+  getLines() {
+    return this.lines.map(rowToString);
+  }
+
+  /**
+   * Get the text of the row the cursor is on
+   *
+   * @returns {string} - Row text
+   */
+  getCursorLine() {
+    return rowToString(this.lines[this.cursorY]);
+  }
+
+  /**
+   * Get the text of the cursor's row left of the cursor
+   *
+   * @returns {string} - Text, trailing spaces included
+   */
+  getTextBeforeCursor() {
+    return this.lines[this.cursorY].slice(0, this.cursorX).join('');
+  }
+
+  /**
+   * Return and forget the lines that left the screen since the last call
+   *
+   * Lines are evicted when they scroll off the top of the main buffer,
+   * when the screen is erased, and when the alternate buffer is left.
+   *
+   * @returns {Array<string>} - Evicted non-empty lines, oldest first
+   */
+  takeEvicted() {
+    const evicted = this.evicted;
+    this.evicted = [];
+    return evicted;
+  }
+
+  // -------------------------------------------------------------------------
+  // Parser states
+  // -------------------------------------------------------------------------
+
+  _ground(ch) {
+    const code = ch.codePointAt(0);
+
+    if (code >= 0x20 && code !== 0x7f && !(code >= 0x80 && code < 0xa0)) {
+      this._print(ch);
+      return;
+    }
+
+    switch (ch) {
+      case '\x1b':
+        this.state = 'escape';
+        this.intermediate = '';
+        break;
+      case '\r':
+        this.cursorX = 0;
+        this.wrapPending = false;
+        break;
+      case '\n':
+      case '\x0b':
+      case '\x0c':
+        this._index();
+        break;
+      case '\b':
+        if (this.cursorX > 0) this.cursorX--;
+        this.wrapPending = false;
+        break;
+      case '\t':
+        this.cursorX = Math.min(this.cols - 1, (Math.floor(this.cursorX / TAB_WIDTH) + 1) * TAB_WIDTH);
+        this.wrapPending = false;
+        break;
+      case '\x0e':
+        this.lineDrawing = true;
+        break;
+      case '\x0f':
+        this.lineDrawing = false;
+        break;
+      default:
+        // BEL and other C0/C1 controls have no effect on the text
+        break;
+    }
+  }
+
+  _escape(ch) {
+    this.state = 'ground';
+
+    switch (ch) {
+      case '[':
+        this.state = 'csi';
+        this.params = '';
+        this.intermediate = '';
+        break;
+      case ']':
+      case 'P':
+      case '_':
+      case '^':
+      case 'X':
+        this.state = 'string';
+        break;
+      case '(':
+      case ')':
+      case '*':
+      case '+':
+      case '#':
+      case '%':
+        this.state = 'escapeIntermediate';
+        this.intermediate = ch;
+        break;
+      case 'D':
+        this._index();
+        break;
+      case 'E':
+        this.cursorX = 0;
+        this._index();
+        break;
+      case 'M':
+        this._reverseIndex();
+        break;
+      case '7':
+        this._saveCursor();
+        break;
+      case '8':
+        this._restoreCursor();
+        break;
+      case 'c':
+        this._eraseBuffer();
+        this.reset();
+        break;
+      default:
+        // Keypad modes, character set shifts etc. don't change the text
+        break;
+    }
+  }
+
+  _escapeIntermediate(ch) {
+    if (this.intermediate === '(') {
+      this.lineDrawing = ch === '0';
+    }
+    this.state = 'ground';
+  }
+
+  _csi(ch) {
+    const code = ch.charCodeAt(0);
+
+    if (code >= 0x30 && code <= 0x3f) {
+      // Parameter bytes, including private markers (? > = <)
+      this.params += ch;
+      return;
+    }
+    if (code >= 0x20 && code <= 0x2f) {
+      this.intermediate += ch;
+      return;
+    }
+    if (ch === '\x1b') {
+      // Malformed sequence; start over with the new escape
+      this.state = 'escape';
+      return;
+    }
+    if (code < 0x20) {
+      // Control characters are executed in the middle of a sequence
+      this._ground(ch);
+      return;
+    }
+
+    this.state = 'ground';
+    if (this.intermediate) return;
+
+    const isPrivate = /^[?>=<]/.test(this.params);
+    const args = (isPrivate ? this.params.slice(1) : this.params)
+      .split(';')
+      .map(value => parseInt(value, 10));
+    const arg = (index, fallback = 1) => {
+      const value = args[index];
+      return Number.isNaN(value) || value === undefined || value === 0 ? fallback : value;
+    };
+
+    if (isPrivate) {
+      if (this.params[0] === '?' && (ch === 'h' || ch === 'l')) {
+        this._setPrivateModes(args, ch === 'h');
+      }
+      return;
+    }
+
+    switch (ch) {
+      case '@':
+        this._insertChars(arg(0));
+        break;
+      case 'A':
+        this._moveCursor(this.cursorX, Math.max(this._topLimit(), this.cursorY - arg(0)));
+        break;
+      case 'B':
+      case 'e':
+        this._moveCursor(this.cursorX, Math.min(this._bottomLimit(), this.cursorY + arg(0)));
+        break;
+      case 'C':
+      case 'a':
+        this._moveCursor(this.cursorX + arg(0), this.cursorY);
+        break;
+      case 'D':
+        this._moveCursor(this.cursorX - arg(0), this.cursorY);
+        break;
+      case 'E':
+        this._moveCursor(0, Math.min(this._bottomLimit(), this.cursorY + arg(0)));
+        break;
+      case 'F':
+        this._moveCursor(0, Math.max(this._topLimit(), this.cursorY - arg(0)));
+        break;
+      case 'G':
+      case '`':
+        this._moveCursor(arg(0) - 1, this.cursorY);
+        break;
+      case 'H':
+      case 'f':
+        this._moveCursor(arg(1) - 1, arg(0) - 1);
+        break;
+      case 'J':
+        this._eraseInDisplay(arg(0, 0));
+        break;
+      case 'K':
+        this._eraseInLine(arg(0, 0));
+        break;
+      case 'L':
+        this._insertLines(arg(0));
+        break;
+      case 'M':
+        this._deleteLines(arg(0));
+        break;
+      case 'P':
+        this._deleteChars(arg(0));
+        break;
+      case 'S':
+        for (let i = 0; i < arg(0); i++) this._scrollUp(this.scrollTop, this.scrollBottom);
+        break;
+      case 'T':
+        for (let i = 0; i < arg(0); i++) this._scrollDown(this.scrollTop, this.scrollBottom);
+        break;
+      case 'X':
+        this._eraseChars(arg(0));
+        break;
+      case 'd':
+        this._moveCursor(this.cursorX, arg(0) - 1);
+        break;
+      case 'r':
+        this._setScrollRegion(arg(0) - 1, arg(1, this.rows) - 1);
+        break;
+      case 's':
+        this._saveCursor();
+        break;
+      case 'u':
+        this._restoreCursor();
+        break;
+      default:
+        // SGR (m), device status reports and the rest carry no text
+        break;
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Operations
+  // -------------------------------------------------------------------------
+
+  _print(ch) {
+    if (this.wrapPending) {
+      this.wrappedText += this.lines[this.cursorY].join('');
+      this.cursorX = 0;
+      this._index(true);
+      this.wrapPending = false;
+    }
+
+    this.lines[this.cursorY][this.cursorX] = this.lineDrawing && LINE_DRAWING[ch] ? LINE_DRAWING[ch] : ch;
+
+    if (this.cursorX === this.cols - 1) {
+      this.wrapPending = true;
+    } else {
+      this.cursorX++;
+    }
+  }
+
+  _index(wrapping = false) {
+    if (!wrapping) {
+      if (this.onLineFeed) {
+        this.onLineFeed(this.wrappedText + rowToString(this.lines[this.cursorY]));
+      }
+      this.wrappedText = '';
+    }
+
+    this.wrapPending = false;
+    if (this.cursorY === this.scrollBottom) {
+      this._scrollUp(this.scrollTop, this.scrollBottom);
+    } else if (this.cursorY < this.rows - 1) {
+      this.cursorY++;
+    }
+  }
+
+  _reverseIndex() {
+    this.wrapPending = false;
+    if (this.cursorY === this.scrollTop) {
+      this._scrollDown(this.scrollTop, this.scrollBottom);
+    } else if (this.cursorY > 0) {
+      this.cursorY--;
+    }
+  }
+
+  _scrollUp(top, bottom) {
+    const [removed] = this.lines.splice(top, 1);
+    this.lines.splice(bottom, 0, blankRow(this.cols));
+
+    // Only lines leaving the top of the main screen become scrollback
+    if (top === 0 && !this.isAlternate) {
+      this._evict(removed);
+    }
+  }
+
+  _scrollDown(top, bottom) {
+    this.lines.splice(bottom, 1);
+    this.lines.splice(top, 0, blankRow(this.cols));
+  }
+
+  _moveCursor(x, y) {
+    this.wrappedText = '';
+    this.cursorX = Math.min(Math.max(0, x), this.cols - 1);
+    this.cursorY = Math.min(Math.max(0, y), this.rows - 1);
+    this.wrapPending = false;
+  }
+
+  _topLimit() {
+    return this.cursorY >= this.scrollTop ? this.scrollTop : 0;
+  }
+
+  _bottomLimit() {
+    return this.cursorY <= this.scrollBottom ? this.scrollBottom : this.rows - 1;
+  }
+
+  _setScrollRegion(top, bottom) {
+    bottom = Math.min(bottom, this.rows - 1);
+    if (top < bottom) {
+      this.scrollTop = Math.max(0, top);
+      this.scrollBottom = bottom;
+      this._moveCursor(0, 0);
+    }
+  }
+
+  _eraseInDisplay(mode) {
+    if (mode === 0) {
+      this._eraseInLine(0);
+      for (let y = this.cursorY + 1; y < this.rows; y++) this.lines[y] = blankRow(this.cols);
+    } else if (mode === 1) {
+      this._eraseInLine(1);
+      for (let y = 0; y < this.cursorY; y++) this.lines[y] = blankRow(this.cols);
+    } else {
+      this._eraseBuffer();
+    }
+  }
+
+  _eraseBuffer() {
+    for (let y = 0; y < this.rows; y++) {
+      this._evict(this.lines[y]);
+      this.lines[y] = blankRow(this.cols);
+    }
+  }
+
+  _eraseInLine(mode) {
+    const row = this.lines[this.cursorY];
+    const start = mode === 0 ? this.cursorX : 0;
+    const end = mode === 1 ? this.cursorX + 1 : this.cols;
+    for (let x = start; x < end; x++) row[x] = ' ';
+    this.wrapPending = false;
+  }
+
+  _eraseChars(count) {
+    const row = this.lines[this.cursorY];
+    const end = Math.min(this.cols, this.cursorX + count);
+    for (let x = this.cursorX; x < end; x++) row[x] = ' ';
+  }
+
+  _insertChars(count) {
+    const row = this.lines[this.cursorY];
+    count = Math.min(count, this.cols - this.cursorX);
+    row.splice(this.cursorX, 0, ...new Array(count).fill(' '));
+    row.length = this.cols;
+  }
+
+  _deleteChars(count) {
+    const row = this.lines[this.cursorY];
+    count = Math.min(count, this.cols - this.cursorX);
+    row.splice(this.cursorX, count);
+    while (row.length < this.cols) row.push(' ');
+  }
+
+  _insertLines(count) {
+    if (this.cursorY < this.scrollTop || this.cursorY > this.scrollBottom) return;
+    count = Math.min(count, this.scrollBottom - this.cursorY + 1);
+    for (let i = 0; i < count; i++) this._scrollDown(this.cursorY, this.scrollBottom);
+    this.cursorX = 0;
+  }
+
+  _deleteLines(count) {
+    if (this.cursorY < this.scrollTop || this.cursorY > this.scrollBottom) return;
+    count = Math.min(count, this.scrollBottom - this.cursorY + 1);
+    for (let i = 0; i < count; i++) {
+      this.lines.splice(this.cursorY, 1);
+      this.lines.splice(this.scrollBottom, 0, blankRow(this.cols));
+    }
+    this.cursorX = 0;
+  }
+
+  _saveCursor() {
+    this.savedCursor = { x: this.cursorX, y: this.cursorY, lineDrawing: this.lineDrawing };
+  }
+
+  _restoreCursor() {
+    if (!this.savedCursor) {
+      this._moveCursor(0, 0);
+      return;
+    }
+    this._moveCursor(this.savedCursor.x, this.savedCursor.y);
+    this.lineDrawing = this.savedCursor.lineDrawing;
+  }
+
+  _setPrivateModes(modes, enable) {
+    for (const mode of modes) {
+      if (mode === 47 || mode === 1047 || mode === 1049) {
+        if (enable && !this.isAlternate) {
+          if (mode === 1049) this._saveCursor();
+          this.altLines = this._blankLines();
+          this.lines = this.altLines;
+        } else if (!enable && this.isAlternate) {
+          // Whatever the full-screen program showed last is gone now
+          for (const row of this.altLines) this._evict(row);
+          this.altLines = null;
+          this.lines = this.mainLines;
+          if (mode === 1049) this._restoreCursor();
+        }
+        this.scrollTop = 0;
+        this.scrollBottom = this.rows - 1;
+        this.wrapPending = false;
+      }
+    }
+  }
+
+  _evict(row) {
+    const text = rowToString(row);
+    if (text) this.evicted.push(text);
+  }
+
+  _blankLines() {
+    return Array.from({ length: this.rows }, () => blankRow(this.cols));
+  }
+}
+
+module.exports = {
+  Screen
+};
@@ -3,6 +3,12 @@
  */
 
 const db = require('./db');
+const { QuerySyntaxError, parseAdvancedQuery, toFtsQuery } = require('./fts-query');
+const { SearchTimeoutError, parseRegexQuery, extractLiterals, runRegexSearch } = require('./regex-search');
+const { addSnippets } = require('./snippets');
+const { searchStrategies = ['basic'] } = require('../index-config.json');
+const { DISPLAY_TIMEZONE } = require('../config');
+const { startOfDay, nextDay } = require('../timezones');
 
 /**
  * Escape special FTS5 characters in search query
@@ -19,161 +25,460 @@ function escapeQuery(query) {
   return `"${query.replace(/"/g, '""')}"`;
 }
 
+// ORDER BY for each sort option, on the columns of the ranked hits
+const SORT_ORDERS = {
+  relevance: 'relevance DESC, timestamp DESC, time_offset ASC',
+  newest: 'timestamp DESC, time_offset ASC',
+  oldest: 'timestamp ASC, time_offset ASC',
+  longest: 'duration DESC NULLS LAST, timestamp DESC, time_offset ASC'
+};
+
+// Order of hits inside one recording
+const PLAYBACK_ORDER = 'time_offset ASC, annotation_id ASC';
+
+// Hits shown for each recording when results are grouped
+const HITS_PER_RECORDING = 3;
+
+// How much more relevant hits are when a recording tag names a search term
+const TAG_MATCH_BOOST = 2;
+
+// The trigram tokenizer can't match anything shorter than one trigram
+const MIN_SUBSTRING_LENGTH = 3;
+
 /**
- * Search cast content in the database
+ * Build the queries for a search
  * 
- * @param {string} query - Search query text
- * @param {Object} options - Search options
- * @param {Array<string>} [options.tags] - Optional tags to filter by
- * @param {string} [options.dateFrom] - Optional start date (YYYY-MM-DD)
- * @param {string} [options.dateTo] - Optional end date (YYYY-MM-DD)
- * @param {number} [options.limit=50] - Maximum results to return
- * @param {number} [options.offset=0] - Offset for pagination
- * @param {number} [options.timeWindow=10] - Time window in minutes for result grouping (not implemented yet)
- * @returns {Promise<{results: Array<Object>, total: number}>} - Search results and total count
+ * In substring mode the content is searched in cast_trigram, where a
+ * quoted phrase matches any substring (case-insensitively, like LIKE);
+ * annotations are few enough to go through LIKE itself.
+ * 
+ * In regex mode the content was already matched into temp.regex_matches
+ * (see regex-search.js), and annotations are matched with REGEXP.
+ * 
+ * @param {string} query - The raw search query
+ * @param {string} mode - 'simple' for a literal phrase, 'advanced' for FTS5 syntax (see fts-query.js),
+ *                        'substring' for part of a word, 'regex' for a regular expression
+ * @returns {{mode: string, content: (string|null), annotations: string, terms: Array<string>}} - Queries for
+ *          the content and annotations and the words searched for, with the substring as `text` and the
+ *          pattern as `regex` for highlighting them
+ * @throws {QuerySyntaxError} - If an advanced query or pattern is invalid or a substring too short
  */
-async function searchCasts(query, options = {}) {
+function buildMatchQueries(query, mode) {
+  if (mode === 'regex') {
+    const regex = parseRegexQuery(query);
+    const terms = queryTerms(extractLiterals(regex.pattern).join(' '));
+    return { mode, content: null, annotations: regex.pattern, regex, terms };
+  }
+  
+  if (mode === 'substring') {
+    const text = query.trim();
+    if (text.length < MIN_SUBSTRING_LENGTH) {
+      throw new QuerySyntaxError(`Substring searches need at least ${MIN_SUBSTRING_LENGTH} characters`, 0);
+    }
+    return {
+      mode,
+      text,
+      terms: queryTerms(text),
+      content: escapeQuery(text),
+      annotations: `%${text.replace(/[\\%_]/g, char => `\\${char}`)}%`
+    };
+  }
+  
+  if (mode !== 'advanced') {
+    const escapedQuery = escapeQuery(query);
+    return { mode: 'simple', content: escapedQuery, annotations: escapedQuery, terms: queryTerms(query) };
+  }
+  
+  const tree = parseAdvancedQuery(query);
+  return {
+    mode,
+    terms: queryTerms(query.replace(/\b(AND|OR|NOT|NEAR)\b|\bcontent:/g, ' ')),
+    content: toFtsQuery(tree, { content: 'content' }),
+    annotations: toFtsQuery(tree, { content: 'text' })
+  };
+}
+
+/**
+ * Words of a query, lowercased, to find in recording tags
+ * 
+ * @param {string} text - Query text
+ * @returns {Array<string>} - Words
+ */
+function queryTerms(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+// Tags of the recording a hit belongs to, as "tag1, tag2"
+const TAGS_COLUMN = `(
+  SELECT group_concat(t.tag, ', ') FROM recording_tags t WHERE t.filename = h.filename
+) AS tags`;
+
+/**
+ * Build the condition that picks one strategy's content for every file
+ * 
+ * Each file is searched through the first strategy in `searchStrategies`
+ * that has been applied to it, so the same text isn't returned once per
+ * strategy and files indexed before a new strategy existed stay searchable.
+ * 
+ * @param {Array<string>} strategies - Strategy IDs in order of preference
+ * @returns {{sql: string, params: Array<string>}} - SQL condition and its parameters
+ */
+function buildStrategyCondition(strategies) {
+  const conditions = strategies.map((strategyId, index) => {
+    const preferred = strategies.slice(0, index);
+    
+    if (preferred.length === 0) {
+      return { sql: 'c.strategy = ?', params: [strategyId] };
+    }
+    
+    return {
+      sql: `(c.strategy = ? AND NOT EXISTS (
+        SELECT 1 FROM indexing_strategies s
+        WHERE s.file_id = c.file_id AND s.strategy_id IN (${preferred.map(() => '?').join(', ')})
+      ))`,
+      params: [strategyId, ...preferred]
+    };
+  });
+  
+  return {
+    sql: `(${conditions.map(condition => condition.sql).join(' OR ')})`,
+    params: conditions.reduce((params, condition) => params.concat(condition.params), [])
+  };
+}
+
+/**
+ * Build the query for everything matching the search, as `hits`
+ * 
+ * Hits are either recording content or annotations made on a recording
+ * (those have an annotation_id).  Annotations are only found for
+ * recordings in the catalog, so trashed ones don't show up.  Content hits
+ * carry the row they come from, to build their snippets (see snippets.js).
+ * 
+ * @param {{mode: string, content: (string|null), annotations: string}} matchQueries - Queries from buildMatchQueries
+ * @param {{sql: string, params: Array<string>}} strategyCondition - Condition from buildStrategyCondition
+ * @returns {{sql: string, params: Array<string>}} - SQL selecting the hits and its parameters
+ */
+function buildHitsQuery(matchQueries, strategyCondition) {
+  // Substrings and regex matches come from one strategy alone, so there's no strategy to pick
+  const content = {
+    substring: {
+      table: 'cast_trigram',
+      rowid: 'c.rowid',
+      strategy: "'trigram'",
+      rank: 'bm25(c.cast_trigram)',
+      condition: 'c.content MATCH ?',
+      params: [matchQueries.content]
+    },
+    regex: { table: 'temp.regex_matches', rowid: 'c.content_id', strategy: "'basic'", rank: 'NULL', condition: '1', params: [] }
+  }[matchQueries.mode] || {
+    table: 'cast_content',
+    rowid: 'c.rowid',
+    strategy: 'c.strategy',
+    rank: 'bm25(c.cast_content)',
+    condition: `c.content MATCH ? AND ${strategyCondition.sql}`,
+    params: [matchQueries.content, ...strategyCondition.params]
+  };
+  
+  const annotations = {
+    substring: { join: '', rank: 'NULL', condition: "a.text LIKE ? ESCAPE '\\'" },
+    regex: { join: '', rank: 'NULL', condition: 'a.text REGEXP ?' }
+  }[matchQueries.mode] || {
+    join: 'JOIN annotation_content f ON f.rowid = a.id',
+    rank: 'bm25(annotation_content)',
+    condition: 'annotation_content MATCH ?'
+  };
+  
+  return {
+    sql: `
+      SELECT
+        c.content AS snippet,
+        c.time_offset,
+        i.file_path,
+        i.filename,
+        i.date,
+        i.time,
+        i.timestamp,
+        NULL AS annotation_id,
+        ${content.rowid} AS content_id,
+        c.file_id,
+        ${content.strategy} AS strategy,
+        ${content.rank} AS fts_rank
+      FROM
+        ${content.table} c
+      JOIN
+        indexed_files i ON c.file_id = i.id
+      WHERE
+        ${content.condition} AND i.completed = 1
+      UNION ALL
+      SELECT
+        a.text,
+        a.time_offset,
+        NULL,
+        a.filename,
+        k.date,
+        k.time,
+        k.timestamp,
+        a.id,
+        NULL,
+        NULL,
+        NULL,
+        ${annotations.rank}
+      FROM
+        annotations a
+      ${annotations.join}
+      JOIN
+        catalog k ON k.filename = a.filename
+      WHERE
+        ${annotations.condition}
+    `,
+    params: [...content.params, matchQueries.annotations]
+  };
+}
+
+/**
+ * Run a search on an open database
+ * 
+ * @param {Database} database - SQLite database instance
+ * @param {Object} matchQueries - Queries from buildMatchQueries
+ * @param {Object} options - Search options, as for searchCasts
+ * @returns {{results: Array<Object>, total: number}} - Search results and total count; each
+ *          hit's snippet is its context-rich text and `matches` the match ranges in it
+ */
+function searchDatabase(database, matchQueries, options = {}) {
   const {
     tags = [],
     dateFrom = null,
     dateTo = null,
+    hosts = [],
+    sources = [],
+    types = [],
     limit = 50,
     offset = 0,
-    timeWindow = 10  // Keep the parameter for future implementation
+    sort = 'newest',
+    group = 'recording',
+    filename = null
   } = options;
   
-  let database = null;
+  // Build the WHERE clause conditions
+  const hits = buildHitsQuery(matchQueries, buildStrategyCondition(searchStrategies));
+  const whereConditions = [];
+  const params = [...hits.params];
   
-  try {
-    // Open database
-    database = db.getDatabase();
-    
-    // Escape special characters in the query for FTS5
-    const escapedQuery = escapeQuery(query);
-    
-    // Build the WHERE clause conditions
-    const whereConditions = ['c.content MATCH ?', 'i.completed = 1'];
-    const params = [escapedQuery];
-    
-    // Add tag filtering if provided
-    if (tags.length > 0) {
-      const tagConditions = tags.map(() => `c.tags LIKE ?`).join(' OR ');
-      whereConditions.push(`(${tagConditions})`);
-      tags.forEach(tag => params.push(`%${tag}%`));
-    }
-    
-    // Add date filtering if provided
-    if (dateFrom) {
-      whereConditions.push('i.date >= ?');
-      params.push(dateFrom);
-    }
-    
-    if (dateTo) {
-      whereConditions.push('i.date <= ?');
-      params.push(dateTo);
-    }
-    
-    // Combine all conditions
-    const whereClause = whereConditions.join(' AND ');
-    
-    // If timeWindow is enabled (>0), use window functions to group results
-    let sql;
-    
-    if (timeWindow > 0) {
-      // Calculate time window in milliseconds
-      const timeWindowMs = timeWindow * 60 * 1000;
-      
-      sql = `
-        WITH matches AS (
-          SELECT
-            c.content AS snippet,
-            c.time_offset,
-            c.tags,
-            i.file_path,
-            i.filename,
-            i.date,
-            i.time,
-            i.timestamp,
-            (i.timestamp / ${timeWindowMs}) AS time_window,
-            ROW_NUMBER() OVER (
-              PARTITION BY (i.timestamp / ${timeWindowMs})
-              ORDER BY i.timestamp DESC
-            ) AS row_num
-          FROM
-            cast_content c
-          JOIN
-            indexed_files i ON c.file_id = i.id
-          WHERE
-            ${whereClause}
-        )
-        SELECT
-          snippet,
-          time_offset,
-          file_path,
-          filename,
-          date,
-          time,
-          tags
-        FROM
-          matches
-        WHERE
-          row_num = 1
-        ORDER BY
-          timestamp DESC
-      `;
-    } else {
-      // Simple query without time window grouping
-      sql = `
-        SELECT
-          c.content AS snippet,
-          c.time_offset,
-          i.file_path,
-          i.filename,
-          i.date,
-          i.time,
-          c.tags
-        FROM
-          cast_content c
-        JOIN
-          indexed_files i ON c.file_id = i.id
-        WHERE
-          ${whereClause}
-      `;
-    }
-    
-    // Add ORDER BY clause
-    if (timeWindow > 0) {
-      // For time window query, we already have ORDER BY timestamp DESC
-    } else {
-      // For regular query, add ORDER BY clause
-      sql += ` ORDER BY i.timestamp DESC, c.time_offset ASC`;
-    }
+  // Add tag filtering if provided: a recording matches when it has one of
+  // the tags, or a tag nested below one of them (client/acme for client)
+  if (tags.length > 0) {
+    // Tags below "client" sort between "client/" and "client0" ("0" follows "/")
+    const tagConditions = tags.map(() => 't.tag = ? OR (t.tag >= ? AND t.tag < ?)').join(' OR ');
+    whereConditions.push(`EXISTS (
+      SELECT 1 FROM recording_tags t
+      WHERE t.filename = h.filename AND (${tagConditions})
+    )`);
+    tags.forEach(tag => params.push(tag, `${tag}/`, `${tag}0`));
+  }
+  
+  // Add date filtering if provided: days run from midnight to midnight in
+  // DISPLAY_TIMEZONE, whatever zone the recordings were made in
+  if (dateFrom) {
+    whereConditions.push('h.timestamp >= ?');
+    params.push(startOfDay(dateFrom, DISPLAY_TIMEZONE));
+  }
+  
+  if (dateTo) {
+    whereConditions.push('h.timestamp < ?');
+    params.push(startOfDay(nextDay(dateTo), DISPLAY_TIMEZONE));
+  }
+  
+  // Add host filtering if provided, hostnames are case-insensitive
+  if (hosts.length > 0) {
+    whereConditions.push(`h.filename IN (
+      SELECT k.filename FROM catalog k
+      WHERE k.host COLLATE NOCASE IN (${hosts.map(() => '?').join(', ')})
+    )`);
+    params.push(...hosts);
+  }
+  
+  // Add source filtering if provided (the cast roots named in CASTS_DIRS)
+  if (sources.length > 0) {
+    whereConditions.push(`h.filename IN (
+      SELECT k.filename FROM catalog k
+      WHERE k.source IN (${sources.map(() => '?').join(', ')})
+    )`);
+    params.push(...sources);
+  }
+  
+  // Search inside one recording
+  if (filename) {
+    whereConditions.push('h.filename = ?');
+    params.push(filename);
+  }
+  
+  // Keep only terminal output or only annotations if asked to
+  if (types.length === 1) {
+    whereConditions.push(types[0] === 'bookmark' ? 'h.annotation_id IS NOT NULL' : 'h.annotation_id IS NULL');
+  }
+  
+  // Combine all conditions
+  const whereClause = whereConditions.length > 0 ? whereConditions.join(' AND ') : '1';
+  
+  // Score hits for relevance: the FTS5 rank (bm25, lower is better) as a
+  // share of the best rank among the hits of its kind (content or
+  // annotation, which are ranked in different tables or not at all), made
+  // higher when the recording's tags name a search term and when matches
+  // are dense in the recording (matches per minute).  Hits without a rank
+  // (regex matches, substring annotations) score like the best of their
+  // kind, so in regex mode relevance comes from tags and density alone.
+  params.push(JSON.stringify(matchQueries.terms));
+  const order = SORT_ORDERS[sort];
+  
+  let sql = `
+    WITH matches AS (
+      SELECT
+        h.*,
+        ${TAGS_COLUMN},
+        (SELECT k.duration FROM catalog k WHERE k.filename = h.filename) AS duration,
+        COUNT(*) OVER (PARTITION BY h.filename) AS recording_hits,
+        MAX(-h.fts_rank) OVER (PARTITION BY h.annotation_id IS NULL) AS best_rank
+      FROM
+        (${hits.sql}) h
+      WHERE
+        ${whereClause}
+    ),
+    ranked AS (
+      SELECT
+        m.*,
+        coalesce(-m.fts_rank / nullif(m.best_rank, 0), 1.0)
+          * (CASE WHEN EXISTS (
+              SELECT 1 FROM recording_tags t, json_each(?) j
+              WHERE t.filename = m.filename
+                AND '/' || replace(t.tag, ' ', '/') || '/' LIKE '%/' || j.value || '/%'
+            ) THEN ${TAG_MATCH_BOOST} ELSE 1 END)
+          * (1 + m.recording_hits * 60.0 / (m.recording_hits * 60.0 + max(coalesce(m.duration, 0), 60)))
+          AS relevance
+      FROM
+        matches m
+    )
+  `;
+  
+  // Hits of one recording are listed in playback order
+  if (filename || group !== 'recording') {
+    sql += `
+      SELECT
+        *
+      FROM
+        ranked
+      ORDER BY
+        ${filename ? PLAYBACK_ORDER : order}
+    `;
     
     // Now get total count first (for pagination metadata)
-    const countSql = `SELECT COUNT(*) as total FROM (${sql})`;
-    const countStmt = database.prepare(countSql);
-    const { total } = countStmt.get(...params) || { total: 0 };
-    
-    // Add LIMIT and OFFSET for pagination
-    sql += ` LIMIT ? OFFSET ?`;
-    params.push(limit, offset);
-    
-    // Execute main query with pagination
-    const stmt = database.prepare(sql);
-    const results = stmt.all(...params);
-    
-    if (timeWindow > 0) {
-      console.log(`Time window grouping applied: ${results.length} results from search (total: ${total})`);
-    }
+    const { total } = database.prepare(`SELECT COUNT(*) as total FROM (${sql})`).get(...params) || { total: 0 };
+    const results = database.prepare(`${sql} LIMIT ? OFFSET ?`).all(...params, limit, offset);
     
+    // Only the page of results gets snippets built
     return {
-      results,
+      results: addSnippets(database, results, matchQueries),
       total
     };
+  }
+  
+  // One result per recording, ordered by its best hit for relevance
+  const recordingsSql = `${sql}
+    SELECT
+      filename,
+      COUNT(*) AS hit_count,
+      MAX(relevance) AS relevance,
+      MAX(timestamp) AS timestamp,
+      MAX(duration) AS duration,
+      MIN(time_offset) AS time_offset
+    FROM
+      ranked
+    GROUP BY
+      filename
+    ORDER BY
+      ${order}
+  `;
+  const { total } = database.prepare(`SELECT COUNT(*) as total FROM (${recordingsSql})`).get(...params) || { total: 0 };
+  const recordings = database.prepare(`${recordingsSql} LIMIT ? OFFSET ?`).all(...params, limit, offset);
+  if (recordings.length === 0) {
+    return { results: [], total };
+  }
+  
+  // The first hits of each recording on the page
+  const filenames = recordings.map(recording => recording.filename);
+  const firstHits = database.prepare(`${sql}
+    SELECT
+      *
+    FROM (
+      SELECT
+        *,
+        ROW_NUMBER() OVER (PARTITION BY filename ORDER BY ${PLAYBACK_ORDER}) AS hit_number
+      FROM
+        ranked
+      WHERE
+        filename IN (${filenames.map(() => '?').join(', ')})
+    )
+    WHERE
+      hit_number <= ?
+    ORDER BY
+      ${PLAYBACK_ORDER}
+  `).all(...params, ...filenames, HITS_PER_RECORDING);
+  const hitsWithSnippets = addSnippets(database, firstHits, matchQueries);
+  
+  const results = recordings.map(recording => {
+    const hits = hitsWithSnippets.filter(hit => hit.filename === recording.filename);
+    return { ...hits[0], hit_count: recording.hit_count, hits };
+  });
+  
+  return {
+    results,
+    total
+  };
+}
+
+/**
+ * Search cast content and annotations in the database
+ * 
+ * @param {string} query - Search query text
+ * @param {Object} options - Search options
+ * @param {Array<string>} [options.tags] - Optional tags to filter by
+ * @param {string} [options.dateFrom] - Optional start date (YYYY-MM-DD, a day in DISPLAY_TIMEZONE)
+ * @param {string} [options.dateTo] - Optional end date (YYYY-MM-DD, included)
+ * @param {Array<string>} [options.hosts] - Optional hosts the recordings were made on
+ * @param {Array<string>} [options.sources] - Optional sources (cast roots) the recordings are in
+ * @param {Array<string>} [options.types] - Optional kinds of hits: 'output' and/or 'bookmark'
+ * @param {number} [options.limit=50] - Maximum results to return
+ * @param {number} [options.offset=0] - Offset for pagination
+ * @param {string} [options.group='recording'] - 'recording' for one result per recording, with its hit count
+ *        (hit_count) and first hits (hits), or 'none' for one result per hit
+ * @param {string} [options.filename] - Only search this recording, listing its hits in playback order
+ * @param {string} [options.mode='simple'] - 'simple', 'advanced', 'substring' or 'regex' (see buildMatchQueries)
+ * @param {string} [options.sort='newest'] - 'relevance', 'newest', 'oldest' or 'longest' (recording duration)
+ * @returns {Promise<{results: Array<Object>, total: number, truncated?: boolean}>} - Search results and total count;
+ *          regex searches set truncated when they stopped at the match cap
+ * @throws {QuerySyntaxError} - If an advanced query or pattern is invalid
+ * @throws {SearchTimeoutError} - If a regex search takes longer than its time budget
+ */
+async function searchCasts(query, options = {}) {
+  const { mode = 'simple' } = options;
+  
+  // Invalid advanced queries are the caller's to report, so they are thrown
+  const matchQueries = buildMatchQueries(query, mode);
+  
+  // Patterns are matched in a worker thread that can be stopped (see regex-search.js)
+  if (mode === 'regex') {
+    return runRegexSearch(query, options);
+  }
+  
+  let database = null;
+  
+  try {
+    // Open database
+    database = db.getDatabase();
+    return searchDatabase(database, matchQueries, options);
   } catch (err) {
     console.error('Search error:', err);
     console.error('Original query:', query);
-    console.error('Escaped query:', escapedQuery);
+    console.error('FTS5 query:', matchQueries.content);
     return { results: [], total: 0, error: err.message };
   } finally {
     // Always close the database connection
@@ -184,5 +489,10 @@ async function searchCasts(query, options = {}) {
 }
 
 module.exports = {
+  SORT_ORDERS,
+  QuerySyntaxError,
+  SearchTimeoutError,
+  buildMatchQueries,
+  searchDatabase,
   searchCasts
 };
\ No newline at end of file
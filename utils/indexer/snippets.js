@@ -0,0 +1,264 @@
+/**
+ * Snippets for search results
+ *
+ * A hit is one row of indexed content: a single output chunk for the basic
+ * strategy (sometimes one character, sometimes several KB) or a whole screen
+ * for the snapshot strategies.  The snippet shown for it is the line with
+ * the first match and a few lines around it, with the chunks written just
+ * before and after the hit filling in the context of chunk strategies.
+ *
+ * Matches are returned as offsets into the snippet text rather than as
+ * markup, so clients can escape the text and mark the ranges themselves.
+ */
+
+// Lines of context shown before and after the line with the match
+const CONTEXT_LINES = 3;
+
+// Neighbouring rows read on each side to rebuild the context lines
+const CONTEXT_ROWS = 20;
+
+// Longer lines are cut down around the match
+const MAX_LINE_LENGTH = 200;
+const LINE_LEAD = 40;
+
+// Marks FTS5 highlight() puts around matches; control characters, as they
+// are very unlikely to be in the content (which is checked anyway)
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// Strategies whose rows are consecutive pieces of output; rows of the other
+// strategies are whole screens and carry their own context
+const CHUNK_STRATEGIES = ['basic'];
+
+/**
+ * Turn highlighted text into plain text and match ranges
+ *
+ * @param {string} highlighted - Text with MATCH_START/MATCH_END around matches
+ * @returns {{text: string, ranges: Array<{start: number, end: number}>}} - Plain text and match ranges
+ */
+function parseHighlight(highlighted) {
+  const ranges = [];
+  let text = '';
+  let start = null;
+
+  for (const char of highlighted) {
+    if (char === MATCH_START) {
+      start = text.length;
+    } else if (char === MATCH_END) {
+      if (start !== null && text.length > start) ranges.push({ start, end: text.length });
+      start = null;
+    } else {
+      text += char;
+    }
+  }
+
+  return { text, ranges };
+}
+
+/**
+ * Find the ranges of a regular expression in a text
+ *
+ * @param {string} text - Text
+ * @param {{pattern: string, flags: string}} regex - Pattern and flags
+ * @returns {Array<{start: number, end: number}>} - Match ranges
+ */
+function regexRanges(text, regex) {
+  const ranges = [];
+  for (const match of text.matchAll(new RegExp(regex.pattern, `${regex.flags}g`))) {
+    if (match[0].length > 0) ranges.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return ranges;
+}
+
+/**
+ * Find the ranges of a substring in a text, ignoring case like LIKE does
+ *
+ * @param {string} text - Text
+ * @param {string} substring - Substring searched for
+ * @returns {Array<{start: number, end: number}>} - Match ranges
+ */
+function substringRanges(text, substring) {
+  const ranges = [];
+  const haystack = text.toLowerCase();
+  const needle = substring.toLowerCase();
+
+  // Lowercasing changes the length of a few characters; offsets would be off
+  if (haystack.length !== text.length || !needle) return ranges;
+
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    ranges.push({ start: index, end: index + needle.length });
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return ranges;
+}
+
+/**
+ * Find where a hit matches the search
+ *
+ * @param {Database} database - SQLite database instance
+ * @param {Object} hit - Search result row
+ * @param {Object} matchQueries - Queries from buildMatchQueries
+ * @returns {Array<{start: number, end: number}>} - Match ranges in hit.snippet
+ */
+function findMatches(database, hit, matchQueries) {
+  const text = hit.snippet;
+
+  if (matchQueries.mode === 'regex') {
+    return regexRanges(text, matchQueries.regex);
+  }
+  if (matchQueries.mode === 'substring' && hit.annotation_id) {
+    return substringRanges(text, matchQueries.text);
+  }
+
+  const source = hit.annotation_id
+    ? { table: 'annotation_content', query: matchQueries.annotations, rowid: hit.annotation_id }
+    : { table: matchQueries.mode === 'substring' ? 'cast_trigram' : 'cast_content', query: matchQueries.content, rowid: hit.content_id };
+
+  const row = database.prepare(`
+    SELECT highlight(${source.table}, 0, ?, ?) AS highlighted
+    FROM ${source.table}
+    WHERE ${source.table} MATCH ? AND rowid = ?
+  `).get(MATCH_START, MATCH_END, source.query, source.rowid);
+  if (!row) return [];
+
+  // Marks that were in the content already would put the ranges off
+  const { text: plain, ranges } = parseHighlight(row.highlighted);
+  return plain === text ? ranges : [];
+}
+
+/**
+ * Read the output written just before and after a hit
+ *
+ * Rows of one file and strategy are written in playback order, so the
+ * neighbouring rowids hold the neighbouring chunks.
+ *
+ * @param {Database} database - SQLite database instance
+ * @param {Object} hit - Search result row of a chunk strategy
+ * @returns {{before: string, after: string}} - Text before and after the hit
+ */
+function readNeighbours(database, hit) {
+  const stmt = database.prepare(`
+    SELECT content
+    FROM cast_content
+    WHERE rowid BETWEEN ? AND ? AND file_id = ? AND strategy = ?
+    ORDER BY rowid
+  `);
+  const read = (from, to) => stmt.all(from, to, hit.file_id, hit.strategy).map(row => row.content).join('');
+
+  return {
+    before: read(hit.content_id - CONTEXT_ROWS, hit.content_id - 1),
+    after: read(hit.content_id + 1, hit.content_id + CONTEXT_ROWS)
+  };
+}
+
+/**
+ * Cut the lines around the first match out of a text
+ *
+ * @param {string} text - Text with the hit and its context
+ * @param {Array<{start: number, end: number}>} ranges - Match ranges in the text
+ * @param {number} focus - Offset to center on when there are no ranges
+ * @returns {{text: string, matches: Array<{start: number, end: number}>}} - Snippet and match ranges in it
+ */
+function cutSnippet(text, ranges, focus) {
+  // Terminal output ends lines with \r\n, and \r alone starts one over
+  const lines = [];
+  const breaks = /\r\n|\r|\n/g;
+  let offset = 0;
+  for (const lineBreak of text.matchAll(breaks)) {
+    lines.push({ start: offset, end: lineBreak.index });
+    offset = lineBreak.index + lineBreak[0].length;
+  }
+  lines.push({ start: offset, end: text.length });
+
+  const center = ranges.length > 0 ? ranges[0].start : focus;
+  const centerLine = Math.max(0, lines.findIndex(line => center <= line.end));
+
+  // Blank lines (common on screen snapshots) don't count as context
+  const isBlank = (line) => !text.slice(line.start, line.end).trim();
+  const chosen = [lines[centerLine]];
+  for (let index = centerLine - 1, count = 0; index >= 0 && count < CONTEXT_LINES; index--) {
+    if (!isBlank(lines[index])) {
+      chosen.unshift(lines[index]);
+      count++;
+    }
+  }
+  for (let index = centerLine + 1, count = 0; index < lines.length && count < CONTEXT_LINES; index++) {
+    if (!isBlank(lines[index])) {
+      chosen.push(lines[index]);
+      count++;
+    }
+  }
+
+  let snippet = '';
+  const matches = [];
+
+  chosen.forEach((line, index) => {
+    if (index > 0) snippet += '\n';
+
+    // Long lines keep a window starting a little before their first match
+    let start = line.start;
+    let end = line.end;
+    if (end - start > MAX_LINE_LENGTH) {
+      const first = ranges.find(range => range.start >= line.start && range.start < line.end);
+      start = first ? Math.max(line.start, first.start - LINE_LEAD) : line.start;
+      end = Math.min(line.end, start + MAX_LINE_LENGTH);
+      start = Math.max(line.start, end - MAX_LINE_LENGTH);
+    }
+
+    const prefix = start > line.start ? '…' : '';
+    const lineOffset = snippet.length + prefix.length;
+    snippet += prefix + text.slice(start, end) + (end < line.end ? '…' : '');
+
+    for (const range of ranges) {
+      const from = Math.max(range.start, start);
+      const to = Math.min(range.end, end);
+      if (from < to) matches.push({ start: lineOffset + from - start, end: lineOffset + to - start });
+    }
+  });
+
+  return { text: snippet, matches };
+}
+
+/**
+ * Build the snippet of a search result
+ *
+ * @param {Database} database - SQLite database instance
+ * @param {Object} hit - Search result row
+ * @param {Object} matchQueries - Queries from buildMatchQueries
+ * @returns {{text: string, matches: Array<{start: number, end: number}>}} - Snippet and match ranges in it
+ */
+function buildSnippet(database, hit, matchQueries) {
+  const ranges = findMatches(database, hit, matchQueries);
+
+  const neighbours = !hit.annotation_id && CHUNK_STRATEGIES.includes(hit.strategy)
+    ? readNeighbours(database, hit)
+    : { before: '', after: '' };
+
+  const before = neighbours.before;
+  const text = before + hit.snippet + neighbours.after;
+  const shifted = ranges.map(range => ({ start: range.start + before.length, end: range.end + before.length }));
+
+  return cutSnippet(text, shifted, before.length);
+}
+
+/**
+ * Replace the raw content of search results with snippets
+ *
+ * @param {Database} database - SQLite database instance
+ * @param {Array<Object>} results - Search result rows
+ * @param {Object} matchQueries - Queries from buildMatchQueries
+ * @returns {Array<Object>} - The results, with snippet as text and matches as ranges in it
+ */
+function addSnippets(database, results, matchQueries) {
+  return results.map(({ content_id, file_id, strategy, ...result }) => {
+    const snippet = buildSnippet(database, { ...result, content_id, file_id, strategy }, matchQueries);
+    return { ...result, snippet: snippet.text, matches: snippet.matches };
+  });
+}
+
+module.exports = {
+  parseHighlight,
+  cutSnippet,
+  addSnippets
+};
@@ -0,0 +1,49 @@
+/**
+ * Basic indexing strategy
+ *
+ * Indexes the text of every output chunk after stripping colors, so each
+ * search hit is exactly what one write to the terminal carried.  Input
+ * ("i"), resize ("r") and other events are left out: search snippets join
+ * neighbouring rows, where keystrokes would show up next to their echo.
+ */
+
+const { stripColors } = require('../file-processor');
+
+/**
+ * Index the events of a cast file
+ *
+ * @param {Object} cast - Opened cast file
+ * @param {AsyncIterable<Array>} cast.events - Normalized events
+ * @param {Object} context - Indexing context
+ * @param {function(string, number): void} context.addContent - Stores a piece of searchable text at a time offset
+ * @returns {Promise<number>} - Number of content rows produced
+ */
+async function indexEvents(cast, context) {
+  let processedEvents = 0;
+
+  for await (const event of cast.events) {
+    const timeOffset = event[0]; // Time offset in seconds
+    let content = event[2];      // Content
+
+    // Only what was written to the terminal
+    if (event[1] !== 'o') continue;
+
+    // Skip empty content
+    if (!content || typeof content !== 'string') continue;
+
+    // Strip ANSI colors from content
+    content = stripColors(content);
+
+    // Skip if content is empty after stripping
+    if (!content.trim()) continue;
+
+    context.addContent(content, timeOffset);
+    processedEvents++;
+  }
+
+  return processedEvents;
+}
+
+module.exports = {
+  indexEvents
+};
@@ -0,0 +1,194 @@
+/**
+ * Shell command extraction strategy
+ *
+ * Replays the output stream through a headless terminal and records every
+ * command typed at a shell prompt, together with where it started, where
+ * its output ended and the output itself.
+ *
+ * A prompt is text matching `promptPattern` (in the strategy config) that
+ * the cursor sits right after once an output event is written, i.e. before
+ * anything was typed.  Output lines that merely look like one ("# comment",
+ * "100% done") are written with the line feed after them and never count.
+ *
+ * Enter is detected from input ("i") events when the recording has them
+ * (`asciinema rec --stdin`).  Otherwise the first line feed after a prompt
+ * is taken as the command on its line being submitted.  Commands start when
+ * their prompt was printed.
+ */
+
+const { Screen } = require('../screen');
+
+// Anything up to the first "$ ", "# ", "% " or "❯ " within the first 80 characters
+const DEFAULT_PROMPT_PATTERN = '^[^$#%❯]{0,80}?[$#%❯] ';
+
+// Keep stored output bounded for commands like `cat hugefile`
+const MAX_OUTPUT_LINES = 200;
+const MAX_OUTPUT_LENGTH = 16 * 1024;
+
+/**
+ * Split a prompt line into prompt and command text
+ *
+ * @param {RegExp} promptRegex - Prompt pattern
+ * @param {string} line - Screen line
+ * @returns {string|null} - Command text or null if the line isn't a prompt
+ */
+function matchPrompt(promptRegex, line) {
+  const match = line.match(promptRegex);
+  return match ? line.slice(match[0].length).trim() : null;
+}
+
+/**
+ * Extract commands from the events of a cast file
+ *
+ * @param {Object} cast - Opened cast file
+ * @param {Object} cast.header - Normalized header
+ * @param {Iterable<Array>|AsyncIterable<Array>} cast.events - Normalized events
+ * @param {Object} strategy - Strategy configuration
+ * @returns {Promise<Array<{command: string, startOffset: number, endOffset: number, output: string}>>} - Commands in order
+ */
+async function extractCommands(cast, strategy = {}) {
+  const promptRegex = new RegExp(strategy.promptPattern || DEFAULT_PROMPT_PATTERN);
+  const screen = new Screen(cast.header.width, cast.header.height);
+
+  // Switches to Enter detection from input events once the first one shows up
+  let hasInput = false;
+
+  const commands = [];
+  let current = null;
+  let currentTime = 0;
+
+  // Time the prompt waiting for a command was printed at, if one is
+  let promptTime = null;
+
+  const closeCommand = () => {
+    if (!current) return;
+
+    // Screen rows drop trailing spaces, so an empty prompt ("$ ") shows up
+    // as output ("$") when Enter is pressed on it — it isn't output
+    const output = current.output.slice();
+    while (output.length && matchPrompt(promptRegex, output[output.length - 1].text + ' ') === '') {
+      output.pop();
+    }
+
+    commands.push({
+      command: current.command,
+      startOffset: current.startOffset,
+      endOffset: output.length ? output[output.length - 1].time : current.startOffset,
+      output: output.map(line => line.text).join('\n').slice(0, MAX_OUTPUT_LENGTH)
+    });
+    current = null;
+  };
+
+  const openCommand = (command) => {
+    closeCommand();
+    if (command) {
+      current = {
+        command,
+        startOffset: promptTime !== null ? promptTime : currentTime,
+        output: [],
+        skipEcho: true
+      };
+    }
+  };
+
+  screen.onLineFeed = (line) => {
+    // Full-screen programs draw their own UI, none of it is command output
+    if (screen.isAlternate) return;
+
+    if (!hasInput && promptTime !== null) {
+      const command = matchPrompt(promptRegex, line);
+      if (command !== null) {
+        // The prompt line is submitted: it ends the previous command
+        openCommand(command);
+        promptTime = null;
+        return;
+      }
+      promptTime = null;
+    }
+
+    if (!current) return;
+
+    // With input events the first line feed moves past the command line itself
+    if (current.skipEcho) {
+      current.skipEcho = false;
+      if (hasInput) return;
+    }
+
+    if (current.output.length < MAX_OUTPUT_LINES) {
+      current.output.push({ text: line, time: currentTime });
+    } else {
+      current.output[current.output.length - 1].time = currentTime;
+    }
+  };
+
+  for await (const event of cast.events) {
+    const [timeOffset, type, data] = event;
+    currentTime = timeOffset;
+
+    if (type === 'i') {
+      hasInput = true;
+    }
+
+    if (type === 'o' && data && typeof data === 'string') {
+      screen.write(data);
+      if (promptTime === null && !screen.isAlternate &&
+          matchPrompt(promptRegex, screen.getTextBeforeCursor()) === '') {
+        promptTime = currentTime;
+      }
+    } else if (type === 'i' && typeof data === 'string' && /[\r\n]/.test(data) && !screen.isAlternate) {
+      const line = screen.getCursorLine();
+      const command = matchPrompt(promptRegex, line);
+      openCommand(command !== null ? command : line.trim());
+      promptTime = null;
+    } else if (type === 'r') {
+      const match = typeof data === 'string' && data.match(/^(\d+)x(\d+)$/);
+      if (match) screen.resize(parseInt(match[1], 10), parseInt(match[2], 10));
+    }
+  }
+
+  closeCommand();
+  return commands;
+}
+
+/**
+ * Remove previously extracted commands of a file
+ *
+ * @param {Database} database - SQLite database instance
+ * @param {number} fileId - File ID
+ */
+function clear(database, fileId) {
+  database.prepare('DELETE FROM commands WHERE file_id = ?').run(fileId);
+}
+
+/**
+ * Index the events of a cast file
+ *
+ * @param {Object} cast - Opened cast file
+ * @param {Object} context - Indexing context
+ * @param {Database} context.database - SQLite database instance
+ * @param {number} context.fileId - File ID
+ * @param {Object} context.strategy - Strategy configuration
+ * @returns {Promise<number>} - Number of commands found
+ */
+async function indexEvents(cast, context) {
+  const commands = await extractCommands(cast, context.strategy);
+
+  const insertStmt = context.database.prepare(`
+    INSERT INTO commands (file_id, command, start_offset, end_offset, output)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  context.database.transaction(() => {
+    for (const command of commands) {
+      insertStmt.run(context.fileId, command.command, command.startOffset, command.endOffset, command.output);
+    }
+  })();
+
+  return commands.length;
+}
+
+module.exports = {
+  extractCommands,
+  clear,
+  indexEvents
+};
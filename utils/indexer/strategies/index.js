@@ -0,0 +1,42 @@
+/**
+ * Registry of indexing strategy implementations
+ *
+ * Strategy ids match the `id` fields in utils/index-config.json.
+ */
+
+const basic = require('./basic');
+const screen = require('./screen');
+const commands = require('./commands');
+const trigram = require('./trigram');
+
+const strategies = {
+  basic,
+  screen,
+  commands,
+  trigram
+};
+
+/**
+ * Get the implementation of an indexing strategy
+ *
+ * @param {string} strategyId - Strategy ID from the indexing config
+ * @returns {Object|null} - Strategy implementation or null if unknown
+ */
+function getStrategyImplementation(strategyId) {
+  return strategies[strategyId] || null;
+}
+
+/**
+ * Get the strategies that index the content rows of another strategy
+ *
+ * @param {string} strategyId - Strategy ID from the indexing config
+ * @returns {Array<string>} - IDs of the strategies derived from it
+ */
+function getDerivedStrategies(strategyId) {
+  return Object.keys(strategies).filter(id => strategies[id].derivedFrom === strategyId);
+}
+
+module.exports = {
+  getStrategyImplementation,
+  getDerivedStrategies
+};
@@ -0,0 +1,114 @@
+/**
+ * Screen snapshot indexing strategy
+ *
+ * Replays the output stream through a headless terminal and indexes what
+ * was actually visible whenever the screen settles (output pauses for
+ * `settleTime` seconds) or at least every `maxSnapshotInterval` seconds
+ * while output keeps flowing.  Each snapshot stores only the lines that
+ * were not already on screen at the previous snapshot, so a prompt or a
+ * status bar that stays put is not indexed over and over again.
+ */
+
+const { Screen } = require('../screen');
+
+const DEFAULT_SETTLE_TIME = 1.0;
+const DEFAULT_MAX_SNAPSHOT_INTERVAL = 10.0;
+
+/**
+ * Parse the data of a resize ("r") event
+ *
+ * @param {string} data - Event data in the form "COLSxROWS"
+ * @returns {{cols: number, rows: number}|null} - New size or null if invalid
+ */
+function parseResize(data) {
+  const match = typeof data === 'string' && data.match(/^(\d+)x(\d+)$/);
+  return match ? { cols: parseInt(match[1], 10), rows: parseInt(match[2], 10) } : null;
+}
+
+/**
+ * Index the events of a cast file
+ *
+ * @param {Object} cast - Opened cast file
+ * @param {Object} cast.header - Normalized header
+ * @param {AsyncIterable<Array>} cast.events - Normalized events
+ * @param {Object} context - Indexing context
+ * @param {Object} context.strategy - Strategy configuration
+ * @param {function(string, number): void} context.addContent - Stores a piece of searchable text at a time offset
+ * @returns {Promise<number>} - Number of snapshots produced
+ */
+async function indexEvents(cast, context) {
+  const settleTime = context.strategy.settleTime || DEFAULT_SETTLE_TIME;
+  const maxInterval = context.strategy.maxSnapshotInterval || DEFAULT_MAX_SNAPSHOT_INTERVAL;
+
+  const screen = new Screen(cast.header.width, cast.header.height);
+
+  let previousLines = new Set();
+  let lastOutputTime = null;
+  let lastSnapshotTime = null;
+  let dirty = false;
+  let snapshots = 0;
+
+  const takeSnapshot = (timeOffset) => {
+    const visible = screen.getLines().filter(line => line.trim());
+    const seen = new Set();
+    const newLines = [];
+
+    for (const line of [...screen.takeEvicted(), ...visible]) {
+      if (!line.trim() || previousLines.has(line) || seen.has(line)) continue;
+      seen.add(line);
+      newLines.push(line);
+    }
+
+    previousLines = new Set(visible);
+    lastSnapshotTime = timeOffset;
+    dirty = false;
+
+    if (newLines.length > 0) {
+      context.addContent(newLines.join('\n'), timeOffset);
+      snapshots++;
+    }
+  };
+
+  for await (const event of cast.events) {
+    const [timeOffset, type, data] = event;
+
+    if (type === 'r') {
+      const size = parseResize(data);
+      if (size) {
+        screen.resize(size.cols, size.rows);
+        dirty = true;
+      }
+      continue;
+    }
+
+    if (type !== 'o' || !data || typeof data !== 'string') continue;
+
+    // A pause in output since the last write means the screen settled there
+    if (dirty && lastOutputTime !== null && timeOffset - lastOutputTime >= settleTime) {
+      takeSnapshot(lastOutputTime);
+    }
+
+    screen.write(data);
+    lastOutputTime = timeOffset;
+    dirty = true;
+
+    if (lastSnapshotTime === null) {
+      lastSnapshotTime = timeOffset;
+    }
+
+    // Continuously redrawing programs (htop, progress bars) never settle
+    if (timeOffset - lastSnapshotTime >= maxInterval) {
+      takeSnapshot(timeOffset);
+    }
+  }
+
+  if (dirty && lastOutputTime !== null) {
+    takeSnapshot(lastOutputTime);
+  }
+
+  return snapshots;
+}
+
+module.exports = {
+  indexEvents
+};
@@ -0,0 +1,56 @@
+/**
+ * Trigram indexing strategy
+ *
+ * Indexes the snapshots the screen strategy stored in cast_content again,
+ * into cast_trigram, an FTS5 table with the trigram tokenizer.  That makes
+ * any part of a word findable (`sites-enabled`, `_handler`, part of a hash
+ * or an IP address) with LIKE semantics, instead of only whole words.
+ *
+ * The recording itself isn't read, so the screen strategy has to run on a
+ * file first; the indexer runs this one again whenever it does.
+ */
+
+// Strategy whose content rows are indexed
+const derivedFrom = 'screen';
+
+/**
+ * Remove what this strategy indexed for a file
+ *
+ * @param {Database} database - SQLite database instance
+ * @param {number} fileId - File ID
+ */
+function clear(database, fileId) {
+  database.prepare('DELETE FROM cast_trigram WHERE file_id = ?').run(fileId);
+}
+
+/**
+ * Index the screen snapshots of a cast file
+ *
+ * @param {null} cast - Not used, the file isn't opened for derived strategies
+ * @param {Object} context - Indexing context
+ * @param {Database} context.database - SQLite database instance
+ * @param {number} context.fileId - File ID
+ * @returns {Promise<number>} - Number of snapshots indexed
+ * @throws {Error} - If the screen strategy hasn't indexed the file
+ */
+async function indexEvents(cast, context) {
+  const indexed = context.database.prepare(
+    'SELECT 1 FROM indexing_strategies WHERE file_id = ? AND strategy_id = ?'
+  ).get(context.fileId, derivedFrom);
+  if (!indexed) {
+    throw new Error(`The ${derivedFrom} strategy has to index the file first; list it before trigram in currentStrategies`);
+  }
+
+  return context.database.prepare(`
+    INSERT INTO cast_trigram (content, file_id, time_offset)
+    SELECT content, file_id, time_offset FROM cast_content
+    WHERE file_id = ? AND strategy = ?
+    ORDER BY rowid
+  `).run(context.fileId, derivedFrom).changes;
+}
+
+module.exports = {
+  derivedFrom,
+  clear,
+  indexEvents
+};
@@ -7,12 +7,14 @@
  *
  * Info file fields:
  *   duration        — actual recording duration in seconds
- *   cast_version    — asciicast format version (2 or 3)
+ *   cast_version    — asciicast format version (1, 2 or 3)
  *   compressed_at   — ISO timestamp of when compression ran
  *   original_size   — byte size of the original .cast file
  *   compressed_size — byte size of the resulting .gz file
+ *   tags, title, description — recording metadata (see metadata.js), carried
+ *                     over from the <name>.cast.info sidecar when present
  *
- * Duration extraction:
+ * Duration extraction (shared with the indexer and server via cast-reader.js):
  *   v2  — absolute timestamps → last event timestamp = total duration
  *   v3  — relative intervals  → sum of all intervals = total duration
  *   Either version may have header.duration (only present in converted
@@ -25,11 +27,13 @@ const fs      = require('fs');
 const path    = require('path');
 const zlib    = require('zlib');
 const { promisify } = require('util');
-const { pipeline }  = require('stream');
-const { CASTS_DIR, ZIP_DIR } = require('./config');
+const { pipeline, Writable } = require('stream');
+const { SOURCES, recordingKey, listPlainCasts } = require('./sources');
+const { probeDuration } = require('./cast-reader');
+const { syncCatalog }   = require('./catalog');
+const { sidecarPath, readInfoFile, pickMetadata, writeInfoFileAtomic, writeMetadata } = require('./metadata');
+const db                = require('./indexer/db');
 
-const readFileAsync  = promisify(fs.readFile);
-const readdirAsync   = promisify(fs.readdir);
 const statAsync      = promisify(fs.stat);
 const mkdirAsync     = promisify(fs.mkdir);
 const accessAsync    = promisify(fs.access);
@@ -37,72 +41,15 @@ const renameAsync    = promisify(fs.rename);
 const pipelineAsync  = promisify(pipeline);
 
 // ---------------------------------------------------------------------------
-// Duration extraction — v2 and v3
+// Duration extraction — v1, v2 and v3 (see cast-reader.js)
 // ---------------------------------------------------------------------------
 
-/**
- * Extract recording duration from the text content of a .cast file.
- *
- * Returns { duration, source, version } or throws.
- */
-function extractDuration(content) {
-  const lines = content.split('\n');
-
-  let header;
-  try { header = JSON.parse(lines[0]); }
-  catch { throw new Error('cannot parse header'); }
-
-  if (!header || typeof header !== 'object') {
-    throw new Error('header is not a JSON object');
-  }
-
-  const version = header.version || 2;
-
-  // header.duration is only written by `asciinema convert`, not by the live
-  // recorder — but use it when present as it's already the ground truth.
-  if (typeof header.duration === 'number' && header.duration > 0) {
-    return { duration: header.duration, source: 'header.duration', version };
-  }
-
-  // Skip blank lines and v3 comment lines (start with #)
-  const eventLines = lines
-    .slice(1)
-    .filter(l => { const t = l.trim(); return t && !t.startsWith('#'); });
-
-  if (version >= 3) {
-    // v3: timestamps are intervals between events — sum them all
-    let total = 0;
-    for (const line of eventLines) {
-      try {
-        const ev = JSON.parse(line);
-        if (Array.isArray(ev) && typeof ev[0] === 'number' && ev[0] >= 0) {
-          total += ev[0];
-        }
-      } catch { /* skip unparseable lines */ }
-    }
-    if (total === 0) throw new Error('no events or all intervals are zero');
-    return { duration: total, source: 'sum of v3 intervals', version };
-  } else {
-    // v2: timestamps are absolute seconds since session start
-    // Scan backwards — first valid hit is the last (largest) timestamp
-    for (let i = eventLines.length - 1; i >= 0; i--) {
-      try {
-        const ev = JSON.parse(eventLines[i]);
-        if (Array.isArray(ev) && typeof ev[0] === 'number' && ev[0] > 0) {
-          return { duration: ev[0], source: 'last v2 timestamp', version };
-        }
-      } catch { /* skip */ }
-    }
-    throw new Error('no events with valid timestamps found');
-  }
-}
-
 /**
  * Read a .cast file and extract its duration.
+ * Plain v2 files are read backwards from the end; v3 files are streamed.
  */
 async function getRecordingDuration(filePath) {
-  const content = await readFileAsync(filePath, 'utf8');
-  return extractDuration(content);
+  return probeDuration(filePath);
 }
 
 // ---------------------------------------------------------------------------
@@ -121,6 +68,11 @@ async function compressFileAtomic(inputPath, outputPath) {
     const write = fs.createWriteStream(tmpPath);
     const gz    = zlib.createGzip({ level: zlib.constants.Z_BEST_COMPRESSION });
     await pipelineAsync(read, gz, write);
+
+    // Recordings named without a date are dated by their modification time
+    const { atime, mtime } = await statAsync(inputPath);
+    await fs.promises.utimes(tmpPath, atime, mtime);
+
     await renameAsync(tmpPath, outputPath);
   } catch (err) {
     try { fs.unlinkSync(tmpPath); } catch { /* ignore */ }
@@ -129,13 +81,13 @@ async function compressFileAtomic(inputPath, outputPath) {
 }
 
 /**
- * Verify a gz file by fully decompressing it in memory.
+ * Verify a gz file by fully decompressing it, streaming the output away.
  * Returns true if valid, false if corrupt.
  */
 async function verifyGz(gzPath) {
   try {
-    const buf = await readFileAsync(gzPath);
-    zlib.gunzipSync(buf);
+    const discard = new Writable({ write(chunk, encoding, callback) { callback(); } });
+    await pipelineAsync(fs.createReadStream(gzPath), zlib.createGunzip(), discard);
     return true;
   } catch {
     return false;
@@ -143,61 +95,67 @@ async function verifyGz(gzPath) {
 }
 
 /**
- * Write a .gz.info file atomically (tmp → rename).
+ * Metadata (tags, title, description) stored for a recording before it
+ * was compressed, from its <name>.cast.info sidecar.
  */
-async function writeInfoFileAtomic(infoPath, data) {
-  const tmpPath = infoPath + '.tmp';
+async function readPlainMetadata(filename) {
+  const info = await readInfoFile(sidecarPath(filename, false));
+  return info ? pickMetadata(info.data) : null;
+}
+
+/**
+ * Remove the <name>.cast.info sidecar once its fields are in the .gz.info.
+ */
+async function removePlainSidecar(filename) {
   try {
-    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
-    await renameAsync(tmpPath, infoPath);
-  } catch (err) {
-    try { fs.unlinkSync(tmpPath); } catch { /* ignore */ }
-    throw err;
-  }
+    await fs.promises.unlink(sidecarPath(filename, false));
+    console.log(`  Deleted metadata sidecar: ${filename}.info`);
+  } catch { /* there was none */ }
 }
 
 // ---------------------------------------------------------------------------
 // Main
 // ---------------------------------------------------------------------------
 
-async function maintainCastFiles() {
+/**
+ * Compress the recordings of one cast root, subdirectories included,
+ * into the same subdirectories of its zip/.
+ */
+async function maintainSource(source) {
   // Ensure zip directory exists
   try {
-    await accessAsync(ZIP_DIR, fs.constants.F_OK);
+    await accessAsync(source.zipDir, fs.constants.F_OK);
   } catch {
-    console.log(`Creating zip directory: ${ZIP_DIR}`);
-    await mkdirAsync(ZIP_DIR, { recursive: true });
+    console.log(`Creating zip directory: ${source.zipDir}`);
+    await mkdirAsync(source.zipDir, { recursive: true });
   }
 
-  const files     = await readdirAsync(CASTS_DIR);
-  const castFiles = files.filter(f =>
-    f.endsWith('.cast') &&
-    f !== 'example.cast' &&
-    f !== 'zip'
-  );
+  const castFiles = (await listPlainCasts(source)).filter(relPath => relPath !== 'example.cast');
 
-  console.log(`Found ${castFiles.length} cast file(s)`);
+  console.log(`Found ${castFiles.length} cast file(s) in ${source.dir}`);
 
-  // Skip the most recently modified file — it may still be recording
+  // Skip the most recently modified file — it may still be recording.
+  // Every root is a recorder of its own, so one per root.
   let latestFile = null, latestMtime = 0;
-  for (const filename of castFiles) {
+  for (const relPath of castFiles) {
     try {
-      const stats = await statAsync(path.join(CASTS_DIR, filename));
+      const stats = await statAsync(path.join(source.dir, relPath));
       if (stats.mtimeMs > latestMtime) {
         latestMtime = stats.mtimeMs;
-        latestFile  = filename;
+        latestFile  = relPath;
       }
     } catch { /* ignore inaccessible files */ }
   }
 
-  for (const filename of castFiles) {
-    if (filename === latestFile) {
+  for (const relPath of castFiles) {
+    const filename = recordingKey(source, relPath);
+    if (relPath === latestFile) {
       console.log(`Skipping ${filename} — most recent file (may still be recording)`);
       continue;
     }
 
-    const originalPath = path.join(CASTS_DIR, filename);
-    const gzPath       = path.join(ZIP_DIR, `${filename}.gz`);
+    const originalPath = path.join(source.dir, relPath);
+    const gzPath       = path.join(source.zipDir, `${relPath}.gz`);
     const infoPath     = gzPath + '.info';
 
     // Check what already exists
@@ -211,6 +169,16 @@ async function maintainCastFiles() {
         await fs.promises.unlink(originalPath);
         console.log(`  Deleted leftover original: ${filename}`);
       } catch { /* already gone, that's fine */ }
+
+      const leftoverMetadata = await readPlainMetadata(filename);
+      if (leftoverMetadata) {
+        try {
+          await writeMetadata(filename, true, leftoverMetadata);
+          await removePlainSidecar(filename);
+        } catch (err) {
+          console.error(`  ⚠️  Failed to carry over metadata for ${filename}: ${err.message}`);
+        }
+      }
       continue;
     }
 
@@ -218,6 +186,7 @@ async function maintainCastFiles() {
     if (!gzExists) {
       console.log(`Compressing: ${filename}`);
       try {
+        await mkdirAsync(path.dirname(gzPath), { recursive: true });
         await compressFileAtomic(originalPath, gzPath);
       } catch (err) {
         console.error(`  ⚠️  Compression failed for ${filename}: ${err.message}`);
@@ -257,6 +226,8 @@ async function maintainCastFiles() {
       compressed_at:   new Date().toISOString(),
       original_size:   origStat.size,
       compressed_size: gzStat.size,
+      // Tags, title and description set before compression
+      ...await readPlainMetadata(filename),
     };
 
     try {
@@ -274,6 +245,30 @@ async function maintainCastFiles() {
     } catch (err) {
       console.warn(`  Could not delete original ${filename}: ${err.message}`);
     }
+    await removePlainSidecar(filename);
+  }
+}
+
+async function maintainCastFiles() {
+  for (const source of SOURCES) {
+    try {
+      await maintainSource(source);
+    } catch (err) {
+      // One root missing (e.g. unmounted) doesn't hold up the others
+      console.error(`  ⚠️  Could not maintain ${source.dir}: ${err.message}`);
+    }
+  }
+
+  // --- Point the catalog at the compressed copies ---
+  const database = db.getDatabase();
+  try {
+    db.initDatabase(database);
+    const summary = await syncCatalog(database);
+    console.log(`Catalog: ${summary.added} added, ${summary.updated} updated, ${summary.removed} removed`);
+  } catch (err) {
+    console.error(`  ⚠️  Failed to update catalog: ${err.message}`);
+  } finally {
+    database.close();
   }
 
   console.log('Maintenance complete.');
@@ -0,0 +1,162 @@
+/**
+ * utils/metadata.js
+ *
+ * Tags, title and description of recordings, and the host they were
+ * recorded on.
+ *
+ * They are stored in the JSON sidecar of the recording, so they travel
+ * with it (e.g. through Syncthing) and survive a rebuilt index:
+ *   zip/<path>.cast.gz.info  — compressed recordings, next to duration etc.
+ *   <path>.cast.info         — recordings that are not compressed yet;
+ *                              maintain-casts.js moves its fields over
+ *
+ * A recording without stored tags has the tags from its filename, and one
+ * without a stored title has the title from its cast header.  The host is
+ * written by record-cast.sh and isn't edited afterwards.  The catalog
+ * (utils/catalog.js) keeps a copy in the index DB for listing and search.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const { promisify } = require('util');
+const { recordingPath } = require('./sources');
+const { parseFilenameDate } = require('./parseFilename');
+const { normalizeTags } = require('./tags');
+
+const readFileAsync = promisify(fs.readFile);
+const renameAsync   = promisify(fs.rename);
+const statAsync     = promisify(fs.stat);
+
+const METADATA_FIELDS = ['tags', 'title', 'description', 'host'];
+
+/**
+ * Path of the sidecar holding the metadata of a recording
+ *
+ * @param {string} filename - Recording key (see sources.js)
+ * @param {boolean} compressed - Whether the recording lives in zip/
+ * @returns {string} - Sidecar path
+ */
+function sidecarPath(filename, compressed) {
+  return `${recordingPath(filename, compressed)}.info`;
+}
+
+/**
+ * Write a JSON sidecar atomically (tmp file, then rename)
+ *
+ * @param {string} infoPath - Sidecar path
+ * @param {Object} data - Content
+ */
+async function writeInfoFileAtomic(infoPath, data) {
+  const tmpPath = infoPath + '.tmp';
+  try {
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+    await renameAsync(tmpPath, infoPath);
+  } catch (err) {
+    try { fs.unlinkSync(tmpPath); } catch { /* ignore */ }
+    throw err;
+  }
+}
+
+/**
+ * Read a sidecar
+ *
+ * @param {string} infoPath - Sidecar path
+ * @returns {Promise<{data: Object, mtimeMs: number}|null>} - Content and modification time, or null if missing or unreadable
+ */
+async function readInfoFile(infoPath) {
+  try {
+    const [content, stats] = await Promise.all([
+      readFileAsync(infoPath, 'utf8'),
+      statAsync(infoPath)
+    ]);
+    const data = JSON.parse(content);
+    return data && typeof data === 'object' ? { data, mtimeMs: stats.mtimeMs } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Take the metadata fields out of sidecar content
+ *
+ * @param {Object} data - Sidecar content
+ * @returns {Object} - Only the metadata fields that are set
+ */
+function pickMetadata(data) {
+  const metadata = {};
+  for (const field of METADATA_FIELDS) {
+    if (data && data[field] !== undefined && data[field] !== null) {
+      metadata[field] = data[field];
+    }
+  }
+  return metadata;
+}
+
+/**
+ * Work out the metadata of a recording
+ *
+ * @param {string} filename - Cast filename
+ * @param {Object|null} stored - Metadata stored in the sidecar
+ * @param {Object|null} header - Normalized cast header
+ * @returns {{tags: Array<string>, title: (string|null), description: (string|null), host: (string|null)}} - Effective metadata
+ */
+function resolveMetadata(filename, stored, header) {
+  let tags = null;
+  if (stored && Array.isArray(stored.tags)) {
+    try {
+      tags = normalizeTags(stored.tags);
+    } catch { /* damaged sidecar, fall back to the filename */ }
+  }
+
+  if (!tags) {
+    const parsed = parseFilenameDate(filename);
+    tags = parsed ? parsed.tags : [];
+  }
+
+  return {
+    tags,
+    title: (stored && typeof stored.title === 'string' && stored.title) || (header && header.title) || null,
+    description: (stored && typeof stored.description === 'string' && stored.description) || null,
+    host: (stored && typeof stored.host === 'string' && stored.host) ||
+      (header && header.env && header.env.HOSTNAME) || null
+  };
+}
+
+/**
+ * Store metadata changes in the sidecar of a recording
+ *
+ * Fields set to null are removed; other sidecar fields are kept.
+ *
+ * @param {string} filename - Cast filename
+ * @param {boolean} compressed - Whether the recording lives in zip/
+ * @param {Object} changes - Fields to change (tags, title, description)
+ * @returns {Promise<Object>} - The metadata stored afterwards
+ */
+async function writeMetadata(filename, compressed, changes) {
+  const infoPath = sidecarPath(filename, compressed);
+  const existing = await readInfoFile(infoPath);
+  const data = existing ? existing.data : {};
+
+  for (const field of METADATA_FIELDS) {
+    if (changes[field] === undefined) continue;
+    if (changes[field] === null) {
+      delete data[field];
+    } else {
+      data[field] = changes[field];
+    }
+  }
+
+  await writeInfoFileAtomic(infoPath, data);
+  return pickMetadata(data);
+}
+
+module.exports = {
+  METADATA_FIELDS,
+  sidecarPath,
+  writeInfoFileAtomic,
+  readInfoFile,
+  pickMetadata,
+  resolveMetadata,
+  writeMetadata
+};
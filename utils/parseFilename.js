@@ -1,23 +1,103 @@
+const { filenamePatterns = [] } = require('./index-config.json');
+const { DISPLAY_TIMEZONE } = require('./config');
+const {
+  formatInZone,
+  zonedTimeToInstant,
+  headerTimeZone,
+  offsetTimeZone
+} = require('./timezones');
+
+/**
+ * Compile filename patterns from utils/index-config.json
+ *
+ * Each pattern is a regular expression with named groups: year, month and
+ * day are required, hour, minute, second and tags (hyphen-separated) are
+ * optional.
+ *
+ * @param {Array<string>} sources - Pattern sources
+ * @returns {Array<RegExp>} - Compiled patterns
+ * @throws {Error} - If a pattern is invalid or lacks the date groups
+ */
+function compileFilenamePatterns(sources) {
+  return sources.map(source => {
+    let pattern;
+    try {
+      pattern = new RegExp(source);
+    } catch (err) {
+      throw new Error(`Invalid filename pattern ${source}: ${err.message}`);
+    }
+    if (!['year', 'month', 'day'].every(group => source.includes(`(?<${group}>`))) {
+      throw new Error(`Filename pattern ${source} needs year, month and day groups`);
+    }
+    return pattern;
+  });
+}
+
+const FILENAME_PATTERNS = compileFilenamePatterns(filenamePatterns);
+
+/**
+ * Describe the instant a recording was made, dated in DISPLAY_TIMEZONE
+ *
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string|null} timeZone - Zone the recording was made in, if known
+ * @param {Array<string>} tags - Tags
+ * @returns {Object} - date (YYYY-MM-DD), time (HH:MM:SS), dateObj, timeZone, tags and tagsString
+ */
+function describeInstant(instant, timeZone, tags) {
+  return {
+    ...formatInZone(instant, DISPLAY_TIMEZONE),
+    dateObj: new Date(instant),
+    timeZone,
+    tags,
+    tagsString: tags.length > 0 ? tags.join(', ') : ''
+  };
+}
+
 /**
  * Parses an asciinema filename to extract date, time, and tags.
  * Supports formats like:
  * - asciinema_2025-04-04_13-56-53.cast
  * - asciinema_2025-04-04_13-56-53_tags_work-project.cast
- * 
- * @param {string} filename - The asciinema cast filename to parse
+ * and whatever else `filenamePatterns` in utils/index-config.json matches
+ *
+ * date and time are the wall clock time in the name, on the machine that
+ * made the recording; dateObj reads it in DISPLAY_TIMEZONE, for when
+ * nothing tells which zone that machine was in (see recordingDate).
+ *
+ * @param {string} filename - The asciinema cast filename to parse; of a recording key
+ *   (see sources.js) only the part after the last / is read
+ * @param {Array<RegExp>} [patterns] - Patterns to try, the configured ones by default
  * @returns {Object|null} - Parsed information or null if format is invalid
  */
-function parseFilenameDate(filename) {
-  // Match pattern like asciinema_2025-04-04_13-56-53.cast or asciinema_2025-04-04_13-56-53_tags_tag1-tag2.cast
-  const match = filename.match(/asciinema_(\d{4}-\d{2}-\d{2})_(\d{2}-\d{2}-\d{2})(?:_tags_([^.]+))?\.cast/);
-  if (match) {
+function parseFilenameDate(filename, patterns = FILENAME_PATTERNS) {
+  const name = filename.slice(filename.lastIndexOf('/') + 1);
+
+  for (const pattern of patterns) {
+    const match = name.match(pattern);
+    if (!match) continue;
+
+    const { year, month, day, hour = '0', minute = '0', second = '0', tags: tagList } = match.groups;
+    const parts = {
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hour: Number(hour),
+      minute: Number(minute),
+      second: Number(second)
+    };
+
+    // Out of range numbers (month 13) would roll over into another date
+    const wall = new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+    if (wall.getUTCMonth() !== parts.month - 1 || wall.getUTCDate() !== parts.day) continue;
+
     // Parse tags if they exist
-    const tags = match[3] ? match[3].split('-').map(tag => tag.trim()).filter(Boolean) : [];
-    
+    const tags = tagList ? tagList.split('-').map(tag => tag.trim()).filter(Boolean) : [];
+
     return {
-      date: match[1],
-      time: match[2].replace(/-/g, ':'),
-      dateObj: new Date(`${match[1]}T${match[2].replace(/-/g, ':')}`),
+      date: wall.toISOString().slice(0, 10),
+      time: wall.toISOString().slice(11, 19),
+      dateObj: new Date(zonedTimeToInstant(parts, DISPLAY_TIMEZONE)),
+      parts,
       tags: tags,
       tagsString: tags.length > 0 ? tags.join(', ') : ''
     };
@@ -25,6 +105,51 @@ function parseFilenameDate(filename) {
   return null;
 }
 
+/**
+ * Work out when and in which zone a recording was made
+ *
+ * The time in the filename, when a pattern matches, is read in the zone
+ * the header names (TZ recorded with --env), else in the zone given by its
+ * offset from the header timestamp, else in DISPLAY_TIMEZONE.  Without a
+ * date in the name the header timestamp is used, and without one of those
+ * when the file was last written.
+ *
+ * @param {string} filename - Cast filename
+ * @param {Object|null} header - Normalized cast header
+ * @param {number|null} mtimeMs - Modification time of the file
+ * @returns {Object|null} - date and time in DISPLAY_TIMEZONE, dateObj, timeZone (zone of
+ *   origin or null), tags, tagsString and source (filename, header or mtime); null if
+ *   nothing gives a date
+ */
+function recordingDate(filename, header, mtimeMs) {
+  const headerZone = headerTimeZone(header);
+  const headerInstant = header && typeof header.timestamp === 'number' ? header.timestamp * 1000 : null;
+
+  const parsed = parseFilenameDate(filename);
+  if (parsed) {
+    const timeZone = headerZone ||
+      (headerInstant !== null ? offsetTimeZone(parsed.parts, headerInstant) : null) ||
+      DISPLAY_TIMEZONE;
+
+    return {
+      ...describeInstant(zonedTimeToInstant(parsed.parts, timeZone), timeZone, parsed.tags),
+      source: 'filename'
+    };
+  }
+
+  if (headerInstant !== null) {
+    return { ...describeInstant(headerInstant, headerZone, []), source: 'header' };
+  }
+
+  if (typeof mtimeMs === 'number') {
+    return { ...describeInstant(mtimeMs, null, []), source: 'mtime' };
+  }
+
+  return null;
+}
+
 module.exports = {
-  parseFilenameDate
-};
\ No newline at end of file
+  compileFilenamePatterns,
+  parseFilenameDate,
+  recordingDate
+};
@@ -0,0 +1,401 @@
+/**
+ * utils/recordings.js
+ *
+ * Rename, retag, delete and restore recordings.
+ *
+ * A recording is made of up to three files sharing its name: the plain
+ * .cast and its .cast.info metadata sidecar in its cast root, or the
+ * .cast.gz and its .gz.info sidecar in zip/ (see sources.js for the layout
+ * and the recording keys the functions here take as filenames).
+ * They are always moved together, and like maintain-casts.js nothing
+ * appears under its final name until it is complete: every file is first
+ * moved to a .tmp name next to its destination (undone if any of them
+ * fails), then the .tmp files are renamed into place.
+ *
+ * Tags, title and description are kept in the sidecar (see metadata.js).
+ * Deleted recordings are moved to the trash/ directory of their root and
+ * can be restored from there.
+ * The index and catalog rows follow every move.  Annotations follow a
+ * rename and are kept while a recording is in the trash, so a restored
+ * recording gets them back.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { SOURCES, parseRecordingKey, recordingKey, findFiles } = require('./sources');
+const { refreshCatalogEntry } = require('./catalog');
+const { readInfoFile, resolveMetadata, writeMetadata } = require('./metadata');
+const { normalizeTags } = require('./tags');
+const db = require('./indexer/db');
+
+const renameAsync  = promisify(fs.rename);
+const statAsync    = promisify(fs.stat);
+const mkdirAsync   = promisify(fs.mkdir);
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 10000;
+
+/**
+ * Error with the HTTP status the API should answer with
+ */
+class RecordingError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'RecordingError';
+    this.status = status;
+  }
+}
+
+/**
+ * Check a free-text metadata field given by a client
+ *
+ * @param {*} value - Value as given; null or an empty string clears the field
+ * @param {string} field - Field name for error messages
+ * @param {number} maxLength - Longest allowed value
+ * @returns {string|null} - Trimmed value, or null to clear it
+ * @throws {RecordingError} - If the value isn't a string or is too long
+ */
+function checkText(value, field, maxLength) {
+  if (value === null) return null;
+  if (typeof value !== 'string') {
+    throw new RecordingError(`${field} must be a string`, 400);
+  }
+
+  const trimmed = value.trim();
+  if (trimmed.length > maxLength) {
+    throw new RecordingError(`${field} is longer than ${maxLength} characters`, 400);
+  }
+  return trimmed || null;
+}
+
+/**
+ * Locations of the files making up a recording, relative to a base layout
+ *
+ * @param {string} filename - Recording key, checked with checkFilename
+ * @param {function(Object): {plainDir: string, zipDir: string}} layout - Directories to look in,
+ *   for the source of the recording
+ * @returns {Array<{kind: string, path: string}>} - Possible files
+ */
+function artifactPaths(filename, layout) {
+  const { source, relPath } = parseRecordingKey(filename);
+  const dirs = layout(source);
+
+  return [
+    { kind: 'info',  path: path.join(dirs.zipDir, `${relPath}.gz.info`) },
+    { kind: 'meta',  path: path.join(dirs.plainDir, `${relPath}.info`) },
+    { kind: 'gz',    path: path.join(dirs.zipDir, `${relPath}.gz`) },
+    { kind: 'plain', path: path.join(dirs.plainDir, relPath) }
+  ];
+}
+
+const LIBRARY = source => ({ plainDir: source.dir, zipDir: source.zipDir });
+const TRASH   = source => ({ plainDir: source.trashDir, zipDir: source.trashDir });
+
+/**
+ * Find the files of a recording that exist
+ */
+async function findArtifacts(filename, layout) {
+  const found = [];
+  for (const artifact of artifactPaths(filename, layout)) {
+    try {
+      await statAsync(artifact.path);
+      found.push(artifact);
+    } catch { /* not there */ }
+  }
+  return found;
+}
+
+/**
+ * Move a set of files so that either all or none of them end up moved
+ *
+ * @param {Array<{from: string, to: string}>} moves - Files to move, in the order they should appear
+ */
+async function moveAll(moves) {
+  const staged = [];
+
+  // Recordings in subdirectories of a root are moved into the same ones
+  for (const move of moves) {
+    await mkdirAsync(path.dirname(move.to), { recursive: true });
+  }
+
+  try {
+    for (const move of moves) {
+      const tmpPath = `${move.to}.tmp`;
+      await renameAsync(move.from, tmpPath);
+      staged.push({ ...move, tmpPath });
+    }
+  } catch (err) {
+    for (const move of staged.reverse()) {
+      try { await renameAsync(move.tmpPath, move.from); } catch { /* keep going */ }
+    }
+    throw err;
+  }
+
+  for (const move of staged) {
+    await renameAsync(move.tmpPath, move.to);
+  }
+}
+
+/**
+ * Check a filename given by a client
+ *
+ * Any safe .cast name is accepted, not only the ones carrying a date, in
+ * a subdirectory of its root or not.
+ *
+ * @param {string} filename - Recording key
+ * @throws {RecordingError} - If the filename is invalid or names an unknown source
+ */
+function checkFilename(filename) {
+  if (!parseRecordingKey(filename)) {
+    throw new RecordingError(`Invalid filename: ${filename}`, 400);
+  }
+}
+
+/**
+ * Run a function with an open, initialized index database
+ */
+async function withDatabase(fn) {
+  const database = db.getDatabase();
+  try {
+    db.initDatabase(database);
+    return await fn(database);
+  } finally {
+    database.close();
+  }
+}
+
+/**
+ * Whether files of a recording are the ones to read it from (not sidecars)
+ */
+function isCastFile(kind) {
+  return kind === 'gz' || kind === 'plain';
+}
+
+/**
+ * Catalog the recording again after its files or metadata changed
+ */
+async function recatalog(database, filename, artifacts) {
+  const main = artifacts.find(artifact => artifact.kind === 'gz') ||
+    artifacts.find(artifact => artifact.kind === 'plain');
+
+  await refreshCatalogEntry(database, filename, {
+    path: main.path,
+    compressed: main.kind === 'gz'
+  });
+}
+
+/**
+ * Rename a recording and/or change its tags, title or description
+ *
+ * @param {string} filename - Current cast filename
+ * @param {Object} changes - Changes to apply
+ * @param {string} [changes.filename] - New filename
+ * @param {Array<string>} [changes.tags] - New tags
+ * @param {string|null} [changes.title] - New title, null to clear it
+ * @param {string|null} [changes.description] - New description, null to clear it
+ * @returns {Promise<{filename: string, tags: Array<string>, title: (string|null), description: (string|null)}>} - The recording after the change
+ * @throws {RecordingError} - If the recording is missing or a change is invalid
+ */
+async function updateRecording(filename, changes) {
+  checkFilename(filename);
+
+  const metadata = {};
+  if (changes.tags !== undefined) {
+    try {
+      metadata.tags = normalizeTags(changes.tags);
+    } catch (err) {
+      throw new RecordingError(err.message, 400);
+    }
+  }
+  if (changes.title !== undefined) {
+    metadata.title = checkText(changes.title, 'Title', MAX_TITLE_LENGTH);
+  }
+  if (changes.description !== undefined) {
+    metadata.description = checkText(changes.description, 'Description', MAX_DESCRIPTION_LENGTH);
+  }
+
+  const newFilename = changes.filename !== undefined ? changes.filename : filename;
+  if (changes.filename !== undefined) {
+    checkFilename(newFilename);
+
+    // Roots may be on different disks, where files can't be renamed across
+    if (parseRecordingKey(newFilename).source !== parseRecordingKey(filename).source) {
+      throw new RecordingError('Recordings can only be renamed within their source', 400);
+    }
+  }
+
+  if (newFilename === filename && Object.keys(metadata).length === 0) {
+    throw new RecordingError('Nothing to change: give a filename, tags, title or description', 400);
+  }
+
+  let artifacts = await findArtifacts(filename, LIBRARY);
+  if (!artifacts.some(artifact => isCastFile(artifact.kind))) {
+    throw new RecordingError(`Recording not found: ${filename}`, 404);
+  }
+
+  if (newFilename !== filename) {
+    if ((await findArtifacts(newFilename, LIBRARY)).length > 0) {
+      throw new RecordingError(`A recording named ${newFilename} already exists`, 409);
+    }
+
+    const targets = artifactPaths(newFilename, LIBRARY);
+    await moveAll(artifacts.map(artifact => ({
+      from: artifact.path,
+      to: targets.find(target => target.kind === artifact.kind).path
+    })));
+
+    await withDatabase(async (database) => {
+      // Rows for both locations, as the index may still know the file from before it was compressed
+      const sources = artifactPaths(filename, LIBRARY);
+      for (const target of targets.filter(target => isCastFile(target.kind))) {
+        const source = sources.find(source => source.kind === target.kind);
+        db.renameIndexedFile(database, source.path, target.path, newFilename);
+      }
+      db.renameAnnotations(database, filename, newFilename);
+      db.removeCatalogEntry(database, filename);
+    });
+
+    artifacts = await findArtifacts(newFilename, LIBRARY);
+  }
+
+  if (Object.keys(metadata).length > 0) {
+    const compressed = artifacts.some(artifact => artifact.kind === 'gz');
+    await writeMetadata(newFilename, compressed, metadata);
+    artifacts = await findArtifacts(newFilename, LIBRARY);
+  }
+
+  return withDatabase(async (database) => {
+    await recatalog(database, newFilename, artifacts);
+    const entry = db.getCatalogEntry(database, newFilename);
+
+    return {
+      filename: newFilename,
+      tags: entry ? entry.tags : [],
+      title: entry ? entry.title : null,
+      description: entry ? entry.description : null
+    };
+  });
+}
+
+/**
+ * Move a recording to the trash
+ *
+ * @param {string} filename - Cast filename
+ * @returns {Promise<{filename: string}>} - The deleted recording
+ * @throws {RecordingError} - If the recording is missing
+ */
+async function deleteRecording(filename) {
+  checkFilename(filename);
+
+  const artifacts = await findArtifacts(filename, LIBRARY);
+  if (!artifacts.some(artifact => isCastFile(artifact.kind))) {
+    throw new RecordingError(`Recording not found: ${filename}`, 404);
+  }
+
+  // A recording of the same name deleted earlier is replaced
+  for (const old of await findArtifacts(filename, TRASH)) {
+    await fs.promises.unlink(old.path);
+  }
+
+  const targets = artifactPaths(filename, TRASH);
+  await moveAll(artifacts.map(artifact => ({
+    from: artifact.path,
+    to: targets.find(target => target.kind === artifact.kind).path
+  })));
+
+  await withDatabase(async (database) => {
+    for (const artifact of artifactPaths(filename, LIBRARY)) {
+      if (isCastFile(artifact.kind)) {
+        db.removeIndexedFile(database, artifact.path);
+      }
+    }
+    db.removeCatalogEntry(database, filename);
+  });
+
+  return { filename };
+}
+
+/**
+ * Bring a recording back from the trash
+ *
+ * The restored file is indexed again on the next index run.
+ *
+ * @param {string} filename - Cast filename
+ * @returns {Promise<{filename: string}>} - The restored recording
+ * @throws {RecordingError} - If it isn't in the trash or its name is taken again
+ */
+async function restoreRecording(filename) {
+  checkFilename(filename);
+
+  const artifacts = await findArtifacts(filename, TRASH);
+  if (!artifacts.some(artifact => isCastFile(artifact.kind))) {
+    throw new RecordingError(`Recording not in trash: ${filename}`, 404);
+  }
+
+  if ((await findArtifacts(filename, LIBRARY)).length > 0) {
+    throw new RecordingError(`A recording named ${filename} already exists`, 409);
+  }
+
+  const targets = artifactPaths(filename, LIBRARY);
+  await moveAll(artifacts.map(artifact => ({
+    from: artifact.path,
+    to: targets.find(target => target.kind === artifact.kind).path
+  })));
+
+  const restored = await findArtifacts(filename, LIBRARY);
+  await withDatabase(database => recatalog(database, filename, restored));
+
+  return { filename };
+}
+
+/**
+ * List the recordings in the trash
+ *
+ * @returns {Promise<Array<{filename: string, deletedAt: number, compressed: boolean, tags: Array<string>, title: (string|null)}>>} - Trashed recordings, most recently deleted first
+ */
+async function listTrash() {
+  const results = [];
+
+  for (const source of SOURCES) {
+    let files;
+    try {
+      files = await findFiles(source.trashDir, ['.cast', '.cast.gz']);
+    } catch {
+      continue;
+    }
+
+    for (const file of files) {
+      const compressed = file.endsWith('.cast.gz');
+      const filename = recordingKey(source, compressed ? file.slice(0, -3) : file);
+      if (!parseRecordingKey(filename)) continue;
+
+      const sidecar = await readInfoFile(path.join(source.trashDir, `${file}.info`));
+      const { tags, title } = resolveMetadata(filename, sidecar ? sidecar.data : null, null);
+
+      try {
+        // Renaming updates ctime, which is when the file went to the trash
+        const stats = await statAsync(path.join(source.trashDir, file));
+        results.push({ filename, deletedAt: stats.ctimeMs, compressed, tags, title });
+      } catch { /* removed meanwhile */ }
+    }
+  }
+
+  return results.sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+module.exports = {
+  RecordingError,
+  checkText,
+  checkFilename,
+  findArtifacts,
+  isCastFile,
+  withDatabase,
+  LIBRARY,
+  updateRecording,
+  deleteRecording,
+  restoreRecording,
+  listTrash
+};
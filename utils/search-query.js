@@ -0,0 +1,185 @@
+/**
+ * utils/search-query.js
+ *
+ * Inline filters in search queries, so a whole search fits in one string
+ * (and in a /search?q= link):
+ *
+ *   tag:work after:2025-03-01 before:2025-04-01 "npm install"
+ *
+ *   tag:<tag>        recordings with the tag or one nested below it
+ *   after:<date>     recorded on or after the date (YYYY-MM-DD)
+ *   before:<date>    recorded before the date
+ *   host:<name>      recorded on the host
+ *   source:<name>    kept in the cast root of that name (CASTS_DIRS)
+ *   type:<type>      output (recorded terminal content) or bookmark
+ *
+ * Values with spaces are quoted (tag:"my project").  Giving tag:, host:,
+ * source: or type: more than once matches any of the values.  Everything
+ * else is the text searched for; a quoted "tag:work" is searched for as
+ * text.
+ *
+ * Only the word modes read filters.  A substring or regex query is taken
+ * as written, `host:\d+` being a pattern like any other.
+ */
+
+'use strict';
+
+const { QuerySyntaxError } = require('./indexer/fts-query');
+const { normalizeTag } = require('./tags');
+
+const FILTER_KEYS = ['tag', 'after', 'before', 'host', 'source', 'type'];
+const FILTER_MODES = ['simple', 'advanced'];
+const HIT_TYPES = ['output', 'bookmark'];
+
+/**
+ * Read a token that ends at whitespace outside of double quotes
+ *
+ * @param {string} query - Query
+ * @param {number} start - Offset of the token
+ * @returns {number} - Offset just past the token
+ */
+function tokenEnd(query, start) {
+  let index = start;
+  let quoted = false;
+  while (index < query.length && (quoted || !/\s/.test(query[index]))) {
+    if (query[index] === '"') quoted = !quoted;
+    index++;
+  }
+  return index;
+}
+
+/**
+ * Take the value out of a filter token
+ *
+ * @param {string} raw - Value as written, possibly quoted
+ * @param {number} position - Offset of the value in the query
+ * @returns {string} - Value
+ * @throws {QuerySyntaxError} - If the value is empty or a quote isn't closed
+ */
+function filterValue(raw, position) {
+  if (!raw.startsWith('"')) {
+    if (!raw) throw new QuerySyntaxError('Filter without a value', position);
+    return raw;
+  }
+
+  // "" stands for a quote inside the value
+  if (!/^"(?:[^"]|"")*"$/.test(raw)) {
+    throw new QuerySyntaxError('Unterminated or misplaced quote', position);
+  }
+  const value = raw.slice(1, -1).replace(/""/g, '"');
+  if (!value.trim()) throw new QuerySyntaxError('Filter without a value', position);
+  return value;
+}
+
+/**
+ * Whether a value is a YYYY-MM-DD date that exists (no 2025-02-30)
+ *
+ * @param {string} value - Date as written
+ * @returns {boolean} - Whether it is a valid date
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Check a date given to after: or before:
+ *
+ * @param {string} value - Date as written
+ * @param {number} position - Offset of the value in the query
+ * @returns {string} - The date
+ * @throws {QuerySyntaxError} - If it isn't a valid YYYY-MM-DD date
+ */
+function checkDate(value, position) {
+  if (!isValidDate(value)) {
+    throw new QuerySyntaxError(`Invalid date "${value}", expected YYYY-MM-DD`, position);
+  }
+  return value;
+}
+
+/**
+ * The day before a YYYY-MM-DD date
+ */
+function previousDay(value) {
+  const date = new Date(`${value}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Split the inline filters off a search query
+ *
+ * The filters are blanked out rather than removed, so positions in the
+ * remaining text (e.g. of advanced syntax errors) match the query as typed.
+ *
+ * @param {string} query - Search query with inline filters
+ * @param {string} [mode] - Search mode; substring and regex queries have no filters
+ * @returns {{text: string, tags: Array<string>, dateFrom: (string|null), dateTo: (string|null), hosts: Array<string>, sources: Array<string>, types: Array<string>}} - Text to search for and searchCasts options
+ * @throws {QuerySyntaxError} - If a filter value is invalid
+ */
+function parseSearchQuery(query, mode = 'simple') {
+  const result = { text: '', tags: [], dateFrom: null, dateTo: null, hosts: [], sources: [], types: [] };
+  if (!FILTER_MODES.includes(mode)) {
+    result.text = query;
+    return result;
+  }
+
+  let text = '';
+  let index = 0;
+
+  while (index < query.length) {
+    if (/\s/.test(query[index])) {
+      text += query[index++];
+      continue;
+    }
+
+    const start = index;
+    const end = tokenEnd(query, start);
+    const token = query.slice(start, end);
+    const match = /^([a-z]+):/.exec(token);
+    index = end;
+
+    if (!match || !FILTER_KEYS.includes(match[1])) {
+      text += token;
+      continue;
+    }
+
+    const key = match[1];
+    const valuePosition = start + match[0].length;
+    const value = filterValue(token.slice(match[0].length), valuePosition);
+    text += ' '.repeat(token.length);
+
+    if (key === 'tag') {
+      try {
+        result.tags.push(normalizeTag(value));
+      } catch (err) {
+        throw new QuerySyntaxError(err.message, valuePosition);
+      }
+    } else if (key === 'after') {
+      // The latest after: and earliest before: win
+      const date = checkDate(value, valuePosition);
+      if (!result.dateFrom || date > result.dateFrom) result.dateFrom = date;
+    } else if (key === 'before') {
+      const date = previousDay(checkDate(value, valuePosition));
+      if (!result.dateTo || date < result.dateTo) result.dateTo = date;
+    } else if (key === 'host') {
+      result.hosts.push(value);
+    } else if (key === 'source') {
+      result.sources.push(value);
+    } else if (key === 'type') {
+      if (!HIT_TYPES.includes(value)) {
+        throw new QuerySyntaxError(`Unknown type "${value}" (available: ${HIT_TYPES.join(', ')})`, valuePosition);
+      }
+      result.types.push(value);
+    }
+  }
+
+  result.text = text.trimEnd();
+  return result;
+}
+
+module.exports = {
+  parseSearchQuery,
+  isValidDate
+};
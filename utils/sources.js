@@ -0,0 +1,193 @@
+/**
+ * utils/sources.js
+ *
+ * The directories recordings are kept in (CASTS_DIR, or the named roots of
+ * CASTS_DIRS, see config.js) and where a recording's files are in them.
+ *
+ * A recording is known by its key: the path of its .cast file below its
+ * root, with / separators (2025/04/asciinema_2025-04-04_13-56-53.cast).
+ * With CASTS_DIRS the source name comes first
+ * (laptop/2025/04/asciinema_2025-04-04_13-56-53.cast).  The key is the
+ * "filename" of a recording in the index, the catalog, the annotations
+ * and in URLs.
+ *
+ * Every root is laid out the same way, subdirectories included:
+ *   <path>.cast, <path>.cast.info                — recordings not compressed yet
+ *   zip/<path>.cast.gz, zip/<path>.cast.gz.info  — compressed recordings
+ *   trash/<path>.cast.gz etc.                    — deleted recordings
+ * Directories whose name starts with a dot are not scanned.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { SOURCES, NAMED_SOURCES } = require('./config');
+
+// A directory or file name that may be part of a key
+const SEGMENT_PATTERN = /^[a-zA-Z0-9_-][a-zA-Z0-9_.-]*$/;
+
+// Directories of a root holding the other copies of its recordings
+const RESERVED_DIRS = ['zip', 'trash'];
+
+/**
+ * Split a recording key into its source and its path in that source
+ *
+ * Every part of the key is checked, so a key can't climb out of its root
+ * (no "..", no absolute paths) or point into zip/ or trash/.
+ *
+ * @param {string} key - Recording key
+ * @returns {{source: Object, relPath: string}|null} - Source and path below its root, or null if the key is invalid
+ */
+function parseRecordingKey(key) {
+  if (typeof key !== 'string' || !key.endsWith('.cast')) return null;
+
+  const segments = key.split('/');
+  const sourceName = NAMED_SOURCES ? segments.shift() : null;
+  const source = NAMED_SOURCES
+    ? SOURCES.find(candidate => candidate.name === sourceName)
+    : SOURCES[0];
+
+  if (!source || segments.length === 0 || RESERVED_DIRS.includes(segments[0])) return null;
+  if (!segments.every(segment => SEGMENT_PATTERN.test(segment))) return null;
+
+  return { source, relPath: segments.join('/') };
+}
+
+/**
+ * Key of a recording
+ *
+ * @param {Object} source - Source it is in
+ * @param {string} relPath - Path of its .cast file below the root, / separated
+ * @returns {string} - Recording key
+ */
+function recordingKey(source, relPath) {
+  return NAMED_SOURCES ? `${source.name}/${relPath}` : relPath;
+}
+
+/**
+ * Name of the source a recording is in
+ *
+ * @param {string} key - Recording key
+ * @returns {string|null} - Source name, or null if the key is invalid
+ */
+function recordingSource(key) {
+  const parsed = parseRecordingKey(key);
+  return parsed ? parsed.source.name : null;
+}
+
+/**
+ * Path of the .cast or .cast.gz file of a recording
+ *
+ * Its sidecar is the same path with .info appended.
+ *
+ * @param {string} key - Recording key
+ * @param {boolean} compressed - Whether to give the path in zip/
+ * @returns {string} - File path
+ * @throws {Error} - If the key is invalid
+ */
+function recordingPath(key, compressed) {
+  const parsed = parseRecordingKey(key);
+  if (!parsed) {
+    throw new Error(`Invalid recording: ${key}`);
+  }
+
+  return compressed
+    ? path.join(parsed.source.zipDir, `${parsed.relPath}.gz`)
+    : path.join(parsed.source.dir, parsed.relPath);
+}
+
+/**
+ * Find files below a directory
+ *
+ * Files and directories whose name can't be part of a key (spaces, a
+ * leading dot, ...) are left out, as nothing could link to them.
+ *
+ * @param {string} dir - Directory to search
+ * @param {Array<string>} suffixes - Endings of the files to find
+ * @param {Array<string>} [skip] - Directories directly in dir not to search
+ * @returns {Promise<Array<string>>} - Paths below dir, / separated
+ * @throws {Error} - If dir can't be read
+ */
+async function findFiles(dir, suffixes, skip = []) {
+  const found = [];
+
+  const search = async (relDir) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(relDir ? path.join(dir, relDir) : dir, { withFileTypes: true });
+    } catch (err) {
+      // A subdirectory removed meanwhile doesn't matter, the directory itself does
+      if (!relDir) throw err;
+      return;
+    }
+
+    for (const entry of entries) {
+      const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        if (SEGMENT_PATTERN.test(entry.name) && !(relDir === '' && skip.includes(entry.name))) {
+          await search(relPath);
+        }
+      } else if (SEGMENT_PATTERN.test(entry.name) && suffixes.some(suffix => entry.name.endsWith(suffix))) {
+        found.push(relPath);
+      }
+    }
+  };
+
+  await search('');
+  return found.sort();
+}
+
+/**
+ * Recordings of a source that are not compressed yet
+ *
+ * @param {Object} source - Source
+ * @returns {Promise<Array<string>>} - Paths of the .cast files below its root
+ * @throws {Error} - If the root can't be read
+ */
+function listPlainCasts(source) {
+  return findFiles(source.dir, ['.cast'], RESERVED_DIRS);
+}
+
+/**
+ * List the recordings on disk, in every source
+ *
+ * The gzipped copy wins when both exist, as maintain-casts.js is about to
+ * delete the original.
+ *
+ * @returns {Promise<Map<string, {path: string, compressed: boolean}>>} - Files by recording key
+ */
+async function listRecordingFiles() {
+  const files = new Map();
+
+  for (const source of SOURCES) {
+    try {
+      for (const relPath of await listPlainCasts(source)) {
+        files.set(recordingKey(source, relPath), { path: path.join(source.dir, relPath), compressed: false });
+      }
+    } catch (err) {
+      console.error(`Error reading casts directory ${source.dir}:`, err.message);
+    }
+
+    try {
+      for (const relPath of await findFiles(source.zipDir, ['.cast.gz'])) {
+        files.set(recordingKey(source, relPath.slice(0, -3)), { path: path.join(source.zipDir, relPath), compressed: true });
+      }
+    } catch { /* no zip directory yet */ }
+  }
+
+  return files;
+}
+
+module.exports = {
+  SOURCES,
+  NAMED_SOURCES,
+  parseRecordingKey,
+  recordingKey,
+  recordingSource,
+  recordingPath,
+  findFiles,
+  listPlainCasts,
+  listRecordingFiles
+};
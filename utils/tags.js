@@ -0,0 +1,95 @@
+/**
+ * utils/tags.js
+ *
+ * Recording tags are free text and may contain spaces and hyphens.  A "/"
+ * nests a tag under another one (`client/acme`), and filtering on a parent
+ * tag (`client`) also matches every tag below it.
+ */
+
+'use strict';
+
+const MAX_TAG_LENGTH = 100;
+
+/**
+ * Clean up one tag
+ *
+ * Collapses whitespace and removes empty path segments, so ` client / acme `
+ * becomes `client/acme`.
+ *
+ * @param {string} tag - Tag as entered
+ * @returns {string} - Normalized tag
+ * @throws {Error} - If the tag is empty, too long or contains a comma or control character
+ */
+function normalizeTag(tag) {
+  if (typeof tag !== 'string') {
+    throw new Error('Tags must be strings');
+  }
+
+  const normalized = tag
+    .split('/')
+    .map(segment => segment.trim().replace(/\s+/g, ' '))
+    .filter(Boolean)
+    .join('/');
+
+  if (!normalized) {
+    throw new Error('Tags cannot be empty');
+  }
+  if (normalized.length > MAX_TAG_LENGTH) {
+    throw new Error(`Tag "${normalized}" is longer than ${MAX_TAG_LENGTH} characters`);
+  }
+  // Commas separate tags wherever they are entered as text
+  if (/[,\x00-\x1f\x7f]/.test(normalized)) {
+    throw new Error(`Tag "${normalized}" cannot contain commas or control characters`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Clean up a list of tags
+ *
+ * @param {Array<string>} tags - Tags as entered
+ * @returns {Array<string>} - Normalized tags without duplicates, in their original order
+ * @throws {Error} - If tags isn't an array or a tag is invalid
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    throw new Error('Tags must be an array');
+  }
+
+  const result = [];
+  for (const tag of tags) {
+    const normalized = normalizeTag(tag);
+    if (!result.includes(normalized)) result.push(normalized);
+  }
+  return result;
+}
+
+/**
+ * List a tag together with all of its parents
+ *
+ * @param {string} tag - Normalized tag
+ * @returns {Array<string>} - e.g. ['client', 'client/acme'] for 'client/acme'
+ */
+function tagWithParents(tag) {
+  const segments = tag.split('/');
+  return segments.map((_, index) => segments.slice(0, index + 1).join('/'));
+}
+
+/**
+ * Check whether a tag matches a filter tag, i.e. is the filter or below it
+ *
+ * @param {string} tag - Tag of a recording
+ * @param {string} filter - Tag filtered on
+ * @returns {boolean} - True if the tag matches
+ */
+function tagMatches(tag, filter) {
+  return tag === filter || tag.startsWith(`${filter}/`);
+}
+
+module.exports = {
+  normalizeTag,
+  normalizeTags,
+  tagWithParents,
+  tagMatches
+};
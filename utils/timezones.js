@@ -0,0 +1,226 @@
+/**
+ * utils/timezones.js
+ *
+ * Converts between instants and wall clock times in a time zone, so
+ * recordings made on machines in other zones are dated correctly.
+ *
+ * A recording is stored as a UTC instant (milliseconds) plus the zone it
+ * was recorded in, when that is known.  Zones are IANA names
+ * (Europe/Berlin) or fixed UTC offsets (+05:30), the latter for recordings
+ * whose zone could only be worked out from the offset between the time in
+ * their name and the timestamp in their header.  Dates are shown, grouped
+ * and filtered in DISPLAY_TIMEZONE.
+ */
+
+'use strict';
+
+const OFFSET_PATTERN = /^([+-])(\d{2}):(\d{2})$/;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Formatters are costly to create and used for every recording listed
+const formatters = new Map();
+
+/**
+ * Get a formatter giving the numeric wall clock fields in a zone
+ *
+ * @param {string} timeZone - IANA zone name
+ * @returns {Intl.DateTimeFormat} - Formatter
+ */
+function partsFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check that a zone is an IANA zone name or a +HH:MM offset
+ *
+ * @param {string} timeZone - Zone
+ * @returns {boolean} - True if it can be used
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  if (OFFSET_PATTERN.test(timeZone)) return true;
+
+  try {
+    partsFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Offset of a zone from UTC at an instant
+ *
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timeZone - Zone
+ * @returns {number} - Offset in milliseconds, positive east of UTC
+ */
+function timeZoneOffset(instant, timeZone) {
+  const offset = OFFSET_PATTERN.exec(timeZone);
+  if (offset) {
+    return (offset[1] === '-' ? -1 : 1) * (Number(offset[2]) * 60 + Number(offset[3])) * 60 * 1000;
+  }
+
+  const parts = zonedParts(instant, timeZone);
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - (instant - (((instant % 1000) + 1000) % 1000));
+}
+
+/**
+ * Wall clock fields of an instant in a zone
+ *
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timeZone - Zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} - Fields, month from 1
+ */
+function zonedParts(instant, timeZone) {
+  if (OFFSET_PATTERN.test(timeZone)) {
+    const shifted = new Date(instant + timeZoneOffset(instant, timeZone));
+    return {
+      year: shifted.getUTCFullYear(),
+      month: shifted.getUTCMonth() + 1,
+      day: shifted.getUTCDate(),
+      hour: shifted.getUTCHours(),
+      minute: shifted.getUTCMinutes(),
+      second: shifted.getUTCSeconds()
+    };
+  }
+
+  const parts = {};
+  for (const part of partsFormatter(timeZone).formatToParts(new Date(instant))) {
+    if (part.type !== 'literal') parts[part.type] = Number(part.value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Date and time of an instant in a zone, as the catalog and the API show them
+ *
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timeZone - Zone
+ * @returns {{date: string, time: string}} - YYYY-MM-DD and HH:MM:SS
+ */
+function formatInZone(instant, timeZone) {
+  const parts = zonedParts(instant, timeZone);
+  const pad = (number, length = 2) => String(number).padStart(length, '0');
+
+  return {
+    date: `${pad(parts.year, 4)}-${pad(parts.month)}-${pad(parts.day)}`,
+    time: `${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`
+  };
+}
+
+/**
+ * Instant of a wall clock time in a zone
+ *
+ * Around DST changes a wall clock time can happen twice (clocks going back)
+ * or not at all (clocks going forward).  The earlier of the two is taken,
+ * and a skipped time is read with the offset from before the change, so
+ * 02:30 on a night clocks jump from 02:00 to 03:00 becomes 03:30.
+ *
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number, second?: number}} parts - Fields, month from 1
+ * @param {string} timeZone - Zone
+ * @returns {number} - Milliseconds since the epoch
+ */
+function zonedTimeToInstant(parts, timeZone) {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = parts;
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // A day either side is clear of any change happening at that time
+  const before = wall - timeZoneOffset(wall - DAY, timeZone);
+  const after = wall - timeZoneOffset(wall + DAY, timeZone);
+
+  const valid = [before, after].filter(instant => wall - timeZoneOffset(instant, timeZone) === instant);
+  return valid.length > 0 ? Math.min(...valid) : before;
+}
+
+/**
+ * First instant of a day in a zone
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} timeZone - Zone
+ * @returns {number} - Milliseconds since the epoch
+ */
+function startOfDay(date, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  return zonedTimeToInstant({ year, month, day }, timeZone);
+}
+
+/**
+ * The day after a YYYY-MM-DD date
+ *
+ * @param {string} date - Date
+ * @returns {string} - Next date
+ */
+function nextDay(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+/**
+ * Zone a recording header says it was made in
+ *
+ * Only asciinema's --env option records TZ, and only when it was set.
+ *
+ * @param {Object|null} header - Normalized cast header
+ * @returns {string|null} - IANA zone name or null
+ */
+function headerTimeZone(header) {
+  const zone = header && header.env && header.env.TZ;
+  return typeof zone === 'string' && !OFFSET_PATTERN.test(zone) && isValidTimeZone(zone) ? zone : null;
+}
+
+/**
+ * Work out a zone as the offset between a wall clock time and the instant it was read
+ *
+ * @param {Object} parts - Wall clock fields, month from 1
+ * @param {number} instant - Milliseconds since the epoch, at most a few minutes off
+ * @returns {string|null} - +HH:MM offset, or null if the two are too far apart to be the same moment
+ */
+function offsetTimeZone(parts, instant) {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = parts;
+  const difference = Date.UTC(year, month - 1, day, hour, minute, second) - instant;
+
+  // Offsets are whole quarter hours and within 14 hours of UTC
+  const quarters = Math.round(difference / (15 * 60 * 1000));
+  if (Math.abs(quarters) > 14 * 4 || Math.abs(difference - quarters * 15 * 60 * 1000) > 5 * 60 * 1000) {
+    return null;
+  }
+
+  const minutes = Math.abs(quarters) * 15;
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${quarters < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+module.exports = {
+  isValidTimeZone,
+  timeZoneOffset,
+  zonedParts,
+  formatInZone,
+  zonedTimeToInstant,
+  startOfDay,
+  nextDay,
+  headerTimeZone,
+  offsetTimeZone
+};
@@ -0,0 +1,291 @@
+/**
+ * utils/uploads.js
+ *
+ * Receives recordings sent with `asciinema upload`, so a laptop can run
+ *
+ *   ASCIINEMA_API_URL=http://ourbox:3000 asciinema upload foo.cast
+ *
+ * The CLI posts the file as the "asciicast" field of a multipart form,
+ * with HTTP basic auth carrying the local username and the install ID
+ * (~/.config/asciinema/install-id).  Only install IDs listed in
+ * UPLOAD_INSTALL_IDS are accepted; without it uploads are refused.
+ *
+ * Uploads are checked to be v2 or v3 asciicasts and named like
+ * record-cast.sh names recordings, from the time in their header.  Tags can
+ * be sent as a comma-separated "tags" field (curl -F tags=work,client/acme);
+ * they are kept exactly in the metadata sidecar.  Uploads go to the first
+ * cast root (CASTS_DIR, or the first of CASTS_DIRS), and like everything
+ * else written there, the file only appears under its final name once it
+ * is complete.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { CASTS_DIR, ZIP_DIR, UPLOAD_INSTALL_IDS, DISPLAY_TIMEZONE } = require('./config');
+const { SOURCES, recordingKey, recordingPath } = require('./sources');
+const { formatInZone, headerTimeZone } = require('./timezones');
+const { parseHeader } = require('./cast-reader');
+const { sidecarPath, writeInfoFileAtomic } = require('./metadata');
+const { normalizeTags } = require('./tags');
+const { RecordingError, LIBRARY, findArtifacts } = require('./recordings');
+
+const MAX_UPLOAD_SIZE = 100 * 1024 * 1024;
+
+// Seconds tried after the recording's own time when that name is taken
+const MAX_NAME_ATTEMPTS = 60;
+
+// Name of an uploaded recording: its time, then its tags if it had any
+const UPLOAD_NAME_PATTERN = /^(asciinema_\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2})(?:_tags_[A-Za-z0-9_-]+)?\.cast$/;
+
+const gunzipAsync = promisify(zlib.gunzip);
+
+/**
+ * Check the basic auth credentials of an upload
+ *
+ * @param {string} [authorization] - Authorization header
+ * @param {Array<string>} [allowed] - Install IDs allowed to upload, UPLOAD_INSTALL_IDS by default
+ * @throws {RecordingError} - 401 if the install ID is missing or not allowed
+ */
+function checkInstallId(authorization, allowed = UPLOAD_INSTALL_IDS) {
+  if (allowed.length === 0) {
+    throw new RecordingError('Uploads are disabled: set UPLOAD_INSTALL_IDS on the server', 401);
+  }
+
+  const match = /^Basic\s+(\S+)$/i.exec(authorization || '');
+  const credentials = match ? Buffer.from(match[1], 'base64').toString('utf8') : '';
+  const installId = credentials.slice(credentials.indexOf(':') + 1);
+
+  if (!match || !credentials.includes(':') || !allowed.includes(installId)) {
+    throw new RecordingError('Unknown install ID: add it to UPLOAD_INSTALL_IDS on the server', 401);
+  }
+}
+
+/**
+ * Read the parts of a multipart/form-data body
+ *
+ * @param {Buffer} body - Request body
+ * @param {string} contentType - Content-Type header, with the boundary
+ * @returns {Map<string, {filename: (string|null), data: Buffer}>} - Parts by field name
+ * @throws {RecordingError} - 400 if the body isn't valid multipart
+ */
+function parseMultipart(body, contentType) {
+  const boundaryMatch = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  if (!Buffer.isBuffer(body) || !boundaryMatch) {
+    throw new RecordingError('Expected a multipart/form-data upload', 400);
+  }
+
+  const delimiter = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`);
+  const parts = new Map();
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const headerStart = start + delimiter.length;
+
+    // "--" after the delimiter closes the body
+    if (body.slice(headerStart, headerStart + 2).toString() === '--') break;
+
+    const headerEnd = body.indexOf('\r\n\r\n', headerStart);
+    const next = body.indexOf(Buffer.concat([Buffer.from('\r\n'), delimiter]), headerEnd);
+    if (headerEnd === -1 || next === -1) {
+      throw new RecordingError('Malformed multipart/form-data upload', 400);
+    }
+
+    const headers = body.slice(headerStart, headerEnd).toString('utf8');
+    const disposition = /content-disposition:[^\r\n]*?\bname="([^"]*)"(?:[^\r\n]*?\bfilename="([^"]*)")?/i.exec(headers);
+    if (disposition) {
+      parts.set(disposition[1], {
+        filename: disposition[2] !== undefined ? disposition[2] : null,
+        data: body.slice(headerEnd + 4, next)
+      });
+    }
+
+    start = next + 2;
+  }
+
+  return parts;
+}
+
+/**
+ * Check that an upload is a v2 or v3 asciicast
+ *
+ * Only the header is checked: like the readers in utils/cast-reader.js,
+ * playback and indexing skip event lines they can't parse, such as a last
+ * line cut off when a recording was killed.
+ *
+ * @param {string} text - File content
+ * @returns {Object} - Normalized header
+ * @throws {RecordingError} - 422 if it isn't
+ */
+function validateCast(text) {
+  let header;
+  try {
+    header = parseHeader(text.split('\n', 1)[0]);
+  } catch (err) {
+    // A v1 recording is a single (usually pretty-printed) JSON document
+    try { header = parseHeader(text); }
+    catch { throw new RecordingError(`Not an asciicast: ${err.message}`, 422); }
+  }
+
+  if (header.version !== 2 && header.version !== 3) {
+    throw new RecordingError(`Only asciicast v2 and v3 are supported, not version ${header.version}`, 422);
+  }
+  if (!Number.isInteger(header.width) || !Number.isInteger(header.height)) {
+    throw new RecordingError('The header has no terminal size', 422);
+  }
+
+  return header;
+}
+
+/**
+ * Name a recording like record-cast.sh does
+ *
+ * @param {number} instant - Start of the recording, milliseconds since the epoch
+ * @param {string} timeZone - Zone whose wall clock time goes in the name
+ * @param {Array<string>} tags - Normalized tags
+ * @returns {string} - Cast filename
+ */
+function uploadFilename(instant, timeZone, tags) {
+  const { date, time } = formatInZone(instant, timeZone);
+
+  // Spaces become hyphens and anything else that can't appear in a filename underscores
+  const suffix = tags.length > 0
+    ? `_tags_${tags.join(' ').replace(/ /g, '-').replace(/[^A-Za-z0-9_-]/g, '_')}`
+    : '';
+
+  return `asciinema_${date}_${time.replace(/:/g, '-')}${suffix}.cast`;
+}
+
+/**
+ * Find an earlier upload of the same file
+ *
+ * It has one of the names the upload could get, whatever tags it was sent
+ * with, and may have been compressed since.
+ *
+ * @param {number} start - Start of the recording, milliseconds since the epoch
+ * @param {string} timeZone - Zone whose wall clock time goes in the name
+ * @param {Buffer} data - Uploaded file
+ * @returns {Promise<string|null>} - Key of the stored recording, or null
+ */
+async function findStoredUpload(start, timeZone, data) {
+  const names = new Set();
+  for (let attempt = 0; attempt < MAX_NAME_ATTEMPTS; attempt++) {
+    names.add(uploadFilename(start + attempt * 1000, timeZone, []).slice(0, -'.cast'.length));
+  }
+
+  for (const [dir, suffix] of [[CASTS_DIR, ''], [ZIP_DIR, '.gz']]) {
+    let files = [];
+    try {
+      files = await fs.promises.readdir(dir);
+    } catch { /* no uploads (or nothing compressed) yet */ }
+
+    for (const file of files.sort()) {
+      if (!file.endsWith(`.cast${suffix}`)) continue;
+      const castName = file.slice(0, file.length - suffix.length);
+      const match = UPLOAD_NAME_PATTERN.exec(castName);
+      if (!match || !names.has(match[1])) continue;
+
+      const stored = await fs.promises.readFile(path.join(dir, file));
+      if ((suffix ? await gunzipAsync(stored) : stored).equals(data)) {
+        return recordingKey(SOURCES[0], castName);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Store an uploaded recording in the first cast root
+ *
+ * The name is taken from the header timestamp (the upload time if there is
+ * none); if a different recording already has it, the next free second is
+ * used.  Uploading the same file again returns the recording stored before,
+ * with the tags it was stored with.
+ *
+ * @param {Object} headers - Request headers (authorization, content-type)
+ * @param {Buffer} body - Request body
+ * @returns {Promise<{filename: string, created: boolean}>} - Stored recording, filename being its key
+ * @throws {RecordingError} - If the upload is refused or invalid
+ */
+async function receiveUpload(headers, body) {
+  checkInstallId(headers.authorization);
+
+  const parts = parseMultipart(body, headers['content-type']);
+  const file = parts.get('asciicast');
+  if (!file) {
+    throw new RecordingError('The upload has no "asciicast" file', 400);
+  }
+
+  const data = file.data;
+  const header = validateCast(data.toString('utf8'));
+
+  let tags = [];
+  if (parts.has('tags')) {
+    try {
+      tags = normalizeTags(parts.get('tags').data.toString('utf8').split(',').filter(tag => tag.trim()));
+    } catch (err) {
+      throw new RecordingError(err.message, 400);
+    }
+  }
+
+  // Named with the wall clock time of the zone the header names, else of DISPLAY_TIMEZONE
+  const start = header.timestamp !== null ? header.timestamp * 1000 : Date.now();
+  const timeZone = headerTimeZone(header) || DISPLAY_TIMEZONE;
+
+  const stored = await findStoredUpload(start, timeZone, data);
+  if (stored) {
+    return { filename: stored, created: false };
+  }
+
+  await fs.promises.mkdir(CASTS_DIR, { recursive: true });
+
+  for (let attempt = 0; attempt < MAX_NAME_ATTEMPTS; attempt++) {
+    const filename = recordingKey(SOURCES[0], uploadFilename(start + attempt * 1000, timeZone, tags));
+    const filePath = recordingPath(filename, false);
+
+    const existing = await findArtifacts(filename, LIBRARY);
+    if (existing.some(artifact => artifact.kind === 'plain' || artifact.kind === 'gz')) {
+      continue;
+    }
+
+    const tmpPath = `${filePath}.upload-${process.pid}.tmp`;
+    try {
+      await fs.promises.writeFile(tmpPath, data);
+      // Unlike a rename, a link never replaces a file that appeared meanwhile
+      await fs.promises.link(tmpPath, filePath);
+    } catch (err) {
+      if (err.code === 'EEXIST') continue;
+      throw err;
+    } finally {
+      await fs.promises.unlink(tmpPath).catch(() => {});
+    }
+
+    // Tags exactly as given, like record-cast.sh stores them; only once the
+    // name is ours, so the sidecar of a recording that won it stays as it is
+    if (tags.length > 0) {
+      try {
+        await writeInfoFileAtomic(sidecarPath(filename, false), { tags });
+      } catch (err) {
+        await fs.promises.unlink(filePath).catch(() => {});
+        throw err;
+      }
+    }
+
+    return { filename, created: true };
+  }
+
+  throw new RecordingError('No free name for the recording', 409);
+}
+
+module.exports = {
+  MAX_UPLOAD_SIZE,
+  checkInstallId,
+  parseMultipart,
+  validateCast,
+  uploadFilename,
+  receiveUpload
+};
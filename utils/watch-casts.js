@@ -0,0 +1,200 @@
+/**
+ * utils/watch-casts.js
+ *
+ * Watches the cast roots (CASTS_DIR or CASTS_DIRS, subdirectories included)
+ * and runs maintenance (compression) and indexing once a
+ * new or changed .cast file has stopped growing, so recordings that arrive
+ * through Syncthing or any other recorder are processed without running
+ * `npm run maintain` and `npm run index` by hand.
+ *
+ * A file counts as settled when no change was reported for it for
+ * `debounceMs` and its size is the same as at the last change.  Runs are
+ * serialized: changes that settle while a run is in progress queue exactly
+ * one follow-up run.
+ *
+ * maintainCastFiles() still skips the newest file, so a recording that is
+ * only paused (idle terminal) is indexed as it is but never compressed
+ * while it may still be written to.
+ *
+ * Use standalone (`npm run watch`) or inside the server (WATCH_CASTS=1).
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { SOURCES } = require('./config');
+
+const statAsync = promisify(fs.stat);
+
+// Quiet time after the last change to a file before it is considered settled
+const DEFAULT_DEBOUNCE_MS = 5000;
+
+/**
+ * Compress and index everything that is ready
+ */
+async function processCasts() {
+  // Required lazily so a watcher with its own processCasts doesn't load the indexer
+  const { maintainCastFiles } = require('./maintain-casts');
+  const { indexCastFiles }    = require('./indexer');
+
+  await maintainCastFiles();
+  await indexCastFiles();
+}
+
+/**
+ * Size of a file, or null if it is gone
+ */
+async function fileSize(filePath) {
+  try {
+    return (await statAsync(filePath)).size;
+  } catch {
+    return null;
+  }
+}
+
+// Changes below these directories of a root are our own doing
+const IGNORED_DIRS = /^(zip|trash)[\\/]/;
+
+/**
+ * Start watching the casts directories
+ *
+ * @param {Object} [options] - Watcher options
+ * @param {string} [options.dir] - Directory to watch, every cast root by default
+ * @param {number} [options.debounceMs] - Quiet time before a file counts as settled
+ * @param {boolean} [options.runOnStart] - Process files that arrived while nobody was watching
+ * @param {function(): Promise<void>} [options.processCasts] - Work to run once files settled
+ * @returns {{close: function(): Promise<void>, idle: function(): Promise<void>}} - Watcher handle
+ */
+function watchCasts(options = {}) {
+  const dirs        = options.dir ? [options.dir] : SOURCES.map(source => source.dir);
+  const debounceMs  = options.debounceMs || DEFAULT_DEBOUNCE_MS;
+  const runProcess  = options.processCasts || processCasts;
+
+  // file path -> { timer, size } for files that changed and haven't settled yet
+  const pending = new Map();
+
+  let running = null;
+  let rerun   = false;
+  let closed  = false;
+
+  const requestRun = () => {
+    if (closed) return;
+    if (running) {
+      rerun = true;
+      return;
+    }
+
+    running = (async () => {
+      do {
+        rerun = false;
+        try {
+          await runProcess();
+        } catch (err) {
+          console.error('Watcher: processing failed:', err);
+        }
+      } while (rerun && !closed);
+      running = null;
+    })();
+  };
+
+  const settle = async (filePath) => {
+    const entry = pending.get(filePath);
+    if (!entry) return;
+
+    const size = await fileSize(filePath);
+
+    // Removed in the meantime, e.g. compressed by the last run
+    if (size === null) {
+      pending.delete(filePath);
+      return;
+    }
+
+    // Still growing: wait for another quiet period
+    if (size !== entry.size) {
+      entry.size  = size;
+      entry.timer = setTimeout(() => settle(filePath), debounceMs);
+      return;
+    }
+
+    pending.delete(filePath);
+    console.log(`Watcher: ${filePath} settled at ${size} bytes`);
+    requestRun();
+  };
+
+  const onChange = async (filePath) => {
+    if (closed) return;
+
+    const entry = pending.get(filePath) || { timer: null, size: null };
+    clearTimeout(entry.timer);
+    pending.set(filePath, entry);
+
+    entry.size  = await fileSize(filePath);
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => settle(filePath), debounceMs);
+  };
+
+  const watchers = [];
+  for (const dir of dirs) {
+    let watcher;
+    try {
+      watcher = fs.watch(dir, { recursive: true }, (eventType, filename) => {
+        // Only plain recordings matter; zip/ and trash/ are ours
+        if (filename && filename.endsWith('.cast') && !IGNORED_DIRS.test(filename)) {
+          onChange(path.join(dir, filename));
+        }
+      });
+    } catch (err) {
+      // A root that is missing (e.g. unmounted) doesn't stop the others being watched
+      console.error(`Watcher: can't watch ${dir}:`, err.message);
+      continue;
+    }
+
+    watcher.on('error', err => {
+      console.error('Watcher: error watching casts directory:', err.message);
+    });
+
+    watchers.push(watcher);
+    console.log(`Watching ${dir} for new recordings`);
+  }
+
+  if (options.runOnStart !== false) {
+    requestRun();
+  }
+
+  return {
+    async close() {
+      closed = true;
+      watchers.forEach(watcher => watcher.close());
+      for (const entry of pending.values()) {
+        clearTimeout(entry.timer);
+      }
+      pending.clear();
+      if (running) await running;
+    },
+
+    // Resolves once no file is waiting to settle and no run is in progress
+    async idle() {
+      while (pending.size > 0 || running) {
+        if (running) {
+          await running;
+        } else {
+          await new Promise(resolve => setTimeout(resolve, Math.min(debounceMs, 100)));
+        }
+      }
+    }
+  };
+}
+
+if (require.main === module) {
+  const watcher = watchCasts();
+
+  const shutdown = () => {
+    watcher.close().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+module.exports = { watchCasts, processCasts };